@@ -1,5 +1,5 @@
 const express = require('express');
-const { createServiceProxy } = require('express-service-proxy');
+const { createServiceProxy, DnsDiscovery } = require('express-service-proxy');
 
 const app = express();
 app.use(express.json());
@@ -13,6 +13,12 @@ const serviceProxy = createServiceProxy({
   // Custom headers to add to proxied requests
   headers: {
     'X-Proxy-By': 'express-service-proxy'
+  },
+
+  // Propagate X-Request-Id and W3C trace context to every service
+  tracing: {
+    exporter: span => console.log(JSON.stringify(span)),
+    serverTiming: process.env.NODE_ENV !== 'production' // Don't reveal targets in production
   }
 });
 
@@ -25,11 +31,32 @@ serviceProxy.registerService('api-service', [
   pathRewrite: {
     '^/api/v2': '/v2',  // Rewrite path
   },
-  responseHeaders: {
-    'X-Proxy-Response-Time': Date.now().toString()
-  }
+  // Headers computed per request; responseHeaders are fixed when the service is registered
+  transform: {
+    request: {
+      headers: { set: { 'X-Request-Id': '{requestId}' } }
+    },
+    response: {
+      headers: { set: { 'X-Proxy-Response-Time': '{elapsed}ms' }, remove: ['X-Powered-By'] },
+      rewriteLocation: true
+    }
+  },
+  // Retry idempotent requests on the other instance when one fails
+  retry: {
+    maxAttempts: 2,
+    retryOnStatus: [502, 503, 504]
+  },
+  // Degrade gracefully instead of failing when both instances are down
+  fallback: (req, { reason }) => ({
+    status: 503,
+    headers: { 'Retry-After': '30' },
+    body: { error: 'API temporarily unavailable', reason, path: req.url }
+  })
 });
 
+// Partner API keys, e.g. loaded from a secrets store at startup
+const partnerKeys = new Map();
+
 // Register a service with custom circuit breaker settings
 serviceProxy.registerService('payment-service', [
   'http://payment-service-1:5000',
@@ -40,12 +67,123 @@ serviceProxy.registerService('payment-service', [
     failureThreshold: 2,    // Open after just 2 failures
     resetTimeout: 60000,    // Wait 1 minute before trying again
     requestTimeout: 3000    // Short 3 second timeout
+  },
+  // Allow bursts of 20 requests and 5 per second on average per API key
+  rateLimit: {
+    capacity: 20,
+    refillRate: 5,
+    keyBy: { header: 'X-Api-Key' }
+  },
+  // Never have more than 50 payments in flight; queue up to 100 more for 2 seconds
+  concurrency: {
+    maxConcurrent: 50,
+    maxQueue: 100,
+    queueTimeout: 2000
+  },
+  // Accept tokens from our identity provider and partner API keys; refunds need
+  // an extra scope. The payment service trusts X-User-Id and X-User-Scopes.
+  auth: {
+    jwt: {
+      jwks: { url: 'https://auth.example.com/.well-known/jwks.json' },
+      issuer: 'https://auth.example.com',
+      audience: 'payments'
+    },
+    apiKeys: {
+      verify: key => partnerKeys.get(key)   // { sub, scope } of the partner, if the key is known
+    },
+    rules: [
+      { path: '/refunds', methods: ['POST'], scopes: ['payments:refund'] }
+    ],
+    forwardClaims: { sub: 'X-User-Id', scope: 'X-User-Scopes' }
+  }
+});
+
+// Register a service that keeps user sessions in memory on each instance
+serviceProxy.registerService('session-service', [
+  'http://session-service-1:6000',
+  'http://session-service-2:6000'
+], {
+  stickySession: {
+    cookieName: 'gateway_affinity',
+    ttl: 30 * 60 * 1000,                  // 30 minutes
+    secret: process.env.AFFINITY_SECRET   // Share across gateway instances
+  }
+});
+
+// Register a service whose instances are discovered through DNS SRV records
+serviceProxy.registerService('inventory-service', new DnsDiscovery({
+  hostname: '_http._tcp.inventory.service.internal',
+  interval: 15000           // Refresh the instance list every 15 seconds
+}), {
+  // Cache stock levels as long as the inventory service's Cache-Control allows;
+  // keep serving them if the service goes down
+  cache: {
+    maxEntries: 5000,
+    statusHeader: 'X-Inventory-Cache'
+  },
+  // Race a second instance when a lookup is slower than 95% of recent ones,
+  // but never hedge more than 5% of requests
+  hedge: {
+    percentile: 95,
+    delay: 100,               // Used until enough latencies have been observed
+    maxRatio: 0.05
+  }
+});
+
+// Register a service with a canary release next to the stable version
+serviceProxy.registerService('search-service', {
+  stable: ['http://search-v1-1:7000', 'http://search-v1-2:7000'],
+  canary: ['http://search-v2-1:7000']
+}, {
+  trafficSplit: {
+    weights: { stable: 95, canary: 5 },
+    // Internal testers always get the canary
+    rules: [{ group: 'canary', header: 'X-Canary', value: 'true' }],
+    // Stop sending traffic to the canary if more than 10% of its requests fail
+    rollback: { errorRate: 0.1, minRequests: 50, window: 60000 }
+  },
+  // Shadow 10% of lookups to the rewritten search engine and log where it disagrees
+  mirror: {
+    targets: ['http://search-next:7000'],
+    percentage: 10,
+    methods: ['GET'],
+    compare: ({ req, primary, shadow, differences }) => {
+      if (differences.length > 0) {
+        console.warn(`search-next differs on ${req.method} ${req.originalUrl}: ${differences.join(', ')}`,
+          shadow.error ? shadow.error.message : `${primary.statusCode} vs ${shadow.statusCode}`);
+      }
+    }
   }
 });
 
+// One call for the product page: the product, its stock and the payment options for its price.
+// A failed stock lookup still returns the product, with the failure listed under `errors`
+app.get('/pages/product/:id', serviceProxy.getAggregateMiddleware({
+  timeout: 2000,
+  calls: {
+    product: { service: 'api-service', path: '/v2/products/{params.id}', required: true },
+    stock: { service: 'inventory-service', path: '/stock/{params.id}', timeout: 500 },
+    paymentOptions: {
+      service: 'payment-service',
+      path: '/options?amount={product.price}&currency={product.currency}'
+    }
+  }
+}));
+
 // Set up route-specific middlewares
 app.use('/api', serviceProxy.getServiceMiddleware('api-service', '/'));
 app.use('/payments', serviceProxy.getServiceMiddleware('payment-service', '/'));
+app.use('/sessions', serviceProxy.getServiceMiddleware('session-service', '/'));
+app.use('/inventory', serviceProxy.getServiceMiddleware('inventory-service', '/'));
+app.use('/search', serviceProxy.getServiceMiddleware('search-service', '/'));
+
+// Route tenant subdomains by host: acme.search.example.com/q → /tenants/acme/q
+serviceProxy.addRoute({
+  service: 'search-service',
+  host: ':tenant.search.example.com',
+  rewrite: '/tenants/:tenant'
+});
+app.use(serviceProxy.router({ fallthrough: true }));
 
 // Health check with detailed diagnostics
 app.use('/health', (req, res, next) => {
@@ -56,28 +194,55 @@ app.use('/health', (req, res, next) => {
   next();
 }, serviceProxy.getHealthMiddleware());
 
-// Dynamic service registration endpoint (admin only)
-app.post('/admin/services', (req, res) => {
+// Prometheus scrape endpoint
+app.get('/metrics', serviceProxy.getMetricsMiddleware());
+
+// Hook proxy events into our own logging
+serviceProxy.on('circuitOpen', ({ service, target }) => {
+  console.warn(`Circuit opened for ${service}${target ? ` (${target})` : ''}`);
+});
+serviceProxy.on('targetDown', ({ service, target }) => {
+  console.warn(`Target ${target} of ${service} failed its health checks`);
+});
+
+serviceProxy.on('rollback', ({ service, group, errorRate }) => {
+  console.error(`Rolled back ${group} of ${service} at ${(errorRate * 100).toFixed(1)}% errors`);
+});
+
+// Shift traffic to the canary at runtime (admin only)
+app.put('/admin/services/:name/weights', (req, res) => {
   try {
-    const { name, targets, options } = req.body;
-    
-    if (!name || !Array.isArray(targets) || targets.length === 0) {
-      return res.status(400).json({ error: 'Invalid service configuration' });
-    }
-    
-    serviceProxy.registerService(name, targets, options || {});
-    
-    // Mount the service dynamically
-    app.use(`/${name}`, serviceProxy.getServiceMiddleware(name, '/'));
-    
-    res.status(201).json({ message: `Service ${name} registered successfully` });
+    serviceProxy.setTrafficWeights(req.params.name, req.body);
+    res.json({ message: `Traffic weights of ${req.params.name} updated` });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(400).json({ error: error.message });
   }
 });
 
+// Admin API for managing services at runtime: register and update services,
+// add, remove and drain targets, force circuits and change strategies.
+// New services are mounted at /<name> through the router.
+serviceProxy.on('audit', (entry) => {
+  console.log(`[audit] ${entry.actor} ${entry.action} ${entry.service || ''} -> ${entry.status}`);
+});
+
+app.use('/admin', serviceProxy.getAdminMiddleware({
+  auth: (req) => {
+    const token = process.env.ADMIN_TOKEN;
+    return Boolean(token) && req.get('Authorization') === `Bearer ${token}` && 'admin';
+  }
+}));
+
 // Start the Express server
 const port = process.env.PORT || 3000;
-app.listen(port, () => {
+const server = app.listen(port, () => {
   console.log(`Advanced API Gateway running on port ${port}`);
-});
\ No newline at end of file
+});
+
+// Proxy WebSocket upgrades to the services of the router's routes
+server.on('upgrade', serviceProxy.getUpgradeHandler());
+// On deploy, finish the requests in flight before exiting
+process.on('SIGTERM', async () => {
+  const drained = await serviceProxy.shutdown({ timeout: 20000 });
+  server.close(() => process.exit(drained ? 0 : 1));
+});
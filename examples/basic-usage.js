@@ -17,7 +17,33 @@ serviceProxy.registerService('user-service', [
   'http://user-service-2:3002',
   'http://user-service-3:3002'
 ], {
-  loadBalancingStrategy: 'round-robin'  // 'round-robin', 'random', or 'least-connections'
+  // 'round-robin', 'random', 'least-connections', 'weighted-round-robin',
+  // 'consistent-hash', 'peak-ewma' or 'power-of-two-choices'
+  loadBalancingStrategy: 'round-robin',
+  healthCheck: {
+    path: '/health',         // Probed on every target
+    interval: 10000,         // Probe every 10 seconds
+    unhealthyThreshold: 3    // Failed probes before a target leaves rotation
+  }
+});
+
+// Instances of different sizes get traffic in proportion to their weight
+serviceProxy.registerService('search-service', [
+  { url: 'http://search-service-large:3004', weight: 3 },
+  { url: 'http://search-service-small:3004', weight: 1 }
+], {
+  loadBalancingStrategy: 'weighted-round-robin'
+});
+
+// Keep each user on the same instance
+serviceProxy.registerService('cart-service', [
+  'http://cart-service-1:3005',
+  'http://cart-service-2:3005'
+], {
+  loadBalancingStrategy: 'consistent-hash',
+  loadBalancingOptions: {
+    hashOn: { header: 'X-User-Id' }
+  }
 });
 
 serviceProxy.registerService('product-service', [
@@ -35,6 +61,8 @@ serviceProxy.registerService('product-service', [
 app.use('/auth', serviceProxy.getServiceMiddleware('auth-service', '/'));
 app.use('/users', serviceProxy.getServiceMiddleware('user-service', '/'));
 app.use('/products', serviceProxy.getServiceMiddleware('product-service', '/'));
+app.use('/search', serviceProxy.getServiceMiddleware('search-service', '/'));
+app.use('/cart', serviceProxy.getServiceMiddleware('cart-service', '/'));
 
 // Health check endpoint
 app.use('/health', serviceProxy.getHealthMiddleware());
@@ -0,0 +1,25 @@
+const path = require('path');
+const express = require('express');
+const { ServiceProxy } = require('express-service-proxy');
+
+const app = express();
+
+// Register and mount every service described in gateway.yaml, and keep
+// following the file: valid edits are applied to new requests, invalid
+// ones are reported and the last good config stays active
+const serviceProxy = ServiceProxy.fromConfig(path.join(__dirname, 'gateway.yaml'));
+
+serviceProxy.on('configReload', ({ services }) => {
+  console.log(`Gateway config reloaded: ${services.join(', ')}`);
+});
+serviceProxy.on('configError', ({ error }) => {
+  console.error(`Gateway config rejected: ${error.message}`);
+});
+
+app.use(serviceProxy.getConfigMiddleware());
+app.get('/health', serviceProxy.getHealthMiddleware());
+
+const port = process.env.PORT || 3000;
+app.listen(port, () => {
+  console.log(`Config-driven API Gateway running on port ${port}`);
+});
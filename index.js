@@ -1,6 +1,24 @@
 const { ServiceProxy } = require('./lib/proxy');
 const { LoadBalancer } = require('./lib/loadBalancer');
 const { CircuitBreaker } = require('./lib/circuitBreaker');
+const { HealthChecker } = require('./lib/healthChecker');
+const {
+  DiscoveryProvider,
+  PollingDiscovery,
+  DnsDiscovery,
+  FileDiscovery
+} = require('./lib/discovery');
+const { RateLimiter, MemoryStore } = require('./lib/rateLimiter');
+const { ConcurrencyLimiter } = require('./lib/concurrencyLimiter');
+const { ResponseCache, MemoryCacheStore } = require('./lib/responseCache');
+const { HedgePolicy } = require('./lib/hedging');
+const { TrafficSplitter } = require('./lib/trafficSplit');
+const { TrafficMirror } = require('./lib/mirror');
+const { ConfigError } = require('./lib/config');
+const { AdminApi } = require('./lib/admin');
+const { Aggregator } = require('./lib/aggregate');
+const { Authenticator, JwksClient } = require('./lib/auth');
+const { Transformer } = require('./lib/transform');
 
 /**
  * Create an express-service-proxy instance
@@ -15,5 +33,24 @@ module.exports = {
   createServiceProxy,
   ServiceProxy,
   LoadBalancer,
-  CircuitBreaker
+  CircuitBreaker,
+  HealthChecker,
+  DiscoveryProvider,
+  PollingDiscovery,
+  DnsDiscovery,
+  FileDiscovery,
+  RateLimiter,
+  MemoryStore,
+  ConcurrencyLimiter,
+  ResponseCache,
+  MemoryCacheStore,
+  HedgePolicy,
+  TrafficSplitter,
+  TrafficMirror,
+  ConfigError,
+  AdminApi,
+  Aggregator,
+  Authenticator,
+  JwksClient,
+  Transformer
 };
\ No newline at end of file
@@ -0,0 +1,660 @@
+const http = require('http');
+const { LoadBalancer } = require('./loadBalancer');
+const { isDiscoveryProvider } = require('./discovery');
+const { compilePath } = require('./router');
+const { bufferRequestBody } = require('./requestBody');
+const { validateServiceConfig, getServiceOptions, getMounts } = require('./config');
+
+// Names a service can be created with through the admin API
+const SERVICE_NAME = /^[A-Za-z0-9_.-]+$/;
+
+// Circuit breaker states an operator can set, and how each is applied
+const CIRCUIT_ACTIONS = {
+  open: breaker => breaker.forceOpen(),
+  closed: breaker => breaker.transitionToClosed(),
+  reset: breaker => breaker.reset()
+};
+
+/**
+ * Create an error that is sent to the admin client with the given status code
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error message
+ * @param {Array<Object>} errors - Invalid fields, as `{ path, message }`
+ * @returns {Error} Error with statusCode and errors properties
+ */
+function createAdminError(statusCode, message, errors) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.errors = errors;
+  return error;
+}
+
+/**
+ * Raise a 400 error listing invalid request fields, if there are any
+ * @param {Array<Object>} errors - Invalid fields, as `{ path, message }`
+ */
+function assertValid(errors) {
+  if (errors.length > 0) {
+    const details = errors.map(error => `${error.path || '(body)'} ${error.message}`).join('; ');
+    throw createAdminError(400, `Invalid request: ${details}`, errors);
+  }
+}
+
+/**
+ * Copy the JSON-compatible parts of a value, leaving out functions and
+ * instances such as discovery providers or stores
+ * @param {*} value - Value to copy
+ * @returns {*} Plain copy, or undefined if nothing of the value can be represented
+ */
+function toPlain(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(toPlain).filter(item => item !== undefined);
+  }
+  if (value instanceof RegExp) {
+    return String(value);
+  }
+  if (typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    Object.entries(value).forEach(([key, child]) => {
+      const plain = toPlain(child);
+      if (plain !== undefined) {
+        copy[key] = plain;
+      }
+    });
+    return copy;
+  }
+  return undefined;
+}
+
+/**
+ * Copy service settings for display, summarizing the auth settings so secrets,
+ * passwords and API keys are never shown
+ * @param {Object} settings - Service settings
+ * @returns {Object} Plain copy of the settings
+ */
+function redactSettings(settings) {
+  const { auth, ...rest } = settings;
+  const copy = toPlain(rest);
+
+  if (auth) {
+    copy.auth = {
+      methods: ['jwt', 'apiKeys', 'basic'].filter(method => auth[method]),
+      ...(auth.rules ? { rules: toPlain(auth.rules) } : {})
+    };
+  }
+  return copy;
+}
+
+/**
+ * Get the target pools of a service: its target groups, or the service itself
+ * @param {Object} service - Registered service record
+ * @returns {Array<Object>} Target pools
+ */
+function getPools(service) {
+  return service.groups ? [...service.groups.values()] : [service];
+}
+
+/**
+ * REST API for inspecting and changing the services of a running proxy.
+ * Every call that changes something is recorded in an audit log.
+ *
+ * Endpoints, relative to where the middleware is mounted:
+ * - GET /services, GET /services/:name
+ * - POST /services, PATCH /services/:name, DELETE /services/:name
+ * - POST /services/:name/targets, DELETE /services/:name/targets/:url
+ * - POST /services/:name/targets/:url/drain, POST /services/:name/targets/:url/undrain
+ * - POST /services/:name/circuit
+ * - PUT /services/:name/strategy
+ * - GET /audit
+ */
+class AdminApi {
+  /**
+   * Create a new admin API
+   * @param {ServiceProxy} proxy - Proxy to manage
+   * @param {Object} options - Admin options
+   * @param {Function|boolean} options.auth - Called with the request; returns (or resolves with)
+   *   a falsy value to refuse it, or the caller's identity for the audit log (a string, an
+   *   object or true). Pass false to allow every request.
+   * @param {number} options.auditLogSize - Number of audit entries kept (default: 1000)
+   * @param {Function} options.onAudit - Called with every audit entry, e.g. to persist it; errors it
+   *   throws are emitted as 'error' events of the proxy
+   */
+  constructor(proxy, options = {}) {
+    if (options.auth === undefined) {
+      throw new Error('Admin API requires an auth function; pass auth: false to allow every request');
+    }
+    if (options.auth !== false && typeof options.auth !== 'function') {
+      throw new Error('Admin API auth must be a function or false');
+    }
+
+    this.proxy = proxy;
+    this.auth = options.auth || null;
+    this.auditLogSize = options.auditLogSize || 1000;
+    this.onAudit = options.onAudit || null;
+    this.auditLog = [];
+
+    this.routes = [
+      ['GET', '/services', 'listServices'],
+      ['POST', '/services', 'createService', 'service.create'],
+      ['GET', '/services/:service', 'showService'],
+      ['PATCH', '/services/:service', 'updateService', 'service.update'],
+      ['DELETE', '/services/:service', 'deleteService', 'service.delete'],
+      ['POST', '/services/:service/targets', 'addTarget', 'target.add'],
+      ['DELETE', '/services/:service/targets/:target', 'removeTarget', 'target.remove'],
+      ['POST', '/services/:service/targets/:target/drain', 'drainTarget', 'target.drain'],
+      ['POST', '/services/:service/targets/:target/undrain', 'undrainTarget', 'target.undrain'],
+      ['POST', '/services/:service/circuit', 'setCircuitState', 'circuit.set'],
+      ['PUT', '/services/:service/strategy', 'setStrategy', 'strategy.set'],
+      ['GET', '/audit', 'getAuditLog']
+    ].map(([method, pattern, handler, action]) => ({
+      method,
+      path: compilePath(pattern, true),
+      handler,
+      action: action || null
+    }));
+  }
+
+  /**
+   * Get the Express middleware serving the API
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return async (req, res) => {
+      const queryStart = req.url.indexOf('?');
+      const pathname = queryStart === -1 ? req.url : req.url.slice(0, queryStart);
+      const query = new URLSearchParams(queryStart === -1 ? '' : req.url.slice(queryStart));
+
+      const matches = this.routes
+        .map(route => ({ route, match: route.path.regexp.exec(pathname) }))
+        .filter(({ match }) => match);
+      const found = matches.find(({ route }) => route.method === req.method);
+
+      if (!found) {
+        if (matches.length > 0) {
+          res.set('Allow', matches.map(({ route }) => route.method).join(', '));
+          this.sendError(res, createAdminError(405, `${req.method} is not allowed on ${pathname}`));
+        } else {
+          this.sendError(res, createAdminError(404, `No admin endpoint at ${pathname}`));
+        }
+        return;
+      }
+
+      const { route, match } = found;
+      const params = {};
+      let actor = null;
+      let body = {};
+      try {
+        route.path.keys.forEach((key, index) => {
+          params[key] = decodeURIComponent(match[index + 1]);
+        });
+        actor = await this.authenticate(req);
+        if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+          body = await this.readBody(req);
+        }
+
+        const { status = 200, result } = await this[route.handler](params, body, query);
+        if (route.action) {
+          this.audit({ actor, action: route.action, params, body, status });
+        }
+        res.status(status).json(result);
+      } catch (err) {
+        const error = err instanceof URIError ? createAdminError(400, `Malformed path ${pathname}`) : err;
+        if (route.action) {
+          this.audit({ actor, action: route.action, params, body, status: error.statusCode || 500, error });
+        }
+        this.sendError(res, error);
+      }
+    };
+  }
+
+  /**
+   * Run the auth function for a request
+   * @param {Object} req - Incoming request
+   * @returns {Promise<*>} Identity of the caller
+   */
+  async authenticate(req) {
+    if (!this.auth) {
+      return 'anonymous';
+    }
+
+    const identity = await this.auth(req);
+    if (!identity) {
+      throw createAdminError(401, 'Authentication required');
+    }
+    return identity === true ? req.ip || req.socket.remoteAddress : identity;
+  }
+
+  /**
+   * Read the JSON body of a request, using the body parsed by express.json() if there is one
+   * @param {Object} req - Incoming request
+   * @returns {Promise<Object>} Request body (empty if there is none)
+   */
+  async readBody(req) {
+    let body = req.body;
+
+    if (body === undefined || Buffer.isBuffer(body) || typeof body === 'string') {
+      const raw = Buffer.isBuffer(body) || typeof body === 'string' ? String(body) : String(await bufferRequestBody(req));
+      try {
+        body = raw.trim() ? JSON.parse(raw) : {};
+      } catch (err) {
+        throw createAdminError(400, `Request body is not valid JSON: ${err.message}`);
+      }
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw createAdminError(400, 'Request body must be a JSON object');
+    }
+    return body;
+  }
+
+  /**
+   * Add an entry to the audit log
+   * @param {Object} details - `{ actor, action, params, body, status, error }`
+   */
+  audit({ actor, action, params, body, status, error }) {
+    const entry = {
+      time: new Date().toISOString(),
+      actor,
+      action,
+      service: params.service || body.name || null,
+      ...(params.target ? { target: params.target } : {}),
+      request: redactSettings(body),
+      status,
+      outcome: error ? 'failure' : 'success',
+      ...(error ? { error: error.message } : {})
+    };
+
+    this.auditLog.push(entry);
+    if (this.auditLog.length > this.auditLogSize) {
+      this.auditLog.shift();
+    }
+
+    this.proxy.emit('audit', entry);
+    if (this.onAudit) {
+      // The change is already applied; a failing hook must not turn it into an error response
+      try {
+        this.onAudit(entry);
+      } catch (error) {
+        this.proxy.emit('error', { service: entry.service, action: entry.action, error });
+      }
+    }
+  }
+
+  /**
+   * Send an error response
+   * @param {Object} res - Client response
+   * @param {Error} err - Error, with an optional statusCode and errors list
+   */
+  sendError(res, err) {
+    const statusCode = err.statusCode || 500;
+    res.status(statusCode).json({
+      error: http.STATUS_CODES[statusCode],
+      message: err.message,
+      ...(err.errors ? { errors: err.errors } : {})
+    });
+  }
+
+  /**
+   * Get a registered service record
+   * @param {string} serviceName - Name of the service
+   * @returns {Object} Service record
+   */
+  requireService(serviceName) {
+    const service = this.proxy.services.get(serviceName);
+    if (!service) {
+      throw createAdminError(404, `Service "${serviceName}" is not registered`);
+    }
+    return service;
+  }
+
+  /**
+   * Get the static target list of a service or one of its groups
+   * @param {Object} service - Service record
+   * @param {string} group - Target group (required for services with groups)
+   * @returns {Array<string|Object>} Registered targets
+   */
+  getTargetList(service, group) {
+    const { targets } = service.registration;
+
+    if (service.groups && group === undefined) {
+      throw createAdminError(400, 'Invalid request: group is required for services with target groups',
+        [{ path: 'group', message: 'is required for services with target groups' }]);
+    }
+    const list = service.groups ? targets[group] : targets;
+    if (service.groups && !list) {
+      throw createAdminError(404, `Target group "${group}" does not exist`);
+    }
+    if (isDiscoveryProvider(list)) {
+      throw createAdminError(409, 'Targets of this service come from service discovery');
+    }
+    return list;
+  }
+
+  /**
+   * Replace the static target list of a service or one of its groups
+   * @param {string} serviceName - Name of the service
+   * @param {Object} service - Service record
+   * @param {string} group - Target group, for services with groups
+   * @param {Array<string|Object>} list - New targets
+   */
+  setTargetList(serviceName, service, group, list) {
+    const { targets } = service.registration;
+    this.proxy.updateService(serviceName, { targets: service.groups ? { ...targets, [group]: list } : list });
+  }
+
+  /**
+   * Describe a service
+   * @param {string} serviceName - Name of the service
+   * @returns {Object} Status, strategy, settings and routes of the service
+   */
+  describeService(serviceName) {
+    const service = this.requireService(serviceName);
+
+    return {
+      name: serviceName,
+      ...this.proxy.getServiceStatus(serviceName),
+      strategy: typeof service.options.loadBalancingStrategy === 'string'
+        ? service.options.loadBalancingStrategy
+        : (service.options.loadBalancingStrategy ? 'custom' : 'round-robin'),
+      settings: redactSettings(service.registration.options),
+      routes: this.proxy.getRoutes().filter(route => route.service === serviceName)
+    };
+  }
+
+  /**
+   * Change the mount paths of a service
+   * @param {string} serviceName - Name of the service
+   * @param {string|Array<string>} mount - Mount paths
+   */
+  mountService(serviceName, mount) {
+    this.proxy.getRoutes()
+      .filter(route => route.service === serviceName && route.id.startsWith(`${serviceName}:`))
+      .forEach(route => this.proxy.removeRoute(route.id));
+
+    getMounts(serviceName, { mount }).forEach((path) => {
+      this.proxy.addRoute({ id: `${serviceName}:${path}`, service: serviceName, path, stripPrefix: true });
+    });
+  }
+
+  /**
+   * GET /services: list the registered services
+   * @returns {Object} Handler result
+   */
+  listServices() {
+    const services = [...this.proxy.services.keys()].map((name) => {
+      const { status, strategy, routes } = this.describeService(name);
+      return { name, status, strategy, routes: routes.length };
+    });
+    return { result: { services } };
+  }
+
+  /**
+   * GET /services/:service: describe a service
+   * @param {Object} params - Path params
+   * @returns {Object} Handler result
+   */
+  showService(params) {
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * POST /services: register a service from `{ name, ...settings }`, with the settings of a
+   * service section of the gateway config; it is mounted on `mount` (default: `/<name>`)
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @returns {Object} Handler result
+   */
+  createService(params, body) {
+    const { name, ...serviceConfig } = body;
+
+    if (typeof name !== 'string' || !SERVICE_NAME.test(name)) {
+      assertValid([{ path: 'name', message: 'must be a string of letters, digits, ".", "_" or "-"' }]);
+    }
+    assertValid(validateServiceConfig(serviceConfig, ''));
+    if (this.proxy.services.has(name)) {
+      throw createAdminError(409, `Service "${name}" is already registered`);
+    }
+
+    this.proxy.registerService(name, serviceConfig.targets, getServiceOptions(serviceConfig));
+    this.mountService(name, serviceConfig.mount);
+    return { status: 201, result: this.describeService(name) };
+  }
+
+  /**
+   * PATCH /services/:service: change some settings of a service; the settings given
+   * replace the current ones
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @returns {Object} Handler result
+   */
+  updateService(params, body) {
+    const service = this.requireService(params.service);
+    assertValid(validateServiceConfig(body, '', true));
+
+    const { targets, mount, ...settings } = body;
+    const options = getServiceOptions(settings);
+
+    // A new timeout changes only the request timeout of the current breaker settings
+    if (settings.timeout !== undefined && settings.circuitBreaker === undefined) {
+      options.circuitBreaker = { ...service.registration.options.circuitBreaker, requestTimeout: settings.timeout };
+    }
+
+    this.proxy.updateService(params.service, { targets, options });
+    if (mount !== undefined) {
+      this.mountService(params.service, mount);
+    }
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * DELETE /services/:service?timeout=ms: unmount a service and unregister it once its
+   * requests in flight finished
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @param {URLSearchParams} query - Query params
+   * @returns {Promise<Object>} Handler result
+   */
+  async deleteService(params, body, query) {
+    this.requireService(params.service);
+
+    const timeout = query.has('timeout') ? Number(query.get('timeout')) : undefined;
+    if (timeout !== undefined && !(timeout >= 0)) {
+      assertValid([{ path: 'timeout', message: 'must be a non-negative number' }]);
+    }
+
+    this.proxy.getRoutes()
+      .filter(route => route.service === params.service)
+      .forEach(route => this.proxy.removeRoute(route.id));
+
+    const drained = await this.proxy.unregisterService(params.service, { timeout });
+    return { result: { name: params.service, drained } };
+  }
+
+  /**
+   * POST /services/:service/targets: add a target from `{ url, weight, group }`
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @returns {Object} Handler result
+   */
+  addTarget(params, body) {
+    const service = this.requireService(params.service);
+    const { url, weight, group } = body;
+    assertValid(validateServiceConfig({ targets: [weight === undefined ? url : { url, weight }] }, '', true)
+      .map(error => ({ path: error.path.replace(/^targets\[0\]\.?/, '') || 'url', message: error.message })));
+
+    const list = this.getTargetList(service, group);
+    if (list.some(target => (typeof target === 'string' ? target : target.url) === url)) {
+      throw createAdminError(409, `Target ${url} is already registered`);
+    }
+
+    this.setTargetList(params.service, service, group, [...list, weight === undefined ? url : { url, weight }]);
+    return { status: 201, result: this.describeService(params.service) };
+  }
+
+  /**
+   * DELETE /services/:service/targets/:target?group=name: remove a target
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @param {URLSearchParams} query - Query params
+   * @returns {Object} Handler result
+   */
+  removeTarget(params, body, query) {
+    const service = this.requireService(params.service);
+    const group = query.has('group') ? query.get('group') : undefined;
+    const list = this.getTargetList(service, group);
+    const remaining = list.filter(target => (typeof target === 'string' ? target : target.url) !== params.target);
+
+    if (remaining.length === list.length) {
+      throw createAdminError(404, `Target ${params.target} is not registered`);
+    }
+    if (remaining.length === 0) {
+      throw createAdminError(409, 'Cannot remove the last target; delete the service instead');
+    }
+
+    this.setTargetList(params.service, service, group, remaining);
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * POST /services/:service/targets/:target/drain: stop sending new requests to a target
+   * @param {Object} params - Path params
+   * @returns {Object} Handler result
+   */
+  drainTarget(params) {
+    return this.setTargetDraining(params, true);
+  }
+
+  /**
+   * POST /services/:service/targets/:target/undrain: send new requests to a drained target again
+   * @param {Object} params - Path params
+   * @returns {Object} Handler result
+   */
+  undrainTarget(params) {
+    return this.setTargetDraining(params, false);
+  }
+
+  /**
+   * Drain or undrain a target in whichever pool of the service contains it
+   * @param {Object} params - `{ service, target }`
+   * @param {boolean} draining - Whether the target should be drained
+   * @returns {Object} Handler result
+   */
+  setTargetDraining(params, draining) {
+    const service = this.requireService(params.service);
+    const pools = getPools(service).filter(pool => pool.loadBalancer.getTargets().includes(params.target));
+
+    if (pools.length === 0) {
+      throw createAdminError(404, `Target ${params.target} is not registered`);
+    }
+
+    pools.forEach((pool) => {
+      if (draining) {
+        pool.loadBalancer.drainTarget(params.target);
+      } else {
+        pool.loadBalancer.undrainTarget(params.target);
+      }
+    });
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * POST /services/:service/circuit: set circuit breakers from `{ state, target, group }`;
+   * 'open' holds the circuit open until it is closed or reset
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @returns {Object} Handler result
+   */
+  setCircuitState(params, body) {
+    const service = this.requireService(params.service);
+    const { state, target, group } = body;
+
+    const errors = [];
+    if (!CIRCUIT_ACTIONS[state]) {
+      errors.push({ path: 'state', message: `must be one of ${Object.keys(CIRCUIT_ACTIONS).join(', ')}` });
+    }
+    if (target !== undefined && typeof target !== 'string') {
+      errors.push({ path: 'target', message: 'must be a string' });
+    }
+    if (service.groups && group === undefined) {
+      errors.push({ path: 'group', message: 'is required for services with target groups' });
+    }
+    assertValid(errors);
+
+    const pool = service.groups ? service.groups.get(group) : service;
+    if (!pool) {
+      throw createAdminError(404, `Target group "${group}" does not exist`);
+    }
+
+    let breaker = pool.circuitBreaker;
+    if (target !== undefined) {
+      if (!pool.targetBreakers) {
+        throw createAdminError(409, 'Service does not use per-target circuit breakers');
+      }
+      if (!pool.loadBalancer.getTargets().includes(target)) {
+        throw createAdminError(404, `Target ${target} is not registered`);
+      }
+      if (!pool.targetBreakers.has(target)) {
+        pool.targetBreakers.set(target, pool.createCircuitBreaker(target));
+      }
+      breaker = pool.targetBreakers.get(target);
+    } else if (pool.targetBreakers) {
+      // Without a target, apply the state to every target's breaker
+      pool.loadBalancer.getTargets().forEach((url) => {
+        if (!pool.targetBreakers.has(url)) {
+          pool.targetBreakers.set(url, pool.createCircuitBreaker(url));
+        }
+      });
+      breaker = null;
+    }
+
+    const breakers = breaker ? [breaker] : [...pool.targetBreakers.values()];
+    breakers.forEach(CIRCUIT_ACTIONS[state]);
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * PUT /services/:service/strategy: change the load balancing strategy from `{ strategy, options }`
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @returns {Object} Handler result
+   */
+  setStrategy(params, body) {
+    this.requireService(params.service);
+    const { strategy, options } = body;
+
+    const strategies = LoadBalancer.getStrategies();
+    const errors = [];
+    if (!strategies.includes(strategy)) {
+      errors.push({ path: 'strategy', message: `must be one of ${strategies.join(', ')}` });
+    }
+    if (options !== undefined && (!options || typeof options !== 'object' || Array.isArray(options))) {
+      errors.push({ path: 'options', message: 'must be an object' });
+    }
+    assertValid(errors);
+
+    this.proxy.updateService(params.service, {
+      options: {
+        loadBalancingStrategy: strategy,
+        ...(options !== undefined ? { loadBalancingOptions: options } : {})
+      }
+    });
+    return { result: this.describeService(params.service) };
+  }
+
+  /**
+   * GET /audit?limit=n: list the most recent audit entries, oldest first
+   * @param {Object} params - Path params
+   * @param {Object} body - Request body
+   * @param {URLSearchParams} query - Query params
+   * @returns {Object} Handler result
+   */
+  getAuditLog(params, body, query) {
+    const limit = query.has('limit') ? Number(query.get('limit')) : this.auditLogSize;
+    return { result: { entries: limit > 0 ? this.auditLog.slice(-limit) : [] } };
+  }
+}
+
+module.exports = { AdminApi };
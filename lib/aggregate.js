@@ -0,0 +1,259 @@
+const http = require('http');
+
+// Headers of the incoming request passed on to every call unless the spec says otherwise
+const DEFAULT_FORWARD_HEADERS = ['authorization', 'cookie', 'accept-language', 'x-request-id'];
+
+// Key of the response that lists the calls that failed
+const ERRORS_KEY = 'errors';
+
+/**
+ * Look up a dotted path such as `user.address.city` in an object
+ * @param {Object} source - Object to read from
+ * @param {Array<string>} keys - Path segments
+ * @returns {*} Value, or undefined if any segment is missing
+ */
+function getPath(source, keys) {
+  return keys.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), source);
+}
+
+/**
+ * Compile a path template such as `/orders?customer={user.id}&page={query.page}`.
+ * Placeholders refer to the result of an earlier call, or to `params` and `query`
+ * of the incoming request; values are URL-encoded.
+ * @param {string} template - Path template
+ * @param {string} name - Name of the call, for error messages
+ * @param {Set<string>} callNames - Names of all calls of the spec
+ * @returns {Object} `{ dependencies, render }`; render takes `(req, results)`
+ */
+function compilePathTemplate(template, name, callNames) {
+  const placeholders = (template.match(/\{[^}]+\}/g) || []).map(placeholder => placeholder.slice(1, -1).split('.'));
+  const dependencies = new Set();
+
+  placeholders.forEach(([source]) => {
+    if (callNames.has(source)) {
+      dependencies.add(source);
+    } else if (source !== 'params' && source !== 'query') {
+      throw new Error(`Unknown placeholder {${source}} in the path of call "${name}"`);
+    }
+  });
+
+  const render = (req, results) => template.replace(/\{([^}]+)\}/g, (placeholder, expression) => {
+    const [source, ...keys] = expression.split('.');
+    const value = callNames.has(source)
+      ? getPath(results[source], keys)
+      : getPath(req[source], keys);
+
+    if (value === undefined || value === null || typeof value === 'object') {
+      throw new Error(`No value for ${placeholder}`);
+    }
+    return encodeURIComponent(String(value));
+  });
+
+  return { dependencies: [...dependencies], render };
+}
+
+/**
+ * Parse the body of a call's response
+ * @param {Object} response - `{ headers, body }` of the call
+ * @returns {*} Parsed JSON, the body as text for other content types, or null if it is empty
+ */
+function parseBody(response) {
+  if (response.body.length === 0) {
+    return null;
+  }
+
+  const text = response.body.toString();
+  if (/json/i.test(response.headers['content-type'] || '')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Answers one request with the combined responses of several services. Calls run in
+ * parallel through each service's load balancer and circuit breaker; a call that needs
+ * fields of another call's response waits for it. The results are merged under the
+ * names of the calls, and calls that failed are listed under `errors`.
+ */
+class Aggregator {
+  /**
+   * Create a new aggregator
+   * @param {ServiceProxy} proxy - Proxy whose services are called
+   * @param {Object} spec - Aggregation spec
+   * @param {Object} spec.calls - Calls by the key their result is merged under. Each has
+   *   `service`, `path` (a template such as `/users/{params.id}` or `/orders?user={user.id}`, or
+   *   an async function `(req, results)`), and optionally `method`, `headers`, `body` (a value or
+   *   function `(req, results)`, sent as JSON), `timeout`, `dependsOn` (names of calls whose results
+   *   the path or body need; inferred for templates), `required` (fail the whole response if the
+   *   call fails) and `transform` (function `(result, req)` applied to the parsed result)
+   * @param {number} spec.timeout - Default timeout of each call in ms (default: the service's
+   *   requestTimeout)
+   * @param {Array<string>} spec.forwardHeaders - Incoming request headers passed on to every call
+   *   (default: authorization, cookie, accept-language, x-request-id)
+   */
+  constructor(proxy, spec = {}) {
+    const calls = spec.calls || {};
+    const callNames = new Set(Object.keys(calls));
+
+    if (callNames.size === 0) {
+      throw new Error('An aggregate needs at least one call');
+    }
+    if (callNames.has(ERRORS_KEY)) {
+      throw new Error(`"${ERRORS_KEY}" is reserved for the errors of failed calls`);
+    }
+
+    this.proxy = proxy;
+    this.timeout = spec.timeout;
+    this.forwardHeaders = (spec.forwardHeaders || DEFAULT_FORWARD_HEADERS).map(header => header.toLowerCase());
+    this.calls = new Map(Object.entries(calls).map(([name, call]) => {
+      if (!call || typeof call.service !== 'string') {
+        throw new Error(`Call "${name}" must name a service`);
+      }
+      if (typeof call.path !== 'string' && typeof call.path !== 'function') {
+        throw new Error(`Call "${name}" must have a path template or function`);
+      }
+
+      const template = typeof call.path === 'string' ? compilePathTemplate(call.path, name, callNames) : null;
+      const dependsOn = [...new Set([...(call.dependsOn || []), ...(template ? template.dependencies : [])])];
+      dependsOn.forEach((dependency) => {
+        if (!callNames.has(dependency)) {
+          throw new Error(`Call "${name}" depends on unknown call "${dependency}"`);
+        }
+      });
+
+      return [name, {
+        ...call,
+        method: (call.method || 'GET').toUpperCase(),
+        render: template ? template.render : call.path,
+        dependsOn
+      }];
+    }));
+
+    this.assertAcyclic();
+  }
+
+  /**
+   * Make sure no call depends on itself, directly or through other calls
+   */
+  assertAcyclic() {
+    const visited = new Set();
+    const visit = (name, chain) => {
+      if (chain.includes(name)) {
+        throw new Error(`Calls depend on each other: ${[...chain, name].join(' -> ')}`);
+      }
+      if (visited.has(name)) {
+        return;
+      }
+      this.calls.get(name).dependsOn.forEach(dependency => visit(dependency, [...chain, name]));
+      visited.add(name);
+    };
+
+    this.calls.forEach((call, name) => visit(name, []));
+  }
+
+  /**
+   * Run every call for an incoming request
+   * @param {Object} req - Incoming request
+   * @returns {Promise<Object>} `{ status, body }`: 200 with the results and the errors of failed
+   *   calls, or 502 if a required call or every call failed
+   */
+  async aggregate(req) {
+    const results = {};
+    const errors = {};
+    const running = new Map();
+
+    const run = (name) => {
+      if (!running.has(name)) {
+        running.set(name, this.runCall(name, req, results, errors, run));
+      }
+      return running.get(name);
+    };
+    await Promise.all([...this.calls.keys()].map(run));
+
+    const failed = Object.keys(errors);
+    const body = failed.length > 0 ? { ...results, [ERRORS_KEY]: errors } : results;
+    const requiredFailed = failed.some(name => this.calls.get(name).required);
+    const status = requiredFailed || failed.length === this.calls.size ? 502 : 200;
+    return { status, body };
+  }
+
+  /**
+   * Run one call once the calls it depends on are done, recording its result or error
+   * @param {string} name - Name of the call
+   * @param {Object} req - Incoming request
+   * @param {Object} results - Results of the calls so far
+   * @param {Object} errors - Errors of the calls so far
+   * @param {Function} run - Runs another call of the same request
+   * @returns {Promise<void>} Resolves once the call is done; never rejects
+   */
+  async runCall(name, req, results, errors, run) {
+    const call = this.calls.get(name);
+    await Promise.all(call.dependsOn.map(run));
+
+    const failedDependency = call.dependsOn.find(dependency => errors[dependency]);
+    if (failedDependency) {
+      errors[name] = { service: call.service, message: `Skipped because "${failedDependency}" failed` };
+      return;
+    }
+
+    try {
+      const path = await call.render(req, results);
+      const headers = { accept: 'application/json' };
+      this.forwardHeaders.forEach((header) => {
+        if (req.headers[header] !== undefined) {
+          headers[header] = req.headers[header];
+        }
+      });
+      Object.assign(headers, call.headers);
+
+      let body;
+      if (call.body !== undefined) {
+        const value = typeof call.body === 'function' ? await call.body(req, results) : call.body;
+        body = JSON.stringify(value);
+        headers['content-type'] = 'application/json';
+        headers['content-length'] = String(Buffer.byteLength(body));
+      }
+
+      const response = await this.proxy.callService(call.service, {
+        method: call.method,
+        path,
+        headers,
+        body,
+        timeout: call.timeout || this.timeout,
+        req
+      });
+
+      const parsed = parseBody(response);
+      if (response.statusCode >= 400) {
+        errors[name] = {
+          service: call.service,
+          status: response.statusCode,
+          message: (parsed && parsed.message) || http.STATUS_CODES[response.statusCode]
+        };
+        return;
+      }
+
+      results[name] = call.transform ? await call.transform(parsed, req) : parsed;
+    } catch (err) {
+      errors[name] = { service: call.service, status: err.statusCode || 500, message: err.message };
+    }
+  }
+
+  /**
+   * Get middleware answering each request with the aggregated results
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      this.aggregate(req)
+        .then(({ status, body }) => res.status(status).json(body))
+        .catch(next);
+    };
+  }
+}
+
+module.exports = { Aggregator };
@@ -0,0 +1,533 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const { compilePath } = require('./router');
+
+// Hash functions of the supported JWT algorithms
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const RSA_ALGORITHMS = { RS256: 'sha256', RS384: 'sha384', RS512: 'sha512' };
+
+/**
+ * Create an error that is sent to the client with the given status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code (default: 401)
+ * @param {Object} headers - Headers to send with the error response
+ * @returns {Error} Error with statusCode and headers properties
+ */
+function createAuthError(message, statusCode = 401, headers = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Get the path of a request as rules see it: decoded, lowercase and with repeated
+ * slashes collapsed, so that other spellings of a protected path still match its rule
+ * @param {string} url - Path and query of the request
+ * @returns {string} Normalized path
+ * @throws {Error} With statusCode 400 if the path cannot be decoded or has dot segments,
+ *   which the target would resolve to a path other than the one the rules were checked for
+ */
+function normalizeRulePath(url) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.split('?')[0]);
+  } catch (err) {
+    throw createAuthError('Invalid request path', 400);
+  }
+
+  const segments = pathname.split(/[/\\]+/);
+  if (segments.some(segment => segment === '.' || segment === '..')) {
+    throw createAuthError('Invalid request path', 400);
+  }
+  return segments.join('/').toLowerCase();
+}
+
+/**
+ * Compare two secrets in constant time
+ * @param {string} a - First secret
+ * @param {string} b - Second secret
+ * @returns {boolean} True if the secrets are equal
+ */
+function safeEqual(a, b) {
+  // Hash first so the comparison does not reveal the length of the secret
+  const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Read a list of values that may be given as an array or a space separated string
+ * @param {Array<string>|string|undefined} value - Claim or option value
+ * @returns {Array<string>} Values
+ */
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : String(value).split(' ').filter(Boolean);
+}
+
+/**
+ * Fetch and parse a JSON document
+ * @param {string} url - Document URL
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<Object>} Parsed document
+ */
+function fetchJson(url, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const req = client.get(url, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          reject(new Error(`${url} answered with status ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString()));
+        } catch (err) {
+          reject(new Error(`${url} is not valid JSON: ${err.message}`));
+        }
+      });
+      res.on('error', reject);
+    });
+
+    req.setTimeout(timeout, () => req.destroy(new Error(`${url} timed out after ${timeout}ms`)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Keeps the RSA signing keys of a JSON Web Key Set, loaded from a file or URL and
+ * cached. A token signed with an unknown key id triggers an early refresh, so
+ * rotated keys are picked up without waiting for the cache to expire.
+ */
+class JwksClient {
+  /**
+   * Create a new JWKS client
+   * @param {Object} options - JWKS options
+   * @param {string} options.file - Path of a JWKS file
+   * @param {string} options.url - URL of a JWKS endpoint
+   * @param {number} options.cacheTtl - How long keys are cached in ms (default: 600000)
+   * @param {number} options.minRefreshInterval - Shortest time in ms between two loads (default: 30000)
+   * @param {number} options.timeout - Timeout of JWKS requests in ms (default: 5000)
+   */
+  constructor(options = {}) {
+    if (!options.file && !options.url) {
+      throw new Error('JWKS requires a file or url');
+    }
+
+    this.file = options.file || null;
+    this.url = options.url || null;
+    this.cacheTtl = options.cacheTtl !== undefined ? options.cacheTtl : 600000;
+    this.minRefreshInterval = options.minRefreshInterval !== undefined ? options.minRefreshInterval : 30000;
+    this.timeout = options.timeout || 5000;
+    this.keys = null;
+    this.loadedAt = 0;
+    this.expiresAt = 0;
+    this.loading = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Get the key a token was signed with
+   * @param {string} kid - Key id from the token header; may be left out if the set has one key
+   * @returns {Promise<KeyObject>} Public key
+   */
+  async getKey(kid) {
+    if (Date.now() >= this.expiresAt) {
+      await this.refresh();
+    }
+
+    let key = this.findKey(kid);
+    if (!key && Date.now() - this.loadedAt >= this.minRefreshInterval) {
+      await this.refresh();
+      key = this.findKey(kid);
+    }
+
+    if (!this.keys) {
+      throw createAuthError(`Signing keys are unavailable: ${this.lastError}`, 503);
+    }
+    if (!key) {
+      throw createAuthError('Invalid token: signed with an unknown key');
+    }
+    return key;
+  }
+
+  /**
+   * Look up a cached key
+   * @param {string} kid - Key id
+   * @returns {KeyObject|null} Public key, or null if it is not cached
+   */
+  findKey(kid) {
+    if (!this.keys) {
+      return null;
+    }
+    if (kid === undefined) {
+      return this.keys.length === 1 ? this.keys[0].key : null;
+    }
+
+    const entry = this.keys.find(candidate => candidate.kid === kid);
+    return entry ? entry.key : null;
+  }
+
+  /**
+   * Load the key set again; concurrent calls share one load. A failed load keeps
+   * the cached keys and is retried after the minimum refresh interval.
+   * @returns {Promise<void>} Resolves once the load completed or failed
+   */
+  refresh() {
+    if (!this.loading) {
+      const load = this.file
+        ? fs.promises.readFile(this.file, 'utf8').then(JSON.parse)
+        : fetchJson(this.url, this.timeout);
+
+      this.loading = load.then((jwks) => {
+        this.keys = (jwks.keys || [])
+          .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+          .map(jwk => ({ kid: jwk.kid, key: crypto.createPublicKey({ key: jwk, format: 'jwk' }) }));
+        this.expiresAt = Date.now() + this.cacheTtl;
+        this.lastError = null;
+      }).catch((err) => {
+        this.expiresAt = Date.now() + this.minRefreshInterval;
+        this.lastError = err.message;
+      }).finally(() => {
+        this.loadedAt = Date.now();
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+}
+
+/**
+ * Authenticates requests with JWTs, API keys or Basic auth, applies scope and role
+ * rules, and forwards verified claims to the upstream as headers
+ */
+class Authenticator {
+  /**
+   * Create a new authenticator
+   * @param {Object} options - Auth options; at least one of jwt, apiKeys and basic is required
+   * @param {Object} options.jwt - Accept `Authorization: Bearer <JWT>`
+   * @param {string} options.jwt.secret - Secret of HMAC signed tokens (HS256, HS384, HS512)
+   * @param {string|KeyObject} options.jwt.publicKey - PEM public key of RSA signed tokens (RS256, RS384, RS512)
+   * @param {Object} options.jwt.jwks - Load RSA keys from a JSON Web Key Set instead (file or url,
+   *   cacheTtl; see JwksClient)
+   * @param {Array<string>} options.jwt.algorithms - Accepted algorithms (default: those of the configured keys)
+   * @param {string|Array<string>} options.jwt.issuer - Accepted `iss` claims
+   * @param {string|Array<string>} options.jwt.audience - Accepted `aud` claims; one must match
+   * @param {number} options.jwt.clockTolerance - Leeway for `exp` and `nbf` in seconds (default: 0)
+   * @param {Object} options.apiKeys - Accept API keys in a header
+   * @param {string} options.apiKeys.header - Header carrying the key (default: 'x-api-key')
+   * @param {Array<string>|Object} options.apiKeys.keys - Valid keys, or keys mapped to their claims
+   *   such as `{ sub, scope, roles }`
+   * @param {Function} options.apiKeys.verify - Called with a key; returns (or resolves with) its
+   *   claims, or a falsy value for unknown keys
+   * @param {Object} options.basic - Accept `Authorization: Basic` credentials
+   * @param {Object} options.basic.users - Passwords by user name, or `{ password, ...claims }`
+   * @param {Function} options.basic.verify - Called with the user name and password; returns (or
+   *   resolves with) the user's claims, or a falsy value
+   * @param {string} options.basic.realm - Realm sent in the challenge (default: 'Restricted')
+   * @param {Array<Object>} options.rules - Requirements per path, first match wins: `{ path, methods,
+   *   scopes, roles, public }`; every listed scope and any listed role is required, and public
+   *   paths need no credentials. Paths match the decoded request path and everything below
+   *   it, ignoring case.
+   * @param {Object} options.forwardClaims - Claims sent upstream, by header name (default:
+   *   `{ sub: 'X-Auth-Subject' }`); these headers are always removed from client requests
+   */
+  constructor(options = {}) {
+    if (!options.jwt && !options.apiKeys && !options.basic) {
+      throw new Error('Auth requires at least one of jwt, apiKeys or basic');
+    }
+
+    this.jwt = null;
+    if (options.jwt) {
+      const { secret, publicKey, jwks } = options.jwt;
+      if (!secret && !publicKey && !jwks) {
+        throw new Error('JWT auth requires a secret, publicKey or jwks');
+      }
+
+      this.jwt = {
+        secret: secret || null,
+        publicKey: publicKey ? crypto.createPublicKey(publicKey) : null,
+        jwksClient: jwks ? new JwksClient(jwks) : null,
+        algorithms: options.jwt.algorithms || [
+          ...(secret ? Object.keys(HMAC_ALGORITHMS) : []),
+          ...(publicKey || jwks ? Object.keys(RSA_ALGORITHMS) : [])
+        ],
+        issuers: toList(options.jwt.issuer),
+        audiences: toList(options.jwt.audience),
+        clockTolerance: options.jwt.clockTolerance || 0
+      };
+
+      // Tokens signed with an algorithm that has no key to verify it could never be accepted
+      this.jwt.algorithms.forEach((algorithm) => {
+        if (!HMAC_ALGORITHMS[algorithm] && !RSA_ALGORITHMS[algorithm]) {
+          throw new Error(`JWT algorithm ${algorithm} is not supported`);
+        }
+        if (HMAC_ALGORITHMS[algorithm] && !secret) {
+          throw new Error(`JWT algorithm ${algorithm} requires a secret`);
+        }
+        if (RSA_ALGORITHMS[algorithm] && !publicKey && !jwks) {
+          throw new Error(`JWT algorithm ${algorithm} requires a publicKey or jwks`);
+        }
+      });
+    }
+
+    this.apiKeys = null;
+    if (options.apiKeys) {
+      const { keys = [] } = options.apiKeys;
+      this.apiKeys = {
+        header: (options.apiKeys.header || 'x-api-key').toLowerCase(),
+        keys: new Map(Array.isArray(keys) ? keys.map(key => [key, {}]) : Object.entries(keys)),
+        verify: options.apiKeys.verify || null
+      };
+    }
+
+    this.basic = options.basic ? {
+      users: options.basic.users || {},
+      verify: options.basic.verify || null,
+      realm: options.basic.realm || 'Restricted'
+    } : null;
+
+    this.rules = (options.rules || []).map(rule => ({
+      ...rule,
+      path: compilePath((rule.path || '/').toLowerCase(), false),
+      methods: rule.methods ? rule.methods.map(method => method.toUpperCase()) : null,
+      scopes: toList(rule.scopes),
+      roles: toList(rule.roles)
+    }));
+
+    this.forwardClaims = Object.entries(options.forwardClaims || { sub: 'X-Auth-Subject' })
+      .map(([claim, header]) => [claim, header.toLowerCase()]);
+  }
+
+  /**
+   * Authenticate and authorize a request, replacing the claim headers it was sent
+   * with the verified claims
+   * @param {Object} req - Incoming request
+   * @returns {Promise<Object|null>} `{ method, subject, claims, scopes, roles }` of the caller,
+   *   or null for public paths
+   * @throws {Error} With statusCode 401 for missing or invalid credentials, 403 when a rule
+   *   is not met and 503 when signing keys cannot be loaded
+   */
+  async authenticate(req) {
+    // Clients must not be able to pass claims of their own
+    this.forwardClaims.forEach(([, header]) => {
+      delete req.headers[header];
+    });
+
+    const rule = this.findRule(req);
+    if (rule && rule.public) {
+      return null;
+    }
+
+    const identity = await this.identify(req);
+    if (!identity) {
+      throw createAuthError('Authentication required', 401, this.getChallenge());
+    }
+
+    if (rule) {
+      this.authorize(identity, rule);
+    }
+
+    this.forwardClaims.forEach(([claim, header]) => {
+      const value = identity.claims[claim];
+      if (value !== undefined && value !== null) {
+        req.headers[header] = Array.isArray(value) ? value.join(' ') : String(value);
+      }
+    });
+    return identity;
+  }
+
+  /**
+   * Find the rule that applies to a request. Paths match case-insensitively after decoding.
+   * @param {Object} req - Incoming request
+   * @returns {Object|null} First matching rule
+   * @throws {Error} With statusCode 400 for paths that cannot be matched safely
+   */
+  findRule(req) {
+    const pathname = normalizeRulePath(req.url);
+    return this.rules.find(rule => (!rule.methods || rule.methods.includes(req.method)) &&
+      rule.path.regexp.test(pathname)) || null;
+  }
+
+  /**
+   * Verify the credentials of a request with the method they were sent for
+   * @param {Object} req - Incoming request
+   * @returns {Promise<Object|null>} Identity, or null if the request has no credentials
+   */
+  async identify(req) {
+    const authorization = req.headers.authorization || '';
+    const separator = authorization.indexOf(' ');
+    const scheme = separator === -1 ? authorization : authorization.slice(0, separator);
+    const credentials = separator === -1 ? '' : authorization.slice(separator + 1).trim();
+
+    if (this.jwt && /^bearer$/i.test(scheme)) {
+      return this.verifyJwt(credentials);
+    }
+    if (this.basic && /^basic$/i.test(scheme)) {
+      return this.verifyBasic(credentials);
+    }
+    if (this.apiKeys && req.headers[this.apiKeys.header]) {
+      return this.verifyApiKey(String(req.headers[this.apiKeys.header]));
+    }
+    return null;
+  }
+
+  /**
+   * Verify a JWT's signature and its exp, nbf, iss and aud claims
+   * @param {string} token - Compact serialized JWT
+   * @returns {Promise<Object>} Identity
+   */
+  async verifyJwt(token) {
+    const invalid = reason => createAuthError(`Invalid token: ${reason}`, 401, {
+      'WWW-Authenticate': `Bearer error="invalid_token", error_description="${reason}"`
+    });
+
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw invalid('malformed');
+    }
+
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64url').toString());
+      payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (err) {
+      throw invalid('malformed');
+    }
+    if (!payload || typeof payload !== 'object') {
+      throw invalid('malformed');
+    }
+
+    const { jwt } = this;
+    if (!jwt.algorithms.includes(header.alg)) {
+      throw invalid(`algorithm ${header.alg} is not accepted`);
+    }
+
+    const signingInput = Buffer.from(`${parts[0]}.${parts[1]}`);
+    const signature = Buffer.from(parts[2], 'base64url');
+    let valid = false;
+    if (HMAC_ALGORITHMS[header.alg] && jwt.secret) {
+      const expected = crypto.createHmac(HMAC_ALGORITHMS[header.alg], jwt.secret).update(signingInput).digest();
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    } else if (RSA_ALGORITHMS[header.alg] && (jwt.publicKey || jwt.jwksClient)) {
+      const key = jwt.publicKey || await jwt.jwksClient.getKey(header.kid);
+      valid = crypto.verify(RSA_ALGORITHMS[header.alg], signingInput, key, signature);
+    }
+    if (!valid) {
+      throw invalid('signature verification failed');
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof payload.exp === 'number' && now > payload.exp + jwt.clockTolerance) {
+      throw invalid('expired');
+    }
+    if (typeof payload.nbf === 'number' && now + jwt.clockTolerance < payload.nbf) {
+      throw invalid('not valid yet');
+    }
+    if (jwt.issuers.length > 0 && !jwt.issuers.includes(payload.iss)) {
+      throw invalid('issuer is not accepted');
+    }
+    if (jwt.audiences.length > 0 && !toList(payload.aud).some(audience => jwt.audiences.includes(audience))) {
+      throw invalid('audience is not accepted');
+    }
+
+    return this.createIdentity('jwt', payload);
+  }
+
+  /**
+   * Verify Basic auth credentials
+   * @param {string} credentials - Base64 encoded `user:password`
+   * @returns {Promise<Object>} Identity
+   */
+  async verifyBasic(credentials) {
+    const decoded = Buffer.from(credentials, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const username = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+
+    let claims = null;
+    if (separator > 0) {
+      const user = Object.prototype.hasOwnProperty.call(this.basic.users, username) ? this.basic.users[username] : null;
+      if (user !== null) {
+        const { password: expected, ...userClaims } = typeof user === 'string' ? { password: user } : user;
+        claims = safeEqual(password, expected) ? userClaims : null;
+      } else if (this.basic.verify) {
+        claims = await this.basic.verify(username, password);
+      }
+    }
+
+    if (!claims) {
+      throw createAuthError('Invalid user name or password', 401, this.getChallenge());
+    }
+    return this.createIdentity('basic', { sub: username, ...(claims === true ? {} : claims) });
+  }
+
+  /**
+   * Verify an API key
+   * @param {string} key - API key
+   * @returns {Promise<Object>} Identity
+   */
+  async verifyApiKey(key) {
+    let claims = this.apiKeys.keys.get(key) || null;
+    if (!claims && this.apiKeys.verify) {
+      claims = await this.apiKeys.verify(key);
+    }
+
+    if (!claims) {
+      throw createAuthError('Invalid API key', 401);
+    }
+    return this.createIdentity('apiKey', claims === true ? {} : claims);
+  }
+
+  /**
+   * Describe a verified caller
+   * @param {string} method - 'jwt', 'apiKey' or 'basic'
+   * @param {Object} claims - Verified claims
+   * @returns {Object} `{ method, subject, claims, scopes, roles }`
+   */
+  createIdentity(method, claims) {
+    return {
+      method,
+      subject: claims.sub !== undefined ? String(claims.sub) : null,
+      claims,
+      scopes: toList(claims.scope !== undefined ? claims.scope : claims.scp),
+      roles: toList(claims.roles)
+    };
+  }
+
+  /**
+   * Check a caller against the scopes and roles a rule requires
+   * @param {Object} identity - Verified caller
+   * @param {Object} rule - Matching rule
+   */
+  authorize(identity, rule) {
+    const missing = rule.scopes.filter(scope => !identity.scopes.includes(scope));
+    if (missing.length > 0) {
+      throw createAuthError(`Missing scope: ${missing.join(', ')}`, 403);
+    }
+    if (rule.roles.length > 0 && !rule.roles.some(role => identity.roles.includes(role))) {
+      throw createAuthError(`Requires one of the roles: ${rule.roles.join(', ')}`, 403);
+    }
+  }
+
+  /**
+   * Get the challenge sent with 401 responses
+   * @returns {Object} WWW-Authenticate header for the configured schemes (empty for API keys only)
+   */
+  getChallenge() {
+    const challenges = [
+      ...(this.jwt ? ['Bearer'] : []),
+      ...(this.basic ? [`Basic realm="${this.basic.realm}"`] : [])
+    ];
+    return challenges.length > 0 ? { 'WWW-Authenticate': challenges.join(', ') } : {};
+  }
+}
+
+module.exports = { Authenticator, JwksClient };
@@ -1,7 +1,10 @@
+const { EventEmitter } = require('events');
+
 /**
- * Circuit breaker implementation to prevent cascading failures
+ * Circuit breaker implementation to prevent cascading failures.
+ * Emits 'stateChange' with (from, to) whenever the state changes.
  */
-class CircuitBreaker {
+class CircuitBreaker extends EventEmitter {
     /**
      * Create a new circuit breaker
      * @param {Object} options - Circuit breaker options
@@ -10,10 +13,12 @@ class CircuitBreaker {
      * @param {number} options.requestTimeout - Request timeout in ms
      */
     constructor(options = {}) {
+      super();
       this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
       this.failureCount = 0;
       this.successCount = 0;
       this.lastFailureTime = null;
+      this.forcedOpen = false;
       
       // Circuit breaker settings
       this.failureThreshold = options.failureThreshold || 5;
@@ -22,13 +27,24 @@ class CircuitBreaker {
       this.requestTimeout = options.requestTimeout || 10000; // 10 seconds
     }
   
+    /**
+     * Change the circuit breaker settings, keeping the current state
+     * @param {Object} options - Circuit breaker options (see constructor)
+     */
+    configure(options = {}) {
+      this.failureThreshold = options.failureThreshold || 5;
+      this.resetTimeout = options.resetTimeout || 30000;
+      this.halfOpenSuccessThreshold = options.halfOpenSuccessThreshold || 3;
+      this.requestTimeout = options.requestTimeout || 10000;
+    }
+  
     /**
      * Check if the circuit is open (service is considered unavailable)
      * @returns {boolean} True if circuit is open
      */
     isOpen() {
-      // If circuit is OPEN, check if it's time to try again
-      if (this.state === 'OPEN') {
+      // If circuit is OPEN, check if it's time to try again (unless an operator holds it open)
+      if (this.state === 'OPEN' && !this.forcedOpen) {
         const now = Date.now();
         // Check if the reset timeout has elapsed since the last failure
         if ((now - this.lastFailureTime) > this.resetTimeout) {
@@ -76,7 +92,7 @@ class CircuitBreaker {
      * Transition to OPEN state
      */
     transitionToOpen() {
-      this.state = 'OPEN';
+      this.setState('OPEN');
       this.successCount = 0;
     }
   
@@ -84,7 +100,7 @@ class CircuitBreaker {
      * Transition to HALF_OPEN state
      */
     transitionToHalfOpen() {
-      this.state = 'HALF_OPEN';
+      this.setState('HALF_OPEN');
       this.successCount = 0;
     }
   
@@ -92,16 +108,40 @@ class CircuitBreaker {
      * Transition to CLOSED state
      */
     transitionToClosed() {
-      this.state = 'CLOSED';
+      this.forcedOpen = false;
+      this.setState('CLOSED');
       this.failureCount = 0;
       this.successCount = 0;
     }
   
+    /**
+     * Open the circuit and hold it open until it is closed or reset
+     */
+    forceOpen() {
+      this.forcedOpen = true;
+      this.lastFailureTime = Date.now();
+      this.transitionToOpen();
+    }
+  
+    /**
+     * Change the state, notifying listeners if it actually changed
+     * @param {string} state - New state
+     */
+    setState(state) {
+      const previous = this.state;
+      this.state = state;
+  
+      if (previous !== state) {
+        this.emit('stateChange', previous, state);
+      }
+    }
+  
     /**
      * Reset the circuit breaker to initial state
      */
     reset() {
-      this.state = 'CLOSED';
+      this.forcedOpen = false;
+      this.setState('CLOSED');
       this.failureCount = 0;
       this.successCount = 0;
       this.lastFailureTime = null;
@@ -0,0 +1,86 @@
+/**
+ * Limits the number of requests in flight, queueing a bounded number
+ * of requests until a slot frees up
+ */
+class ConcurrencyLimiter {
+  /**
+   * Create a new concurrency limiter
+   * @param {Object} options - Concurrency options
+   * @param {number} options.maxConcurrent - Requests allowed in flight at once
+   * @param {number} options.maxQueue - Requests allowed to wait for a slot
+   * @param {number} options.queueTimeout - Time in ms a request may wait for a slot
+   */
+  constructor(options = {}) {
+    this.maxConcurrent = options.maxConcurrent || 100;
+    this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : 100;
+    this.queueTimeout = options.queueTimeout || 5000; // 5 seconds
+
+    this.active = 0;
+    this.queue = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<Function>} Resolves with a function that releases the slot;
+   *   rejects when the queue is full or the wait times out
+   */
+  acquire() {
+    if (this.active < this.maxConcurrent) {
+      this.active++;
+      return Promise.resolve(this.createRelease());
+    }
+
+    if (this.queue.length >= this.maxQueue) {
+      return Promise.reject(new Error('Too many concurrent requests'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve,
+        timer: setTimeout(() => {
+          this.queue.splice(this.queue.indexOf(waiter), 1);
+          reject(new Error('Timed out waiting for a free request slot'));
+        }, this.queueTimeout)
+      };
+      this.queue.push(waiter);
+    });
+  }
+
+  /**
+   * Create the release function of an acquired slot
+   * @returns {Function} Idempotent release function
+   */
+  createRelease() {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      // Hand the slot straight to the next waiter, if any
+      const next = this.queue.shift();
+      if (next) {
+        clearTimeout(next.timer);
+        next.resolve(this.createRelease());
+      } else {
+        this.active--;
+      }
+    };
+  }
+
+  /**
+   * Get the current limiter state
+   * @returns {Object} Active and queued request counts
+   */
+  getState() {
+    return {
+      active: this.active,
+      queued: this.queue.length,
+      maxConcurrent: this.maxConcurrent
+    };
+  }
+}
+
+module.exports = { ConcurrencyLimiter };
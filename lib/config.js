@@ -0,0 +1,493 @@
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { LoadBalancer } = require('./loadBalancer');
+const { Transformer } = require('./transform');
+
+/**
+ * Error raised for a gateway config file that cannot be parsed or is invalid
+ */
+class ConfigError extends Error {
+  /**
+   * Create a new config error
+   * @param {string} message - Error message
+   * @param {Array<Object>} errors - Problems found, as `{ path, message }`
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const POSITIVE_INTEGER = { type: 'integer', minimum: 1 };
+const NON_NEGATIVE_INTEGER = { type: 'integer', minimum: 0 };
+const BOOLEAN = { type: 'boolean' };
+const HEADERS = { type: 'object', values: { type: 'string' } };
+const MOUNT_PATH = { type: 'string', format: 'path' };
+const STRING = { type: 'string' };
+const STRINGS = { type: 'array', items: STRING };
+const STRING_OR_STRINGS = { oneOf: [STRING, STRINGS] };
+const TRANSFORM_OPERATIONS = {
+  type: 'object',
+  properties: {
+    set: HEADERS,
+    remove: STRINGS,
+    rename: HEADERS
+  }
+};
+
+const TARGET = {
+  oneOf: [
+    { type: 'string', format: 'url' },
+    {
+      type: 'object',
+      required: ['url'],
+      properties: {
+        url: { type: 'string', format: 'url' },
+        weight: { type: 'number', minimum: 0 }
+      }
+    }
+  ]
+};
+
+const SERVICE = {
+  type: 'object',
+  required: ['targets'],
+  properties: {
+    targets: { type: 'array', minItems: 1, items: TARGET },
+    mount: { oneOf: [MOUNT_PATH, { type: 'array', minItems: 1, items: MOUNT_PATH }] },
+    pathRewrite: {
+      type: 'object',
+      values: { type: 'string' },
+      validate: (value, at, errors) => {
+        Object.keys(value).forEach((pattern) => {
+          try {
+            new RegExp(pattern);
+          } catch (err) {
+            errors.push({ path: joinPath(at, pattern), message: 'is not a valid regular expression' });
+          }
+        });
+      }
+    },
+    loadBalancingStrategy: {
+      type: 'string',
+      validate: (value, at, errors) => {
+        const strategies = LoadBalancer.getStrategies();
+        if (!strategies.includes(value)) {
+          errors.push({ path: at, message: `must be one of ${strategies.join(', ')}` });
+        }
+      }
+    },
+    circuitBreaker: {
+      type: 'object',
+      properties: {
+        failureThreshold: POSITIVE_INTEGER,
+        resetTimeout: POSITIVE_INTEGER,
+        requestTimeout: POSITIVE_INTEGER,
+        perTarget: BOOLEAN
+      }
+    },
+    timeout: POSITIVE_INTEGER,
+    changeOrigin: BOOLEAN,
+    headers: HEADERS,
+    responseHeaders: HEADERS,
+    retry: {
+      oneOf: [
+        BOOLEAN,
+        {
+          type: 'object',
+          properties: {
+            maxAttempts: POSITIVE_INTEGER,
+            baseDelay: NON_NEGATIVE_INTEGER,
+            maxDelay: NON_NEGATIVE_INTEGER,
+            jitter: BOOLEAN,
+            retryOnStatus: { type: 'array', items: { type: 'integer', minimum: 100 } },
+            retryOnErrors: STRINGS,
+            methods: { type: 'array', items: { type: 'string' } },
+            maxBodySize: POSITIVE_INTEGER,
+            budget: {
+              type: 'object',
+              properties: {
+                ratio: { type: 'number', minimum: 0 },
+                minRetriesPerSecond: { type: 'number', minimum: 0 },
+                window: POSITIVE_INTEGER
+              }
+            }
+          }
+        }
+      ]
+    },
+    auth: {
+      type: 'object',
+      properties: {
+        jwt: {
+          type: 'object',
+          properties: {
+            secret: STRING,
+            publicKey: STRING,
+            jwks: {
+              type: 'object',
+              properties: {
+                file: STRING,
+                url: { type: 'string', format: 'url' },
+                cacheTtl: NON_NEGATIVE_INTEGER,
+                minRefreshInterval: NON_NEGATIVE_INTEGER,
+                timeout: POSITIVE_INTEGER
+              }
+            },
+            algorithms: STRINGS,
+            issuer: STRING_OR_STRINGS,
+            audience: STRING_OR_STRINGS,
+            clockTolerance: NON_NEGATIVE_INTEGER
+          }
+        },
+        apiKeys: {
+          type: 'object',
+          properties: {
+            header: STRING,
+            keys: { oneOf: [STRINGS, { type: 'object', values: { type: 'object' } }] }
+          }
+        },
+        basic: {
+          type: 'object',
+          properties: {
+            realm: STRING,
+            users: {
+              type: 'object',
+              values: {
+                oneOf: [STRING, {
+                  type: 'object',
+                  validate: (value, at, errors) => {
+                    if (typeof value.password !== 'string') {
+                      errors.push({ path: joinPath(at, 'password'), message: 'must be a string' });
+                    }
+                  }
+                }]
+              }
+            }
+          }
+        },
+        rules: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              path: MOUNT_PATH,
+              methods: STRINGS,
+              scopes: STRING_OR_STRINGS,
+              roles: STRING_OR_STRINGS,
+              public: BOOLEAN
+            }
+          }
+        },
+        forwardClaims: HEADERS
+      },
+      validate: (value, at, errors) => {
+        if (!value.jwt && !value.apiKeys && !value.basic) {
+          errors.push({ path: at, message: 'must configure jwt, apiKeys or basic' });
+        }
+        if (value.jwt && !value.jwt.secret && !value.jwt.publicKey && !value.jwt.jwks) {
+          errors.push({ path: joinPath(at, 'jwt'), message: 'must have a secret, publicKey or jwks' });
+        }
+        if (value.jwt && value.jwt.jwks && !value.jwt.jwks.file && !value.jwt.jwks.url) {
+          errors.push({ path: joinPath(joinPath(at, 'jwt'), 'jwks'), message: 'must have a file or url' });
+        }
+      }
+    },
+    transform: {
+      type: 'object',
+      properties: {
+        request: {
+          type: 'object',
+          properties: {
+            headers: TRANSFORM_OPERATIONS,
+            query: TRANSFORM_OPERATIONS
+          }
+        },
+        response: {
+          type: 'object',
+          properties: {
+            headers: TRANSFORM_OPERATIONS,
+            rewriteLocation: BOOLEAN,
+            rewriteCookies: BOOLEAN
+          }
+        },
+        publicUrl: { type: 'string', format: 'url' }
+      },
+      // Templates may only use known placeholders
+      validate: (value, at, errors) => {
+        try {
+          new Transformer(value);
+        } catch (err) {
+          errors.push({ path: at, message: err.message });
+        }
+      }
+    },
+    streaming: {
+      type: 'object',
+      properties: {
+        idleTimeout: NON_NEGATIVE_INTEGER,
+        closeTimeout: POSITIVE_INTEGER,
+        contentTypes: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    healthCheck: {
+      oneOf: [
+        BOOLEAN,
+        {
+          type: 'object',
+          properties: {
+            path: MOUNT_PATH,
+            interval: POSITIVE_INTEGER,
+            timeout: POSITIVE_INTEGER,
+            expectedStatus: { oneOf: [{ type: 'integer' }, { type: 'array', items: { type: 'integer' } }] },
+            healthyThreshold: POSITIVE_INTEGER,
+            unhealthyThreshold: POSITIVE_INTEGER
+          }
+        }
+      ]
+    }
+  }
+};
+
+const CONFIG = {
+  type: 'object',
+  required: ['services'],
+  properties: {
+    services: { type: 'object', values: SERVICE }
+  }
+};
+
+/**
+ * Append a property name to a config path, quoting names that are not identifiers
+ * @param {string} at - Path of the parent value ('' for the root)
+ * @param {string} key - Property name
+ * @returns {string} Path such as `services.users.pathRewrite["^/api"]`
+ */
+function joinPath(at, key) {
+  if (!/^[A-Za-z_$][\w$-]*$/.test(key)) {
+    return `${at}[${JSON.stringify(key)}]`;
+  }
+  return at ? `${at}.${key}` : key;
+}
+
+/**
+ * Check whether a value has a schema type
+ * @param {*} value - Value to check
+ * @param {string} type - 'string', 'number', 'integer', 'boolean', 'array' or 'object'
+ * @returns {boolean} True if the value has the type
+ */
+function hasType(value, type) {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Describe the types a schema accepts
+ * @param {Object} schema - Schema node
+ * @returns {string} Description such as 'a boolean or an object'
+ */
+function describeType(schema) {
+  if (schema.oneOf) {
+    return schema.oneOf.map(describeType).join(' or ');
+  }
+  return /^[aeiou]/.test(schema.type) ? `an ${schema.type}` : `a ${schema.type}`;
+}
+
+/**
+ * Validate a value against a schema node, collecting every problem found
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {string} at - Path of the value
+ * @param {Array<Object>} errors - Receives `{ path, message }` for every problem
+ */
+function validateValue(value, schema, at, errors) {
+  if (schema.oneOf) {
+    const variant = schema.oneOf.find(candidate => hasType(value, candidate.type));
+    if (!variant) {
+      errors.push({ path: at, message: `must be ${describeType(schema)}` });
+      return;
+    }
+    validateValue(value, variant, at, errors);
+    return;
+  }
+
+  if (!hasType(value, schema.type)) {
+    errors.push({ path: at, message: `must be ${describeType(schema)}` });
+    return;
+  }
+
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (schema.format === 'url' && !/^https?:\/\/[^/]+/.test(value)) {
+    errors.push({ path: at, message: 'must be an http(s) URL' });
+  }
+
+  if (schema.format === 'path' && !value.startsWith('/')) {
+    errors.push({ path: at, message: 'must start with "/"' });
+  }
+
+  if (schema.minItems && value.length < schema.minItems) {
+    errors.push({ path: at, message: `must contain at least ${schema.minItems} item(s)` });
+  }
+
+  if (schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${at}[${index}]`, errors));
+  }
+
+  if (schema.properties) {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(at, key), message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      if (!schema.properties[key]) {
+        errors.push({ path: joinPath(at, key), message: 'is not a known setting' });
+      } else if (child !== undefined) {
+        validateValue(child, schema.properties[key], joinPath(at, key), errors);
+      }
+    });
+  }
+
+  if (schema.values) {
+    Object.entries(value).forEach(([key, child]) => validateValue(child, schema.values, joinPath(at, key), errors));
+  }
+
+  if (schema.validate) {
+    schema.validate(value, at, errors);
+  }
+}
+
+/**
+ * Get the paths a service is mounted on
+ * @param {string} serviceName - Name of the service
+ * @param {Object} serviceConfig - Service section of the config
+ * @returns {Array<string>} Mount paths without trailing slashes (default: `/<service name>`)
+ */
+function getMounts(serviceName, serviceConfig) {
+  const mounts = serviceConfig.mount === undefined ? [`/${serviceName}`] : [].concat(serviceConfig.mount);
+  return mounts.map(mount => (mount.length > 1 ? mount.replace(/\/+$/, '') : mount));
+}
+
+/**
+ * Validate a parsed gateway config
+ * @param {Object} config - Parsed config
+ * @throws {ConfigError} Listing every invalid setting by its path
+ */
+function validateConfig(config) {
+  const errors = [];
+  validateValue(config, CONFIG, '', errors);
+
+  // Two services cannot share a mount path
+  if (errors.length === 0) {
+    const mounted = new Map();
+    Object.entries(config.services).forEach(([name, serviceConfig]) => {
+      getMounts(name, serviceConfig).forEach((mount) => {
+        if (mounted.has(mount)) {
+          errors.push({
+            path: joinPath(joinPath('services', name), 'mount'),
+            message: `"${mount}" is already mounted by service "${mounted.get(mount)}"`
+          });
+        } else {
+          mounted.set(mount, name);
+        }
+      });
+    });
+  }
+
+  if (errors.length > 0) {
+    const details = errors.map(error => `${error.path || '(root)'} ${error.message}`).join('; ');
+    throw new ConfigError(`Invalid gateway config: ${details}`, errors);
+  }
+}
+
+/**
+ * Validate the settings of a single service, shaped like a service section of the config
+ * @param {Object} serviceConfig - Service settings
+ * @param {string} at - Path of the settings, for error messages
+ * @param {boolean} partial - Allow leaving out required settings such as targets
+ * @returns {Array<Object>} Problems found, as `{ path, message }`
+ */
+function validateServiceConfig(serviceConfig, at, partial = false) {
+  const errors = [];
+  validateValue(serviceConfig, partial ? { ...SERVICE, required: [] } : SERVICE, at, errors);
+  return errors;
+}
+
+/**
+ * Parse the content of a gateway config file
+ * @param {string} content - File content
+ * @param {string} format - 'json' or 'yaml'
+ * @param {string} filePath - File path, for error messages
+ * @returns {Object} Parsed config
+ * @throws {ConfigError} If the content cannot be parsed
+ */
+function parseConfig(content, format, filePath) {
+  try {
+    return format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+  } catch (err) {
+    throw new ConfigError(`Cannot parse gateway config ${filePath}: ${err.message}`);
+  }
+}
+
+/**
+ * Get the config format of a file
+ * @param {string} filePath - Config file path
+ * @returns {string} 'yaml' for .yml/.yaml files, else 'json'
+ */
+function getConfigFormat(filePath) {
+  return /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+}
+
+/**
+ * Read, parse and validate a gateway config file
+ * @param {string} filePath - Config file path
+ * @param {string} format - 'json' or 'yaml'
+ * @returns {Object} Valid config
+ * @throws {ConfigError} If the file cannot be parsed or is invalid
+ */
+function readConfigFile(filePath, format) {
+  const config = parseConfig(fs.readFileSync(filePath, 'utf8'), format, filePath);
+  validateConfig(config);
+  return config;
+}
+
+/**
+ * Convert the service section of a config into registerService() options
+ * @param {Object} serviceConfig - Service section of the config
+ * @returns {Object} Service options
+ */
+function getServiceOptions(serviceConfig) {
+  const { targets, mount, timeout, ...options } = serviceConfig;
+
+  if (timeout !== undefined) {
+    options.circuitBreaker = { ...options.circuitBreaker, requestTimeout: timeout };
+  }
+
+  return options;
+}
+
+module.exports = {
+  ConfigError,
+  validateConfig,
+  validateServiceConfig,
+  parseConfig,
+  getConfigFormat,
+  readConfigFile,
+  getServiceOptions,
+  getMounts
+};
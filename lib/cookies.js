@@ -0,0 +1,58 @@
+/**
+ * Read a cookie value from a request without a cookie parser
+ * @param {Object} req - Incoming request
+ * @param {string} name - Cookie name
+ * @returns {string|undefined} Cookie value
+ */
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  const match = header.split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  if (!match) {
+    return undefined;
+  }
+
+  try {
+    return decodeURIComponent(match.slice(name.length + 1));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Serialize a Set-Cookie header value
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value
+ * @param {Object} options - Cookie attributes
+ * @param {number} options.maxAge - Lifetime in ms
+ * @param {string} options.path - Cookie path (default: '/')
+ * @param {string} options.domain - Cookie domain
+ * @param {boolean} options.httpOnly - Hide the cookie from scripts (default: true)
+ * @param {boolean} options.secure - Only send the cookie over HTTPS
+ * @param {string} options.sameSite - SameSite attribute (default: 'Lax')
+ * @returns {string} Set-Cookie header value
+ */
+function serializeCookie(name, value, options = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (options.maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(options.maxAge / 1000)}`);
+  }
+  if (options.domain) {
+    parts.push(`Domain=${options.domain}`);
+  }
+  parts.push(`Path=${options.path || '/'}`);
+  if (options.httpOnly !== false) {
+    parts.push('HttpOnly');
+  }
+  if (options.secure) {
+    parts.push('Secure');
+  }
+  parts.push(`SameSite=${options.sameSite || 'Lax'}`);
+
+  return parts.join('; ');
+}
+
+module.exports = { readCookie, serializeCookie };
@@ -0,0 +1,251 @@
+const dns = require('dns');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Base class for service discovery providers. Subclasses implement
+ * resolve(); the provider refreshes the target list on an interval and
+ * reports every successful lookup to the registered listener.
+ */
+class DiscoveryProvider {
+  /**
+   * Create a new discovery provider
+   * @param {Object} options - Discovery options
+   * @param {number} options.interval - Time in ms between refreshes
+   */
+  constructor(options = {}) {
+    this.interval = options.interval || 30000; // 30 seconds
+    this.timer = null;
+    this.listener = null;
+    this.lastRefreshTime = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Look up the current targets
+   * @returns {Promise<Array<string|Object>>} Target URLs or `{ url, weight }` objects
+   */
+  async resolve() {
+    throw new Error('Discovery providers must implement resolve()');
+  }
+
+  /**
+   * Start refreshing targets in the background
+   * @param {Function} listener - Called with the target list after every successful refresh
+   * @returns {Promise<Array<string|Object>>} Resolves with the targets of the first refresh
+   */
+  start(listener) {
+    this.listener = listener;
+
+    if (!this.timer) {
+      this.timer = setInterval(() => this.refresh(), this.interval);
+      // Don't keep the process alive just for discovery
+      this.timer.unref();
+    }
+
+    return this.refresh();
+  }
+
+  /**
+   * Stop refreshing targets
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.listener = null;
+  }
+
+  /**
+   * Look up targets once and report them to the listener. Failed or empty
+   * lookups keep the last known targets in place.
+   * @returns {Promise<Array<string|Object>|null>} Resolved targets, or null if the lookup failed
+   */
+  async refresh() {
+    try {
+      const targets = await this.resolve();
+
+      if (!Array.isArray(targets) || targets.length === 0) {
+        throw new Error('Discovery returned no targets');
+      }
+
+      this.lastRefreshTime = Date.now();
+      this.lastError = null;
+
+      if (this.listener) {
+        this.listener(targets);
+      }
+
+      return targets;
+    } catch (err) {
+      this.lastError = err.message;
+      return null;
+    }
+  }
+
+  /**
+   * Get the state of the provider
+   * @returns {Object} Discovery state information
+   */
+  getState() {
+    return {
+      provider: this.constructor.name,
+      lastRefreshTime: this.lastRefreshTime,
+      lastError: this.lastError
+    };
+  }
+}
+
+/**
+ * Discover targets by calling a user supplied function
+ */
+class PollingDiscovery extends DiscoveryProvider {
+  /**
+   * Create a new polling discovery provider
+   * @param {Function} fetchTargets - Returns (a promise of) the current targets
+   * @param {Object} options - Discovery options (see DiscoveryProvider)
+   */
+  constructor(fetchTargets, options = {}) {
+    super(options);
+
+    if (typeof fetchTargets !== 'function') {
+      throw new Error('Polling discovery requires a function returning targets');
+    }
+    this.fetchTargets = fetchTargets;
+  }
+
+  async resolve() {
+    return this.fetchTargets();
+  }
+}
+
+/**
+ * Discover targets from DNS SRV or A records
+ */
+class DnsDiscovery extends DiscoveryProvider {
+  /**
+   * Create a new DNS discovery provider
+   * @param {Object} options - Discovery options (see DiscoveryProvider)
+   * @param {string} options.hostname - Name to look up
+   * @param {string} options.recordType - 'SRV' or 'A' (default: 'SRV')
+   * @param {number} options.port - Target port for A records
+   * @param {string} options.protocol - Target protocol (default: 'http')
+   * @param {Object} options.resolver - Resolver with promise based resolveSrv()/resolve4()
+   *   (default: a dns.promises.Resolver)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.hostname) {
+      throw new Error('DNS discovery requires a hostname');
+    }
+
+    this.hostname = options.hostname;
+    this.recordType = (options.recordType || 'SRV').toUpperCase();
+    this.port = options.port || 80;
+    this.protocol = options.protocol || 'http';
+    this.resolver = options.resolver || new dns.promises.Resolver();
+  }
+
+  async resolve() {
+    if (this.recordType === 'A') {
+      const addresses = await this.resolver.resolve4(this.hostname);
+      return addresses.map(address => `${this.protocol}://${address}:${this.port}`);
+    }
+
+    const records = await this.resolver.resolveSrv(this.hostname);
+    if (records.length === 0) {
+      return [];
+    }
+
+    // Only the records with the lowest priority value are in use
+    const priority = Math.min(...records.map(record => record.priority));
+
+    return records
+      .filter(record => record.priority === priority)
+      .map(record => ({
+        url: `${this.protocol}://${record.name}:${record.port}`,
+        // SRV weights may be 0; keep such targets selectable
+        weight: record.weight || 1
+      }));
+  }
+}
+
+/**
+ * Discover targets from a JSON or YAML file, re-read whenever it changes
+ */
+class FileDiscovery extends DiscoveryProvider {
+  /**
+   * Create a new file discovery provider
+   * @param {Object} options - Discovery options (see DiscoveryProvider)
+   * @param {string} options.path - File holding an array of targets, or `{ targets: [...] }`
+   * @param {string} options.format - 'json' or 'yaml' (default: from the file extension)
+   * @param {boolean} options.watch - Refresh as soon as the file changes (default: true)
+   */
+  constructor(options = {}) {
+    super(options);
+
+    if (!options.path) {
+      throw new Error('File discovery requires a path');
+    }
+
+    this.path = options.path;
+    this.format = options.format || (/\.ya?ml$/i.test(options.path) ? 'yaml' : 'json');
+    this.watch = options.watch !== false;
+    this.watcher = null;
+  }
+
+  start(listener) {
+    if (this.watch && !this.watcher) {
+      try {
+        // Watch the directory so editors that replace the file are picked up too
+        this.watcher = fs.watch(path.dirname(this.path), (eventType, filename) => {
+          if (!filename || filename === path.basename(this.path)) {
+            this.refresh();
+          }
+        });
+        this.watcher.unref();
+      } catch (err) {
+        // Fall back to refreshing on the interval only
+        this.watcher = null;
+      }
+    }
+
+    return super.start(listener);
+  }
+
+  stop() {
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+
+    super.stop();
+  }
+
+  async resolve() {
+    const content = await fs.promises.readFile(this.path, 'utf8');
+    const data = this.format === 'yaml' ? yaml.load(content) : JSON.parse(content);
+
+    return Array.isArray(data) ? data : (data && data.targets);
+  }
+}
+
+/**
+ * Check whether a value can be used as a discovery provider
+ * @param {*} value - Value passed as service targets
+ * @returns {boolean} True if the value is a discovery provider
+ */
+function isDiscoveryProvider(value) {
+  return Boolean(value) && typeof value.resolve === 'function' && typeof value.start === 'function';
+}
+
+module.exports = {
+  DiscoveryProvider,
+  PollingDiscovery,
+  DnsDiscovery,
+  FileDiscovery,
+  isDiscoveryProvider
+};
@@ -0,0 +1,203 @@
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+/**
+ * Active health checker that probes every target of a load balancer
+ * and pulls unhealthy targets out of rotation. Emits 'targetDown' and
+ * 'targetUp' with the target URL when a target changes state.
+ */
+class HealthChecker extends EventEmitter {
+  /**
+   * Create a new health checker
+   * @param {LoadBalancer} loadBalancer - Load balancer whose targets are probed
+   * @param {Object} options - Health check options
+   * @param {string} options.path - Path requested on each target
+   * @param {number} options.interval - Time in ms between probe rounds
+   * @param {number} options.timeout - Probe timeout in ms
+   * @param {number|Array<number>} options.expectedStatus - Status code(s) considered healthy (default: any 2xx)
+   * @param {number} options.healthyThreshold - Consecutive successes before a target is marked healthy
+   * @param {number} options.unhealthyThreshold - Consecutive failures before a target is marked unhealthy
+   */
+  constructor(loadBalancer, options = {}) {
+    super();
+    this.loadBalancer = loadBalancer;
+    this.path = options.path || '/health';
+    this.interval = options.interval || 10000; // 10 seconds
+    this.timeout = options.timeout || 2000; // 2 seconds
+    this.expectedStatus = options.expectedStatus;
+    this.healthyThreshold = options.healthyThreshold || 2;
+    this.unhealthyThreshold = options.unhealthyThreshold || 3;
+
+    this.targetStates = new Map();
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Start probing targets in the background
+   * @returns {HealthChecker} This health checker
+   */
+  start() {
+    if (!this.timer) {
+      this.timer = setInterval(() => this.checkAll(), this.interval);
+      // Don't keep the process alive just for health checks
+      this.timer.unref();
+      this.checkAll();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stop probing targets
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Probe every target once and update its health state
+   * @returns {Promise<void>} Resolves when all probes have completed
+   */
+  async checkAll() {
+    // Skip the round if the previous one is still waiting on slow targets
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+    try {
+      const targets = this.loadBalancer.getTargets();
+
+      // Forget state for targets that were removed from the load balancer
+      for (const target of this.targetStates.keys()) {
+        if (!targets.includes(target)) {
+          this.targetStates.delete(target);
+        }
+      }
+
+      await Promise.all(targets.map(async (target) => {
+        const healthy = await this.probe(target);
+        this.recordResult(target, healthy);
+      }));
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Send a single health check request to a target
+   * @param {string} target - Target URL
+   * @returns {Promise<boolean>} True if the target responded with an expected status
+   */
+  probe(target) {
+    return new Promise((resolve) => {
+      let url;
+      try {
+        url = new URL(target.replace(/\/$/, '') + this.path);
+      } catch (err) {
+        resolve(false);
+        return;
+      }
+
+      const client = url.protocol === 'https:' ? https : http;
+      const req = client.get(url, { timeout: this.timeout }, (res) => {
+        res.resume();
+        resolve(this.isExpectedStatus(res.statusCode));
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error('Health check timed out'));
+      });
+      req.on('error', () => resolve(false));
+    });
+  }
+
+  /**
+   * Check a probe status code against the expected status
+   * @param {number} statusCode - Status code returned by the target
+   * @returns {boolean} True if the status counts as healthy
+   */
+  isExpectedStatus(statusCode) {
+    if (Array.isArray(this.expectedStatus)) {
+      return this.expectedStatus.includes(statusCode);
+    }
+
+    if (this.expectedStatus) {
+      return statusCode === this.expectedStatus;
+    }
+
+    return statusCode >= 200 && statusCode < 300;
+  }
+
+  /**
+   * Record a probe result and move the target in or out of rotation
+   * once the relevant threshold is reached
+   * @param {string} target - Target URL
+   * @param {boolean} healthy - Whether the probe succeeded
+   */
+  recordResult(target, healthy) {
+    // Ignore results for targets removed while the probe was in flight
+    if (!this.loadBalancer.getTargets().includes(target)) {
+      return;
+    }
+
+    const state = this.getOrCreateState(target);
+    state.lastCheckTime = Date.now();
+
+    if (healthy) {
+      state.consecutiveSuccesses++;
+      state.consecutiveFailures = 0;
+
+      if (!state.healthy && state.consecutiveSuccesses >= this.healthyThreshold) {
+        state.healthy = true;
+        this.loadBalancer.markTargetUp(target);
+        this.emit('targetUp', target);
+      }
+    } else {
+      state.consecutiveFailures++;
+      state.consecutiveSuccesses = 0;
+
+      if (state.healthy && state.consecutiveFailures >= this.unhealthyThreshold) {
+        state.healthy = false;
+        this.loadBalancer.markTargetDown(target);
+        this.emit('targetDown', target);
+      }
+    }
+  }
+
+  /**
+   * Get the stored state for a target, creating it if needed
+   * @param {string} target - Target URL
+   * @returns {Object} Mutable target state
+   */
+  getOrCreateState(target) {
+    if (!this.targetStates.has(target)) {
+      // Targets start healthy so traffic flows before the first probe completes, unless
+      // a previous checker of the load balancer already took them out of rotation
+      this.targetStates.set(target, {
+        healthy: !this.loadBalancer.isTargetDown(target),
+        consecutiveSuccesses: 0,
+        consecutiveFailures: 0,
+        lastCheckTime: null
+      });
+    }
+
+    return this.targetStates.get(target);
+  }
+
+  /**
+   * Get the health check state of a target
+   * @param {string} target - Target URL
+   * @returns {Object} Health check state information
+   */
+  getTargetState(target) {
+    return { ...this.getOrCreateState(target) };
+  }
+}
+
+module.exports = { HealthChecker };
@@ -0,0 +1,88 @@
+const { RetryBudget } = require('./retryBudget');
+
+/**
+ * Decides when a slow request is duplicated ("hedged") to another target,
+ * and caps hedges to a fraction of recent traffic
+ */
+class HedgePolicy {
+  /**
+   * Create a new hedge policy
+   * @param {Object} options - Hedging options
+   * @param {number} options.delay - Time in ms to wait for the first response before hedging;
+   *   with `percentile`, used until enough latencies have been observed
+   * @param {number} options.percentile - Hedge once a request is slower than this percentile
+   *   of recent upstream latency (e.g. 95)
+   * @param {number} options.maxRatio - Maximum hedged requests as a fraction of requests (default: 0.1)
+   * @param {Array<string>} options.methods - Idempotent methods that may be hedged
+   * @param {number} options.sampleSize - Number of recent latencies kept for the percentile
+   * @param {number} options.minSamples - Latencies needed before the percentile is used
+   */
+  constructor(options = {}) {
+    this.delay = options.delay !== undefined ? options.delay : null;
+    this.percentile = options.percentile || null;
+    this.methods = options.methods || ['GET', 'HEAD', 'OPTIONS'];
+    this.sampleSize = options.sampleSize || 200;
+    this.minSamples = options.minSamples || 20;
+    this.budget = new RetryBudget({
+      ratio: options.maxRatio !== undefined ? options.maxRatio : 0.1,
+      minRetriesPerSecond: 0
+    });
+
+    // Ring buffer of recent latencies in ms
+    this.samples = [];
+    this.nextSample = 0;
+  }
+
+  /**
+   * Check whether a request may be hedged
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True if the request method is hedgeable
+   */
+  isHedgeable(req) {
+    return this.methods.includes(req.method);
+  }
+
+  /**
+   * Record the latency of a completed upstream attempt
+   * @param {number} duration - Latency in ms
+   */
+  recordLatency(duration) {
+    if (this.samples.length < this.sampleSize) {
+      this.samples.push(duration);
+    } else {
+      this.samples[this.nextSample] = duration;
+      this.nextSample = (this.nextSample + 1) % this.sampleSize;
+    }
+  }
+
+  /**
+   * Get the time to wait before hedging a request
+   * @returns {number|null} Delay in ms, or null if the request should not be hedged
+   */
+  getDelay() {
+    if (this.percentile && this.samples.length >= this.minSamples) {
+      const sorted = [...this.samples].sort((a, b) => a - b);
+      const index = Math.min(sorted.length - 1, Math.ceil((this.percentile / 100) * sorted.length) - 1);
+      return sorted[Math.max(index, 0)];
+    }
+
+    return this.delay;
+  }
+
+  /**
+   * Record a hedgeable request
+   */
+  recordRequest() {
+    this.budget.recordRequest();
+  }
+
+  /**
+   * Try to spend budget on a hedge
+   * @returns {boolean} True if the request may be hedged (and the hedge has been recorded)
+   */
+  tryAcquire() {
+    return this.budget.tryAcquire();
+  }
+}
+
+module.exports = { HedgePolicy };
@@ -1,80 +1,366 @@
+const crypto = require('crypto');
+const { readCookie } = require('./cookies');
+
+// Custom strategies registered with LoadBalancer.registerStrategy()
+const customStrategies = new Map();
+
+// Strategies implemented by getNextTarget()
+const BUILT_IN_STRATEGIES = [
+  'round-robin',
+  'random',
+  'least-connections',
+  'weighted-round-robin',
+  'consistent-hash',
+  'peak-ewma',
+  'power-of-two-choices'
+];
+
+/**
+ * Hash a string onto a 32-bit position of the consistent-hash ring
+ * @param {string} value - Value to hash
+ * @returns {number} Ring position
+ */
+function hashToRing(value) {
+  return crypto.createHash('md5').update(value).digest().readUInt32BE(0);
+}
+
 /**
  * Load balancer class to distribute requests among targets
  */
 class LoadBalancer {
     /**
      * Create a new load balancer
-     * @param {Array<string>} targets - Array of target URLs
-     * @param {string} strategy - Load balancing strategy ('round-robin', 'random', 'least-connections')
+     * @param {Array<string|Object>} targets - Array of target URLs, or `{ url, weight }` objects
+     * @param {string|Function} strategy - Load balancing strategy ('round-robin', 'random', 'least-connections',
+     *   'weighted-round-robin', 'consistent-hash', 'peak-ewma', 'power-of-two-choices', the name of a
+     *   registered custom strategy, or a strategy function)
+     * @param {Object} options - Strategy options
+     * @param {Object} options.hashOn - Consistent-hash key: `{ header }`, `{ cookie }` or `{ ip: true }` (default: client IP)
+     * @param {number} options.virtualNodes - Ring positions per unit of weight for consistent hashing
+     * @param {number} options.ewmaDecay - Time in ms over which peak-EWMA latency samples decay
      */
-    constructor(targets, strategy = 'round-robin') {
-      this.targets = [...targets];
+    constructor(targets, strategy = 'round-robin', options = {}) {
+      this.targets = [];
+      this.weights = {};
       this.strategy = strategy;
       this.currentIndex = 0;
-      this.connectionCounts = this.targets.reduce((acc, target) => {
-        acc[target] = 0;
-        return acc;
-      }, {});
+      this.unhealthyTargets = new Set();
+      this.drainingTargets = new Set();
+      this.connectionCounts = {};
+      // Callbacks waiting for a target's connections to finish, by target
+      this.idleWaiters = new Map();
+  
+      // Strategy state
+      this.hashOn = options.hashOn || { ip: true };
+      this.virtualNodes = options.virtualNodes || 100;
+      this.ewmaDecay = options.ewmaDecay || 10000; // 10 seconds
+      this.currentWeights = {};
+      this.latencies = {};
+      this.ring = null;
+  
+      targets.forEach(target => this.addTarget(target));
+    }
+  
+    /**
+     * Register a custom load balancing strategy
+     * @param {string} name - Strategy name used as `loadBalancingStrategy`
+     * @param {Function} strategy - Called with (candidates, req, loadBalancer); returns one of the candidates
+     */
+    static registerStrategy(name, strategy) {
+      if (typeof strategy !== 'function') {
+        throw new Error('Strategy must be a function');
+      }
+      customStrategies.set(name, strategy);
+    }
+  
+    /**
+     * List the names of all built-in and registered strategies
+     * @returns {Array<string>} Strategy names
+     */
+    static getStrategies() {
+      return [...BUILT_IN_STRATEGIES, ...customStrategies.keys()];
+    }
+  
+    /**
+     * Change the load balancing strategy, keeping targets, connections and latencies
+     * @param {string|Function} strategy - Load balancing strategy (see constructor)
+     * @param {Object} options - Strategy options (see constructor)
+     */
+    setStrategy(strategy, options = {}) {
+      this.strategy = strategy;
+      this.hashOn = options.hashOn || { ip: true };
+      this.virtualNodes = options.virtualNodes || 100;
+      this.ewmaDecay = options.ewmaDecay || 10000;
+      this.currentWeights = {};
+      this.ring = null;
     }
   
     /**
      * Get the next target according to the selected strategy
+     * @param {Function} [filter] - Optional predicate; targets it rejects are skipped
+     * @param {Object} [req] - Incoming request, used by request-aware strategies
      * @returns {string} Target URL
      */
-    getNextTarget() {
+    getNextTarget(filter, req) {
       if (this.targets.length === 0) {
         throw new Error('No targets available for load balancing');
       }
   
-      if (this.targets.length === 1) {
-        return this.targets[0];
+      let candidates = this.getHealthyTargets();
+  
+      if (candidates.length === 0) {
+        throw new Error('No healthy targets available for load balancing');
+      }
+  
+      if (filter) {
+        candidates = candidates.filter(filter);
+  
+        if (candidates.length === 0) {
+          throw new Error('No eligible targets available for load balancing');
+        }
+      }
+  
+      if (candidates.length === 1) {
+        return candidates[0];
+      }
+  
+      if (typeof this.strategy === 'function') {
+        return this.strategy(candidates, req, this);
+      }
+  
+      if (customStrategies.has(this.strategy)) {
+        return customStrategies.get(this.strategy)(candidates, req, this);
       }
   
       switch (this.strategy) {
         case 'random':
-          return this.getRandomTarget();
+          return this.getRandomTarget(candidates);
         case 'least-connections':
-          return this.getLeastConnectionsTarget();
+          return this.getLeastConnectionsTarget(candidates);
+        case 'weighted-round-robin':
+          return this.getWeightedRoundRobinTarget(candidates);
+        case 'consistent-hash':
+          return this.getConsistentHashTarget(candidates, req);
+        case 'peak-ewma':
+          return this.getPeakEwmaTarget(candidates);
+        case 'power-of-two-choices':
+          return this.getPowerOfTwoChoicesTarget(candidates);
         case 'round-robin':
         default:
-          return this.getRoundRobinTarget();
+          return this.getRoundRobinTarget(candidates);
       }
     }
   
     /**
      * Get target using round-robin strategy
+     * @param {Array<string>} candidates - Targets eligible for selection
      * @returns {string} Target URL
      */
-    getRoundRobinTarget() {
-      const target = this.targets[this.currentIndex];
-      this.currentIndex = (this.currentIndex + 1) % this.targets.length;
+    getRoundRobinTarget(candidates) {
+      const target = candidates[this.currentIndex % candidates.length];
+      this.currentIndex = (this.currentIndex + 1) % candidates.length;
       return target;
     }
   
     /**
      * Get target using random selection strategy
+     * @param {Array<string>} candidates - Targets eligible for selection
      * @returns {string} Target URL
      */
-    getRandomTarget() {
-      const randomIndex = Math.floor(Math.random() * this.targets.length);
-      return this.targets[randomIndex];
+    getRandomTarget(candidates) {
+      const randomIndex = Math.floor(Math.random() * candidates.length);
+      return candidates[randomIndex];
     }
   
     /**
      * Get target with least active connections
+     * @param {Array<string>} candidates - Targets eligible for selection
      * @returns {string} Target URL
      */
-    getLeastConnectionsTarget() {
+    getLeastConnectionsTarget(candidates) {
       // Find target with the least number of active connections
-      const target = this.targets.reduce((min, curr) => {
+      return candidates.reduce((min, curr) => {
         return this.connectionCounts[curr] < this.connectionCounts[min] ? curr : min;
-      }, this.targets[0]);
+      }, candidates[0]);
+    }
   
-      // Increment connection count for selected target
-      this.connectionCounts[target]++;
-      
-      // Return the selected target
-      return target;
+    /**
+     * Get target using smooth weighted round-robin (as in nginx): every
+     * target gets a share of requests proportional to its weight, spread
+     * out evenly instead of in bursts
+     * @param {Array<string>} candidates - Targets eligible for selection
+     * @returns {string} Target URL
+     */
+    getWeightedRoundRobinTarget(candidates) {
+      let totalWeight = 0;
+      let best = null;
+  
+      candidates.forEach((target) => {
+        const weight = this.weights[target];
+        this.currentWeights[target] = (this.currentWeights[target] || 0) + weight;
+        totalWeight += weight;
+  
+        if (best === null || this.currentWeights[target] > this.currentWeights[best]) {
+          best = target;
+        }
+      });
+  
+      this.currentWeights[best] -= totalWeight;
+      return best;
+    }
+  
+    /**
+     * Get target from the consistent-hash ring, so the same key keeps
+     * mapping to the same target and only the keys of added or removed
+     * targets move
+     * @param {Array<string>} candidates - Targets eligible for selection
+     * @param {Object} [req] - Incoming request providing the hash key
+     * @returns {string} Target URL
+     */
+    getConsistentHashTarget(candidates, req) {
+      const key = req ? this.getHashKey(req) : undefined;
+      if (key === undefined) {
+        return this.getRandomTarget(candidates);
+      }
+  
+      const ring = this.getRing();
+      const position = hashToRing(key);
+  
+      // Binary search for the first ring node at or after the key's position
+      let low = 0;
+      let high = ring.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (ring[mid].position < position) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+  
+      // Walk clockwise until we reach a target that is eligible; the ring
+      // covers all targets so unhealthy ones don't reshuffle other keys
+      for (let i = 0; i < ring.length; i++) {
+        const node = ring[(low + i) % ring.length];
+        if (candidates.includes(node.target)) {
+          return node.target;
+        }
+      }
+  
+      return candidates[0];
+    }
+  
+    /**
+     * Extract the consistent-hash key from a request
+     * @param {Object} req - Incoming request
+     * @returns {string|undefined} Hash key
+     */
+    getHashKey(req) {
+      if (this.hashOn.header) {
+        const value = req.headers[this.hashOn.header.toLowerCase()];
+        if (value) {
+          return String(value);
+        }
+      }
+  
+      if (this.hashOn.cookie) {
+        const value = readCookie(req, this.hashOn.cookie);
+        if (value) {
+          return value;
+        }
+      }
+  
+      // Fall back to the client address
+      return req.ip || (req.socket && req.socket.remoteAddress);
+    }
+  
+    /**
+     * Get the consistent-hash ring, building it after target changes
+     * @returns {Array<Object>} Ring nodes sorted by position
+     */
+    getRing() {
+      if (!this.ring) {
+        this.ring = [];
+        this.targets.forEach((target) => {
+          const nodes = this.virtualNodes * this.weights[target];
+          for (let i = 0; i < nodes; i++) {
+            this.ring.push({ position: hashToRing(`${target}#${i}`), target });
+          }
+        });
+        this.ring.sort((a, b) => a.position - b.position);
+      }
+  
+      return this.ring;
+    }
+  
+    /**
+     * Get target with the lowest peak-EWMA cost: its decayed latency
+     * (jumping straight to any slower sample) weighted by in-flight requests
+     * @param {Array<string>} candidates - Targets eligible for selection
+     * @returns {string} Target URL
+     */
+    getPeakEwmaTarget(candidates) {
+      const cost = target => this.getLatency(target) * (this.connectionCounts[target] + 1);
+  
+      return candidates.reduce((min, curr) => (cost(curr) < cost(min) ? curr : min), candidates[0]);
+    }
+  
+    /**
+     * Pick two random targets and use the one with fewer in-flight requests
+     * @param {Array<string>} candidates - Targets eligible for selection
+     * @returns {string} Target URL
+     */
+    getPowerOfTwoChoicesTarget(candidates) {
+      const first = Math.floor(Math.random() * candidates.length);
+      let second = Math.floor(Math.random() * (candidates.length - 1));
+      if (second >= first) {
+        second++;
+      }
+  
+      const a = candidates[first];
+      const b = candidates[second];
+      return this.connectionCounts[b] < this.connectionCounts[a] ? b : a;
+    }
+  
+    /**
+     * Record the response latency of a target for latency-aware strategies
+     * @param {string} target - Target URL
+     * @param {number} latency - Observed latency in ms
+     */
+    recordLatency(target, latency) {
+      if (!(target in this.connectionCounts)) {
+        return;
+      }
+  
+      const now = Date.now();
+      const current = this.latencies[target];
+  
+      if (!current || latency > current.value) {
+        // Peak: react to slowdowns immediately
+        this.latencies[target] = { value: latency, time: now };
+      } else {
+        const weight = Math.exp(-(now - current.time) / this.ewmaDecay);
+        this.latencies[target] = { value: current.value * weight + latency * (1 - weight), time: now };
+      }
+    }
+  
+    /**
+     * Get the current latency estimate of a target
+     * @param {string} target - Target URL
+     * @returns {number} Latency in ms (0 if the target has not been measured yet)
+     */
+    getLatency(target) {
+      return this.latencies[target] ? this.latencies[target].value : 0;
+    }
+  
+    /**
+     * Notify that a request has been dispatched to a target
+     * @param {string} target - Target URL that received the connection
+     */
+    acquireConnection(target) {
+      if (target in this.connectionCounts) {
+        this.connectionCounts[target]++;
+      }
     }
   
     /**
@@ -84,17 +370,73 @@ class LoadBalancer {
     releaseConnection(target) {
       if (this.connectionCounts[target] > 0) {
         this.connectionCounts[target]--;
+        if (this.connectionCounts[target] === 0) {
+          this.notifyIdle(target);
+        }
+      }
+    }
+  
+    /**
+     * Wait until a target has no connections in flight
+     * @param {string} target - Target URL
+     * @param {number} timeout - Longest time to wait in ms (default: no limit)
+     * @returns {Promise<boolean>} Resolves with true once idle (or removed), or false if the timeout elapsed first
+     */
+    whenTargetIdle(target, timeout) {
+      if (this.getConnectionCount(target) === 0) {
+        return Promise.resolve(true);
+      }
+  
+      return new Promise((resolve) => {
+        if (!this.idleWaiters.has(target)) {
+          this.idleWaiters.set(target, new Set());
+        }
+        const waiters = this.idleWaiters.get(target);
+  
+        let timer = null;
+        const waiter = () => {
+          clearTimeout(timer);
+          resolve(true);
+        };
+        waiters.add(waiter);
+  
+        if (timeout !== undefined) {
+          timer = setTimeout(() => {
+            waiters.delete(waiter);
+            if (waiters.size === 0 && this.idleWaiters.get(target) === waiters) {
+              this.idleWaiters.delete(target);
+            }
+            resolve(false);
+          }, timeout);
+        }
+      });
+    }
+  
+    /**
+     * Resolve everything waiting for a target's connections to finish
+     * @param {string} target - Target URL
+     */
+    notifyIdle(target) {
+      const waiters = this.idleWaiters.get(target);
+      if (waiters) {
+        this.idleWaiters.delete(target);
+        waiters.forEach(waiter => waiter());
       }
     }
   
     /**
      * Add a new target to the load balancer
-     * @param {string} target - New target URL
+     * @param {string|Object} target - New target URL, or a `{ url, weight }` object
      */
     addTarget(target) {
-      if (!this.targets.includes(target)) {
-        this.targets.push(target);
-        this.connectionCounts[target] = 0;
+      const url = typeof target === 'string' ? target : target.url;
+      const weight = typeof target === 'string' || target.weight === undefined ? 1 : target.weight;
+  
+      if (!this.targets.includes(url)) {
+        this.targets.push(url);
+        this.weights[url] = weight;
+        this.connectionCounts[url] = 0;
+        this.ring = null;
       }
     }
   
@@ -106,7 +448,15 @@ class LoadBalancer {
       const index = this.targets.indexOf(target);
       if (index !== -1) {
         this.targets.splice(index, 1);
+        this.unhealthyTargets.delete(target);
+        this.drainingTargets.delete(target);
         delete this.connectionCounts[target];
+        delete this.weights[target];
+        delete this.currentWeights[target];
+        delete this.latencies[target];
+        this.ring = null;
+        // Connections to a removed target are no longer counted
+        this.notifyIdle(target);
         
         // Adjust the current index if necessary
         if (this.currentIndex >= this.targets.length) {
@@ -115,6 +465,33 @@ class LoadBalancer {
       }
     }
   
+    /**
+     * Replace the target list, keeping the state of targets that stay
+     * @param {Array<string|Object>} targets - Target URLs, or `{ url, weight }` objects
+     * @returns {Object} The `added` and `removed` target URLs
+     */
+    setTargets(targets) {
+      const urls = targets.map(target => (typeof target === 'string' ? target : target.url));
+      const added = urls.filter(url => !this.targets.includes(url));
+      const removed = this.targets.filter(url => !urls.includes(url));
+  
+      removed.forEach(url => this.removeTarget(url));
+  
+      targets.forEach((target) => {
+        const url = typeof target === 'string' ? target : target.url;
+        const weight = typeof target === 'string' || target.weight === undefined ? 1 : target.weight;
+  
+        if (!this.targets.includes(url)) {
+          this.addTarget(target);
+        } else if (this.weights[url] !== weight) {
+          this.weights[url] = weight;
+          this.ring = null;
+        }
+      });
+  
+      return { added, removed };
+    }
+  
     /**
      * Get all targets
      * @returns {Array<string>} Array of target URLs
@@ -122,6 +499,95 @@ class LoadBalancer {
     getTargets() {
       return [...this.targets];
     }
+  
+    /**
+     * Get the weight of a target
+     * @param {string} target - Target URL
+     * @returns {number} Target weight
+     */
+    getWeight(target) {
+      return this.weights[target];
+    }
+  
+    /**
+     * Get the number of in-flight requests to a target
+     * @param {string} target - Target URL
+     * @returns {number} Active connection count
+     */
+    getConnectionCount(target) {
+      return this.connectionCounts[target] || 0;
+    }
+  
+    /**
+     * Exclude a target from selection until it is marked healthy again
+     * @param {string} target - Target URL that failed its health checks
+     */
+    markTargetDown(target) {
+      if (this.targets.includes(target)) {
+        this.unhealthyTargets.add(target);
+      }
+    }
+  
+    /**
+     * Return a previously unhealthy target to the selection pool
+     * @param {string} target - Target URL that recovered
+     */
+    markTargetUp(target) {
+      this.unhealthyTargets.delete(target);
+    }
+  
+    /**
+     * Check whether a target was marked down by health checks
+     * @param {string} target - Target URL
+     * @returns {boolean} True if the target is out of rotation until it is marked up
+     */
+    isTargetDown(target) {
+      return this.unhealthyTargets.has(target);
+    }
+  
+    /**
+     * Check whether a target is currently eligible for selection
+     * @param {string} target - Target URL
+     * @returns {boolean} True if the target is healthy
+     */
+    isTargetHealthy(target) {
+      return this.targets.includes(target) && !this.unhealthyTargets.has(target) && !this.drainingTargets.has(target);
+    }
+  
+    /**
+     * Stop selecting a target for new requests, letting its requests in flight finish
+     * @param {string} target - Target URL
+     */
+    drainTarget(target) {
+      if (this.targets.includes(target)) {
+        this.drainingTargets.add(target);
+      }
+    }
+  
+    /**
+     * Select a drained target for new requests again
+     * @param {string} target - Target URL
+     */
+    undrainTarget(target) {
+      this.drainingTargets.delete(target);
+    }
+  
+    /**
+     * Check if a target is being drained
+     * @param {string} target - Target URL
+     * @returns {boolean} True if the target is drained
+     */
+    isTargetDraining(target) {
+      return this.drainingTargets.has(target);
+    }
+  
+    /**
+     * Get the targets that are currently eligible for selection
+     * @returns {Array<string>} Array of healthy target URLs
+     */
+    getHealthyTargets() {
+      return this.targets.filter(target => !this.unhealthyTargets.has(target) && !this.drainingTargets.has(target));
+    }
   }
   
   module.exports = { LoadBalancer };
\ No newline at end of file
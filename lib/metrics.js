@@ -0,0 +1,280 @@
+// Default latency buckets, in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Numeric values reported for each circuit state
+const CIRCUIT_STATE_VALUES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+/**
+ * Escape a label value for the Prometheus text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as `{name="value",...}`
+ * @param {Object} labels - Label names and values
+ * @returns {string} Formatted labels (empty if there are none)
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Base class for a metric family with labelled series
+ */
+class Metric {
+  /**
+   * Create a new metric
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {string} type - Prometheus metric type
+   */
+  constructor(name, help, type) {
+    this.name = name;
+    this.help = help;
+    this.type = type;
+    this.series = new Map();
+  }
+
+  /**
+   * Get the series for a label set, creating it if needed
+   * @param {Object} labels - Label names and values
+   * @param {Function} create - Creates the initial series value
+   * @returns {Object} Series entry `{ labels, value }`
+   */
+  getSeries(labels, create) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, value: create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Render the metric in the Prometheus text format
+   * @returns {string} Metric text
+   */
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    this.series.forEach(({ labels, value }) => {
+      lines.push(...this.renderSeries(labels, value));
+    });
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the sample lines of a single series
+   * @param {Object} labels - Label names and values
+   * @param {*} value - Series value
+   * @returns {Array<string>} Sample lines
+   */
+  renderSeries(labels, value) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+class Counter extends Metric {
+  constructor(name, help) {
+    super(name, help, 'counter');
+  }
+
+  /**
+   * Increment the counter
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * Gauge whose series are replaced on every scrape
+ */
+class Gauge extends Metric {
+  constructor(name, help) {
+    super(name, help, 'gauge');
+  }
+
+  /**
+   * Set the value of a series
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Current value
+   */
+  set(labels, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  /**
+   * Drop all series before they are collected again
+   */
+  reset() {
+    this.series.clear();
+  }
+}
+
+/**
+ * Cumulative histogram
+ */
+class Histogram extends Metric {
+  /**
+   * Create a new histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Help text
+   * @param {Array<number>} buckets - Upper bounds of the buckets
+   */
+  constructor(name, help, buckets = DEFAULT_BUCKETS) {
+    super(name, help, 'histogram');
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label names and values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    })).value;
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        series.counts[i]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  renderSeries(labels, value) {
+    const lines = this.buckets.map((bound, i) =>
+      `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[i]}`
+    );
+    lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+    lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+    lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    return lines;
+  }
+}
+
+/**
+ * Prometheus metrics for proxied traffic, fed by the events of a ServiceProxy
+ */
+class ProxyMetrics {
+  /**
+   * Create metrics for a proxy and subscribe to its events
+   * @param {ServiceProxy} proxy - Proxy to observe
+   * @param {Object} options - Metrics options
+   * @param {string} options.prefix - Prefix for all metric names (default: 'service_proxy_')
+   * @param {Array<number>} options.buckets - Latency histogram buckets in seconds
+   */
+  constructor(proxy, options = {}) {
+    const prefix = options.prefix !== undefined ? options.prefix : 'service_proxy_';
+    this.proxy = proxy;
+
+    this.requests = new Counter(`${prefix}requests_total`, 'Upstream responses by service, target, method and status class');
+    this.latency = new Histogram(`${prefix}upstream_latency_seconds`, 'Time until the upstream response headers arrived', options.buckets);
+    this.inFlight = new Gauge(`${prefix}requests_in_flight`, 'Requests currently in flight per target');
+    this.circuitState = new Gauge(`${prefix}circuit_state`, 'Circuit breaker state (0 = closed, 1 = half-open, 2 = open)');
+    this.circuitTransitions = new Counter(`${prefix}circuit_transitions_total`, 'Circuit breaker state transitions');
+    this.retries = new Counter(`${prefix}retries_total`, 'Retried upstream attempts');
+    this.hedges = new Counter(`${prefix}hedges_total`, 'Hedged upstream attempts');
+    this.errors = new Counter(`${prefix}upstream_errors_total`, 'Upstream errors by error code');
+    this.fallbacks = new Counter(`${prefix}fallbacks_total`, 'Responses served by a service fallback');
+    this.mirrors = new Counter(`${prefix}mirror_requests_total`, 'Shadow requests sent to mirrors by outcome');
+
+    proxy.on('response', ({ service, target, req, statusCode, duration }) => {
+      const statusClass = `${Math.floor(statusCode / 100)}xx`;
+      this.requests.inc({ service, target, method: req.method, status_class: statusClass });
+      this.latency.observe({ service, target }, duration / 1000);
+    });
+    proxy.on('error', ({ service, target, action, error }) => {
+      // Failures of the admin API's audit hook are not upstream errors
+      if (action) {
+        return;
+      }
+      this.errors.inc({ service, target: target || '', code: error.code || 'UNKNOWN' });
+    });
+    proxy.on('retry', ({ service }) => {
+      this.retries.inc({ service });
+    });
+    proxy.on('hedge', ({ service }) => {
+      this.hedges.inc({ service });
+    });
+    proxy.on('fallback', ({ service, reason }) => {
+      this.fallbacks.inc({ service, reason });
+    });
+    proxy.on('mirror', ({ service, statusCode, error }) => {
+      this.mirrors.inc({ service, outcome: error ? 'error' : `${Math.floor(statusCode / 100)}xx` });
+    });
+    proxy.on('circuitStateChange', ({ service, target, group, from, to }) => {
+      this.circuitTransitions.inc({ service, target: target || '', ...(group ? { group } : {}), from, to });
+    });
+  }
+
+  /**
+   * Refresh the gauges from the current proxy state
+   */
+  collect() {
+    this.inFlight.reset();
+    this.circuitState.reset();
+
+    this.proxy.services.forEach((service, name) => {
+      // Services with target groups have a load balancer and breakers per group
+      const pools = service.groups ? [...service.groups.values()] : [service];
+
+      pools.forEach((pool) => {
+        const { loadBalancer } = pool;
+        const groupLabel = pool.group ? { group: pool.group } : {};
+        loadBalancer.getTargets().forEach((target) => {
+          this.inFlight.set({ service: name, target, ...groupLabel }, loadBalancer.getConnectionCount(target));
+        });
+
+        if (pool.targetBreakers) {
+          pool.targetBreakers.forEach((breaker, target) => {
+            this.circuitState.set({ service: name, target, ...groupLabel }, CIRCUIT_STATE_VALUES[breaker.state]);
+          });
+        } else {
+          this.circuitState.set({ service: name, target: '', ...groupLabel }, CIRCUIT_STATE_VALUES[pool.circuitBreaker.state]);
+        }
+      });
+    });
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} Exposition text
+   */
+  render() {
+    this.collect();
+
+    return [
+      this.requests,
+      this.latency,
+      this.inFlight,
+      this.circuitState,
+      this.circuitTransitions,
+      this.retries,
+      this.hedges,
+      this.errors,
+      this.fallbacks,
+      this.mirrors
+    ].map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+module.exports = { ProxyMetrics, Counter, Gauge, Histogram };
@@ -0,0 +1,118 @@
+const { LoadBalancer } = require('./loadBalancer');
+
+/**
+ * Parse a body as JSON if it is JSON
+ * @param {Object} headers - Response headers
+ * @param {Buffer} body - Response body
+ * @returns {*} Parsed value, or undefined if the body is not JSON
+ */
+function parseJsonBody(headers, body) {
+  if (!String(headers['content-type'] || '').includes('json')) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(body.toString());
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Check whether two parsed JSON values are equal, ignoring key order
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function jsonEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * Sends sampled copies ("shadow requests") of a service's traffic to another
+ * service or set of targets, and compares their responses with the primary's
+ */
+class TrafficMirror {
+  /**
+   * Create a new traffic mirror
+   * @param {Object} options - Mirror options
+   * @param {string} options.service - Registered service receiving the copies
+   * @param {Array<string>} options.targets - Targets receiving the copies (instead of a service)
+   * @param {number} options.percentage - Percentage of requests that are mirrored (default: 100)
+   * @param {Array<string>} options.methods - Methods that are mirrored (default: GET, HEAD, OPTIONS)
+   * @param {number} options.timeout - Timeout of shadow requests in ms (default: 5000)
+   * @param {Function} options.compare - Called with `{ req, primary, shadow, differences }` once both
+   *   responses are complete; differences lists 'status' and/or 'body'
+   * @param {number} options.maxBodySize - Largest body in bytes that is kept and compared (default: 1MB);
+   *   without a compare hook shadow responses are discarded as they arrive
+   */
+  constructor(options = {}) {
+    if (!options.service && !options.targets) {
+      throw new Error('Mirror requires a service or targets');
+    }
+
+    this.service = options.service || null;
+    this.loadBalancer = options.targets ? new LoadBalancer(options.targets) : null;
+    this.percentage = options.percentage !== undefined ? options.percentage : 100;
+    this.methods = options.methods || ['GET', 'HEAD', 'OPTIONS'];
+    this.timeout = options.timeout || 5000;
+    this.compare = options.compare || null;
+    this.maxBodySize = options.maxBodySize || 1024 * 1024;
+  }
+
+  /**
+   * Decide whether a request is mirrored
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True if a copy of the request should be sent
+   */
+  shouldMirror(req) {
+    return this.methods.includes(req.method) && Math.random() * 100 < this.percentage;
+  }
+
+  /**
+   * Compare a primary response with its shadow response
+   * @param {Object} primary - `{ statusCode, headers, body }` of the primary response;
+   *   body is null if it was too large to keep
+   * @param {Object} shadow - `{ statusCode, headers, body }` of the shadow response, or `{ error }`;
+   *   body is null if it was too large to keep
+   * @returns {Array<string>} Differences: 'status' and/or 'body'
+   */
+  getDifferences(primary, shadow) {
+    if (shadow.error) {
+      return ['status'];
+    }
+
+    const differences = [];
+    if (primary.statusCode !== shadow.statusCode) {
+      differences.push('status');
+    }
+
+    if (primary.body && shadow.body) {
+      const primaryJson = parseJsonBody(primary.headers, primary.body);
+      const shadowJson = parseJsonBody(shadow.headers, shadow.body);
+      const equal = primaryJson !== undefined && shadowJson !== undefined
+        ? jsonEqual(primaryJson, shadowJson)
+        : primary.body.equals(shadow.body);
+
+      if (!equal) {
+        differences.push('body');
+      }
+    }
+
+    return differences;
+  }
+}
+
+module.exports = { TrafficMirror };
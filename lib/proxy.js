@@ -1,10 +1,525 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { EventEmitter } = require('events');
 const { createProxyMiddleware } = require('http-proxy-middleware');
 const { LoadBalancer } = require('./loadBalancer');
 const { CircuitBreaker } = require('./circuitBreaker');
+const { HealthChecker } = require('./healthChecker');
+const { RetryBudget } = require('./retryBudget');
+const { StickySession } = require('./stickySession');
+const { isDiscoveryProvider } = require('./discovery');
+const { ProxyMetrics } = require('./metrics');
+const { Tracer } = require('./tracing');
+const { RateLimiter } = require('./rateLimiter');
+const { ConcurrencyLimiter } = require('./concurrencyLimiter');
+const { ResponseCache } = require('./responseCache');
+const { HedgePolicy } = require('./hedging');
+const { TrafficSplitter } = require('./trafficSplit');
+const { TrafficMirror } = require('./mirror');
+const { Route } = require('./router');
+const { RequestTracker } = require('./requestTracker');
+const { AdminApi } = require('./admin');
+const { Aggregator } = require('./aggregate');
+const { Authenticator } = require('./auth');
+const { Transformer } = require('./transform');
+const { bufferRequestBody, writeBufferedBody } = require('./requestBody');
+const {
+  validateConfig,
+  parseConfig,
+  getConfigFormat,
+  readConfigFile,
+  getServiceOptions,
+  getMounts
+} = require('./config');
 
-class ServiceProxy {
+// Per-request proxy state (chosen target, attempt count, buffered body)
+const requestContexts = new WeakMap();
+
+// Response headers managed by Node itself and never copied from upstream
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive'];
+
+// Upstream attempt of each outgoing request, and of each error an attempt failed with
+const upstreamAttempts = new WeakMap();
+const failedAttempts = new WeakMap();
+
+// Raised from the router when the request was answered without being proxied
+const RESPONSE_SENT = Symbol('responseSent');
+
+// Header marking responses produced by a service's fallback
+const FALLBACK_HEADER = 'X-Fallback';
+
+// Services a request has already fallen back from, to stop fallback loops
+const fallbackChains = new WeakMap();
+
+// WebSocket close frame with status 1001 ("going away"), sent to clients when a service drains
+const WEBSOCKET_GOING_AWAY = Buffer.from([0x88, 0x02, 0x03, 0xe9]);
+
+/**
+ * Get the circuit breaker guarding a target, creating per-target breakers on first use
+ * @param {Object} pool - Target pool (a service record, or one of its target groups)
+ * @param {string} target - Target URL
+ * @returns {CircuitBreaker} Circuit breaker for the target
+ */
+function getCircuitBreaker(pool, target) {
+  if (!pool.targetBreakers) {
+    return pool.circuitBreaker;
+  }
+
+  if (!pool.targetBreakers.has(target)) {
+    pool.targetBreakers.set(target, pool.createCircuitBreaker(target));
+  }
+
+  return pool.targetBreakers.get(target);
+}
+
+/**
+ * Check whether a target pool can no longer accept traffic because its circuit
+ * (or, with per-target breakers, every target's circuit) is open
+ * @param {Object} pool - Target pool (a service record, or one of its target groups)
+ * @returns {boolean} True if the pool is unavailable
+ */
+function isCircuitOpen(pool) {
+  if (!pool.targetBreakers) {
+    return pool.circuitBreaker.isOpen();
+  }
+
+  return pool.loadBalancer.getTargets().every(target => getCircuitBreaker(pool, target).isOpen());
+}
+
+/**
+ * Get the target pools of a service: its target groups, or the service itself
+ * @param {Object} service - Registered service record
+ * @returns {Array<Object>} Target pools
+ */
+function getPools(service) {
+  return service.groups ? [...service.groups.values()] : [service];
+}
+
+/**
+ * Describe the health of a target pool
+ * @param {Object} pool - Target pool (a service record, or one of its target groups)
+ * @returns {Object} Status, targets, discovery and circuit state of the pool
+ */
+function describePool(pool) {
+  const { loadBalancer, healthChecker } = pool;
+  const hasHealthyTargets = loadBalancer.getHealthyTargets().length > 0;
+
+  return {
+    status: isCircuitOpen(pool) || !hasHealthyTargets ? 'DOWN' : 'UP',
+    targets: loadBalancer.getTargets().map(url => ({
+      url,
+      status: loadBalancer.isTargetDraining(url) ? 'DRAINING' : (loadBalancer.isTargetHealthy(url) ? 'UP' : 'DOWN'),
+      weight: loadBalancer.getWeight(url),
+      inFlight: loadBalancer.getConnectionCount(url),
+      ...(healthChecker ? { healthCheck: healthChecker.getTargetState(url) } : {}),
+      ...(pool.targetBreakers ? { circuitState: getCircuitBreaker(pool, url).getState() } : {})
+    })),
+    ...(pool.discovery ? { discovery: pool.discovery.getState() } : {}),
+    ...(pool.targetBreakers ? {} : { circuitState: pool.circuitBreaker.getState() })
+  };
+}
+
+/**
+ * Check whether targets were given as named groups, e.g. `{ stable: [...], canary: [...] }`
+ * @param {*} targets - Targets passed to registerService()
+ * @returns {boolean} True for target groups
+ */
+function isTargetGroups(targets) {
+  return Boolean(targets) && typeof targets === 'object' && !Array.isArray(targets) && !isDiscoveryProvider(targets);
+}
+
+/**
+ * Create an error that is sent to the client with the given status code
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} headers - Headers to send with the error response
+ * @returns {Error} Error with statusCode and headers properties
+ */
+function createHttpError(message, statusCode, headers = {}) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.headers = headers;
+  return error;
+}
+
+/**
+ * Validate a static target list
+ * @param {Array<string|Object>} targets - Target URLs or `{ url, weight }` objects
+ */
+function validateTargets(targets) {
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error('Targets must be a non-empty array of URLs');
+  }
+
+  if (!targets.every(target => typeof target === 'string' || (target && typeof target.url === 'string'))) {
+    throw new Error('Each target must be a URL or an object with a "url" property');
+  }
+}
+
+/**
+ * Stop the background work of a service
+ * @param {Object} service - Registered service record
+ * @param {Object} replacement - Record replacing the service; health checkers and
+ *   discovery providers it took over keep running
+ */
+function stopService(service, replacement = null) {
+  const kept = replacement ? getPools(replacement) : [];
+
+  getPools(service).forEach((pool) => {
+    if (pool.healthChecker && !kept.some(other => other.healthChecker === pool.healthChecker)) {
+      pool.healthChecker.stop();
+    }
+    if (pool.discovery && !kept.some(other => other.discovery === pool.discovery)) {
+      pool.discovery.stop();
+    }
+  });
+}
+
+/**
+ * Create the error used to abort an upstream attempt that ran out of time
+ * @param {number} timeout - Timeout that elapsed, in ms
+ * @returns {Error} Error with code ETIMEDOUT
+ */
+function createTimeoutError(timeout) {
+  const error = new Error(`Upstream request timed out after ${timeout}ms`);
+  error.code = 'ETIMEDOUT';
+  return error;
+}
+
+/**
+ * Send a JSON error response to the client
+ * @param {Object} res - Client response
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error details
+ * @param {Object} headers - Additional response headers
+ */
+function sendError(res, statusCode, message, headers = {}) {
+  if (res.headersSent) {
+    return;
+  }
+
+  res.set(headers);
+  res.status(statusCode).json({
+    error: http.STATUS_CODES[statusCode],
+    message
+  });
+}
+
+/**
+ * Hand a request to a service middleware under another path, like app.use() does
+ * for mount paths, and restore the original path if the middleware passes it on
+ * @param {Function} middleware - Service middleware
+ * @param {Object} req - Incoming request
+ * @param {Object} res - Client response
+ * @param {Function} next - Next middleware
+ * @param {string} url - Path and query the service middleware sees
+ * @param {string} mountPath - Client path prefix the new path replaces
+ */
+function forwardRequest(middleware, req, res, next, url, mountPath) {
+  const { url: originalUrl, baseUrl = '' } = req;
+  req.url = url;
+  req.baseUrl = `${baseUrl}${mountPath}`;
+
+  return middleware(req, res, (err) => {
+    req.url = originalUrl;
+    req.baseUrl = baseUrl;
+    next(err);
+  });
+}
+
+/**
+ * Apply the rate and concurrency limits of a service to an incoming request
+ * @param {Object} service - Registered service record
+ * @param {Object} req - Incoming request
+ * @returns {Promise<void>} Resolves once the request may be proxied; rejects
+ *   with a 429 or 503 error when it is turned away
+ */
+async function admitRequest(service, req) {
+  const { rateLimiter, concurrencyLimiter } = service;
+  const res = req.res;
+
+  if (rateLimiter) {
+    const { allowed, headers } = await rateLimiter.check(req);
+    if (!allowed) {
+      throw createHttpError('Rate limit exceeded', 429, headers);
+    }
+    res.set(headers);
+  }
+
+  if (concurrencyLimiter) {
+    let release;
+    try {
+      release = await concurrencyLimiter.acquire();
+    } catch (err) {
+      const retryAfter = Math.max(1, Math.ceil(concurrencyLimiter.queueTimeout / 1000));
+      throw createHttpError(err.message, 503, { 'Retry-After': String(retryAfter) });
+    }
+
+    // The client may have gone away while the request was queued
+    if (req.socket.destroyed) {
+      release();
+      throw createHttpError('Client disconnected while queued', 503);
+    }
+
+    // Hold the slot until the response is complete or the client disconnects
+    res.once('close', release);
+  }
+}
+
+/**
+ * Send a static or function-built fallback response
+ * @param {Object} res - Client response
+ * @param {Object} response - `{ status, headers, body }`; object bodies are sent as JSON
+ */
+function writeStaticResponse(res, response) {
+  const { status = 200, headers = {}, body } = response;
+  res.status(status).set(headers);
+
+  if (body === undefined) {
+    res.end();
+  } else if (Buffer.isBuffer(body) || typeof body === 'string') {
+    res.send(body);
+  } else {
+    res.json(body);
+  }
+}
+
+/**
+ * Pick the target for the next attempt of a request
+ * @param {Object} service - Registered service record
+ * @param {Object} req - Incoming request
+ * @param {Array<string>} tried - Targets already attempted for this request
+ * @param {Object} pool - Target pool serving the request (default: the service itself)
+ * @returns {string} Target URL
+ */
+function selectTarget(service, req, tried = [], pool = service) {
+  const { loadBalancer } = pool;
+
+  // Check circuit breaker
+  if (isCircuitOpen(pool)) {
+    throw createHttpError('Service is unavailable (circuit open)', 503);
+  }
+
+  // With per-target breakers, skip targets whose circuit is open
+  const isAvailable = pool.targetBreakers
+    ? target => !getCircuitBreaker(pool, target).isOpen()
+    : () => true;
+
+  // Send clients with an affinity cookie back to their target while it can take traffic
+  if (service.stickySession) {
+    const pinned = service.stickySession.getTarget(req, loadBalancer.getTargets());
+    if (pinned && loadBalancer.isTargetHealthy(pinned) && isAvailable(pinned) && !tried.includes(pinned)) {
+      return pinned;
+    }
+  }
+
+  try {
+    // Prefer targets this request has not tried yet, falling back to
+    // any available target once all of them have been attempted
+    if (tried.length > 0) {
+      try {
+        return loadBalancer.getNextTarget(target => isAvailable(target) && !tried.includes(target), req);
+      } catch (err) {
+        // Every available target has already been tried
+      }
+    }
+
+    return loadBalancer.getNextTarget(pool.targetBreakers ? isAvailable : undefined, req);
+  } catch (err) {
+    err.statusCode = 503;
+    throw err;
+  }
+}
+
+/**
+ * Copy an upstream response to the client
+ * @param {Object} proxyRes - Response from the target
+ * @param {Object} res - Client response
+ * @param {Object} extraHeaders - Additional headers to set on the client response
+ * @param {Object} transformed - `{ headers, body }` replacing the upstream's headers, and its body
+ *   unless the body is null (see Transformer)
+ */
+function writeProxyResponse(proxyRes, res, extraHeaders = {}, transformed = null) {
+  res.statusCode = proxyRes.statusCode;
+  if (proxyRes.statusMessage) {
+    res.statusMessage = proxyRes.statusMessage;
+  }
+
+  Object.entries(transformed ? transformed.headers : proxyRes.headers).forEach(([key, value]) => {
+    if (!HOP_BY_HOP_HEADERS.includes(key)) {
+      res.setHeader(key, value);
+    }
+  });
+
+  Object.entries(extraHeaders).forEach(([key, value]) => {
+    // Keep the upstream's cookies alongside our own
+    if (key.toLowerCase() === 'set-cookie') {
+      res.append(key, value);
+    } else {
+      res.setHeader(key, value);
+    }
+  });
+
+  if (transformed && transformed.body) {
+    res.end(transformed.body);
+  } else {
+    proxyRes.pipe(res);
+  }
+}
+
+/**
+ * Send a request straight to a target, outside of the proxy pipeline,
+ * and buffer the response
+ * @param {URL|string} url - Upstream URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: GET)
+ * @param {Object} options.headers - Request headers
+ * @param {Buffer|string} options.body - Request body
+ * @param {number} options.timeout - Timeout in ms
+ * @param {number} options.maxBodySize - Largest response body kept, in bytes (default: no limit);
+ *   larger bodies are read and discarded
+ * @returns {Promise<Object>} `{ statusCode, headers, body }`; body is null if it was discarded
+ */
+function requestUpstream(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const upstreamReq = client.request(target, {
+      method: options.method || 'GET',
+      headers: options.headers
+    }, (upstreamRes) => {
+      const maxBodySize = options.maxBodySize === undefined ? Infinity : options.maxBodySize;
+      const chunks = [];
+      let size = 0;
+      upstreamRes.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= maxBodySize) {
+          chunks.push(chunk);
+        } else {
+          chunks.length = 0;
+        }
+      });
+      upstreamRes.on('end', () => resolve({
+        statusCode: upstreamRes.statusCode,
+        headers: upstreamRes.headers,
+        body: size <= maxBodySize ? Buffer.concat(chunks) : null
+      }));
+      upstreamRes.on('error', reject);
+    });
+
+    if (options.timeout) {
+      upstreamReq.setTimeout(options.timeout, () => upstreamReq.destroy(createTimeoutError(options.timeout)));
+    }
+    upstreamReq.on('error', reject);
+    upstreamReq.end(options.body);
+  });
+}
+
+/**
+ * Apply a service's pathRewrite option the way http-proxy-middleware does
+ * @param {Object|Function} pathRewrite - `{ pattern: replacement }` rules (the first matching
+ *   rule applies) or a function `(path, req)` returning the new path
+ * @param {string} path - Path and query of the request
+ * @param {Object} req - Incoming request
+ * @returns {Promise<string>} Rewritten path
+ */
+async function rewritePath(pathRewrite, path, req) {
+  if (typeof pathRewrite === 'function') {
+    const rewritten = await pathRewrite(path, req);
+    return typeof rewritten === 'string' ? rewritten : path;
+  }
+
+  const rule = Object.entries(pathRewrite || {}).find(([pattern]) => new RegExp(pattern).test(path));
+  return rule ? path.replace(new RegExp(rule[0]), rule[1]) : path;
+}
+
+/**
+ * Format the head of a raw HTTP response
+ * @param {string} statusLine - Status line, e.g. `HTTP/1.1 101 Switching Protocols`
+ * @param {Array<string>} rawHeaders - Header names and values, alternating
+ * @returns {string} Status line and headers, ending with the blank line
+ */
+function formatResponseHead(statusLine, rawHeaders) {
+  const lines = [statusLine];
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    lines.push(`${rawHeaders[i]}: ${rawHeaders[i + 1]}`);
+  }
+  return `${lines.join('\r\n')}\r\n\r\n`;
+}
+
+/**
+ * Answer an upgrade request that cannot be proxied with a JSON error and close the socket
+ * @param {Object} socket - Client socket
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Error details
+ */
+function rejectUpgrade(socket, statusCode, message) {
+  if (!socket.writable) {
+    socket.destroy();
+    return;
+  }
+
+  const body = JSON.stringify({ error: http.STATUS_CODES[statusCode], message });
+  socket.end(formatResponseHead(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}`, [
+    'Content-Type', 'application/json',
+    'Content-Length', String(Buffer.byteLength(body)),
+    'Connection', 'close'
+  ]) + body);
+}
+
+/**
+ * Check whether a response is a long-lived stream, such as server-sent events
+ * @param {Object} proxyRes - Response from the target
+ * @param {Array<string>} contentTypes - Content types that are streamed
+ * @returns {boolean} True for streaming responses
+ */
+function isStreamingResponse(proxyRes, contentTypes) {
+  const contentType = String(proxyRes.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  return contentTypes.includes(contentType);
+}
+
+/**
+ * Compute the delay before a retry using exponential backoff with jitter
+ * @param {Object} retry - Retry options
+ * @param {number} attempt - Number of attempts made so far
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(retry, attempt) {
+  const delay = Math.min(retry.maxDelay, retry.baseDelay * Math.pow(2, attempt - 1));
+
+  // "Equal jitter": keep half of the delay and randomize the rest
+  return retry.jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+}
+
+/**
+ * Service proxy managing registered services and their middleware.
+ *
+ * Events (each listener receives a single details object):
+ * - 'request': an attempt is dispatched to a target
+ * - 'response': a target responded (statusCode, duration in ms)
+ * - 'error': an attempt failed (error), or the admin API's onAudit hook threw (action, error)
+ * - 'retry': a failed attempt is retried
+ * - 'hedge': a duplicate attempt is sent for a slow request
+ * - 'fallback': the service was unavailable and its fallback answered (reason)
+ * - 'circuitOpen' / 'circuitClose' / 'circuitStateChange': a circuit breaker changed state
+ * - 'targetDown' / 'targetUp': a target failed or passed its health checks
+ * - 'mirror': a shadow request sent to the mirror completed or failed
+ * - 'rollback': a target group's error rate crossed its threshold and it stopped receiving traffic
+ * - 'configReload': the config file changed and its services were applied (path, services)
+ * - 'configError': the changed config file was invalid and the last good config stays active (path, error)
+ * - 'audit': a change was made (or refused) through the admin API (actor, action, service, status, outcome)
+ */
+class ServiceProxy extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.services = new Map();
+    this.metrics = new ProxyMetrics(this, options.metrics);
+    this.config = null;
+    this.routes = [];
+    this.routeCount = 0;
+    this.routeMiddlewares = new Map();
     this.defaultOptions = {
       changeOrigin: true,
       logLevel: 'silent',
@@ -12,15 +527,248 @@ class ServiceProxy {
     };
   }
 
+  /**
+   * Create a proxy whose services and mounts are described by a JSON or YAML config file
+   * @param {string} filePath - Config file path
+   * @param {Object} options - Global options for all services, plus the loadConfig() options
+   *   `watch` and `format`
+   * @returns {ServiceProxy} A new ServiceProxy instance
+   * @throws {ConfigError} If the file cannot be parsed or is invalid
+   */
+  static fromConfig(filePath, options = {}) {
+    const { watch, format, ...proxyOptions } = options;
+    return new ServiceProxy(proxyOptions).loadConfig(filePath, { watch, format });
+  }
+
   /**
    * Register a service with multiple target instances
    * @param {string} serviceName - Name of the service
-   * @param {Array<string>} targets - Array of target URLs
+   * @param {Array<string|Object>|DiscoveryProvider|Object} targets - Array of target URLs, `{ url, weight }`
+   *   objects, or a discovery provider that keeps the target list up to date; or named target groups
+   *   such as `{ stable: [...], canary: [...] }`, each with its own load balancer and circuit breakers
    * @param {Object} options - Service specific options
+   * @param {string|Function} options.loadBalancingStrategy - Load balancing strategy (see LoadBalancer)
+   * @param {Object} options.loadBalancingOptions - Strategy options such as `hashOn` (see LoadBalancer)
+   * @param {Object} options.circuitBreaker - Circuit breaker settings; set `perTarget: true`
+   *   to give every target its own breaker instead of one for the whole service
+   * @param {Object|boolean} options.healthCheck - Actively probe each target (see HealthChecker)
+   * @param {Object|boolean} options.retry - Retry failed attempts on another target
+   * @param {number} options.retry.maxAttempts - Total attempts per request, including the first
+   * @param {number} options.retry.baseDelay - Backoff delay in ms before the first retry
+   * @param {number} options.retry.maxDelay - Upper bound for the backoff delay in ms
+   * @param {boolean} options.retry.jitter - Randomize backoff delays
+   * @param {Array<number>} options.retry.retryOnStatus - Upstream status codes that are retried
+   * @param {Array<string>} options.retry.retryOnErrors - Error codes that are retried
+   * @param {Array<string>} options.retry.methods - HTTP methods that are safe to retry
+   * @param {Object} options.retry.budget - Retry budget settings (see RetryBudget)
+   * @param {number} options.retry.maxBodySize - Largest request body buffered for retries, in bytes
+   *   (default: 1MB); retryable requests with larger bodies are answered with 413
+   * @param {Object} options.deadline - Client supplied deadlines; a deadline replaces
+   *   circuitBreaker.requestTimeout and covers all attempts of the request
+   * @param {string|boolean} options.deadline.header - Header carrying the deadline in ms (false to disable)
+   * @param {number} options.deadline.max - Longest deadline a client may request, in ms
+   * @param {Object|boolean} options.stickySession - Pin clients to a target with a signed
+   *   cookie (cookieName, ttl, secret; see StickySession)
+   * @param {Object|boolean} options.tracing - Propagate request IDs and W3C trace context,
+   *   exporting a span per upstream attempt (requestIdHeader, exporter, serverTiming; see Tracer)
+   * @param {Object} options.rateLimit - Token bucket rate limit per client (capacity, refillRate,
+   *   keyBy: 'ip' | { header } | function, store; see RateLimiter)
+   * @param {Object} options.concurrency - Limit requests in flight for the service
+   *   (maxConcurrent, maxQueue, queueTimeout; see ConcurrencyLimiter)
+   * @param {Object|boolean} options.cache - Cache GET responses as the upstream's caching headers
+   *   allow (store, maxEntries, maxBodySize, statusHeader; see ResponseCache). Requests of
+   *   callers authenticated by `auth` bypass the cache.
+   * @param {Object|Function} options.fallback - Response used when the service is unavailable:
+   *   a static `{ status, headers, body }`, `{ service }` to route to another registered service,
+   *   or a function `(req, details)` returning a response (or nothing to send the usual error)
+   * @param {Object} options.hedge - Send a duplicate of slow idempotent requests to another target
+   *   and use whichever response arrives first (delay, percentile, maxRatio, methods; see HedgePolicy)
+   * @param {Object} options.trafficSplit - How traffic is split between target groups
+   *   (defaultGroup, weights, rules, rollback; see TrafficSplitter)
+   * @param {Object} options.mirror - Send sampled copies of requests to another registered service
+   *   or to targets and discard their responses (service or targets, percentage, methods, timeout,
+   *   compare; see TrafficMirror)
+   * @param {Object} options.auth - Authenticate requests before they are proxied, with JWTs (HMAC or
+   *   RSA keys, or a JWKS file or URL), API keys and/or Basic auth; apply scope and role rules per
+   *   path and forward verified claims as headers (jwt, apiKeys, basic, rules, forwardClaims; see
+   *   Authenticator). The caller's identity is available as `req.auth`.
+   * @param {Object} options.streaming - Streaming responses and upgraded (WebSocket) connections
+   *   are exempt from the request timeout and end after `idleTimeout` ms without data instead
+   *   (default: 60000; 0 to disable). `contentTypes` lists the streamed response types (default:
+   *   text/event-stream); `closeTimeout` is how long a draining service waits for connections
+   *   to close after asking them to (default: 5000).
+   * @param {Object} options.transform - Rewrite requests and responses: headers and query parameters
+   *   with per-request templates such as `'{requestId}'` or `'{elapsed}ms'`, JSON bodies with async
+   *   functions, and `Location` and `Set-Cookie` headers pointing at the target (request, response,
+   *   publicUrl; see Transformer). Responses served from the cache are not transformed, so a
+   *   response body transform cannot be combined with `cache`.
    */
   registerService(serviceName, targets, options = {}) {
-    if (!Array.isArray(targets) || targets.length === 0) {
-      throw new Error('Targets must be a non-empty array of URLs');
+    const service = this.createService(serviceName, targets, options);
+
+    // Stop background work of a service that is being registered again
+    const existing = this.services.get(serviceName);
+    if (existing) {
+      stopService(existing, service);
+    }
+
+    this.services.set(serviceName, service);
+    return this;
+  }
+
+  /**
+   * Change the targets and/or options of a registered service. Targets that stay keep
+   * their circuit breaker, connection and health state; requests in flight finish with
+   * the settings they started with.
+   * @param {string} serviceName - Name of the registered service
+   * @param {Object} changes - What to change
+   * @param {Array<string|Object>|DiscoveryProvider|Object} changes.targets - New targets (see registerService)
+   * @param {Object} changes.options - Options merged over the current ones (see registerService);
+   *   set an option to undefined to remove it
+   * @returns {ServiceProxy} This proxy
+   */
+  updateService(serviceName, changes = {}) {
+    const previous = this.services.get(serviceName);
+
+    if (!previous) {
+      throw new Error(`Service "${serviceName}" is not registered`);
+    }
+    if (previous.draining) {
+      throw new Error(`Service "${serviceName}" is being unregistered`);
+    }
+
+    const { targets, options } = previous.registration;
+    return this.replaceService(serviceName, changes.targets || targets, { ...options, ...changes.options });
+  }
+
+  /**
+   * Replace the targets and options of a registered service, keeping the state
+   * of targets that stay
+   * @param {string} serviceName - Name of the registered service
+   * @param {Array<string|Object>|DiscoveryProvider|Object} targets - Targets (see registerService)
+   * @param {Object} options - Service options (see registerService)
+   * @returns {ServiceProxy} This proxy
+   */
+  replaceService(serviceName, targets, options = {}) {
+    const previous = this.services.get(serviceName);
+    const service = this.createService(serviceName, targets, options, previous);
+
+    stopService(previous, service);
+    this.services.set(serviceName, service);
+    return this;
+  }
+
+  /**
+   * Remove a service. New requests are refused with 503 while the requests in
+   * flight finish; after that the service is gone and its middleware answers 404.
+   * Upgraded connections and streaming responses are asked to close: WebSocket
+   * clients get a "going away" close frame, streams are ended.
+   * @param {string} serviceName - Name of the registered service
+   * @param {Object} options - Unregister options
+   * @param {number} options.timeout - Longest time in ms to wait for requests in flight (default: 30000)
+   * @returns {Promise<boolean>} Resolves once the service is removed; true if all requests in flight finished
+   */
+  async unregisterService(serviceName, options = {}) {
+    const service = this.services.get(serviceName);
+
+    if (!service) {
+      throw new Error(`Service "${serviceName}" is not registered`);
+    }
+
+    service.draining = true;
+    service.connections.forEach(connection => connection.close());
+    const drained = await service.requests.whenIdle(options.timeout !== undefined ? options.timeout : 30000);
+
+    stopService(service);
+    if (this.services.get(serviceName) === service) {
+      this.services.delete(serviceName);
+    }
+    return drained;
+  }
+
+  /**
+   * Stop sending new requests to a target of a service while its requests in flight
+   * finish, e.g. before the instance is taken down. Upgraded connections and streaming
+   * responses to the target are asked to close. The target stays drained until it is
+   * undrained or removed.
+   * @param {string} serviceName - Name of the registered service
+   * @param {string} target - Target URL
+   * @param {Object} options - Drain options
+   * @param {number} options.timeout - Longest time in ms to wait for requests in flight (default: 30000)
+   * @returns {Promise<boolean>} Resolves once the target is idle; true if all requests in flight finished
+   */
+  async drainTarget(serviceName, target, options = {}) {
+    const service = this.services.get(serviceName);
+
+    if (!service) {
+      throw new Error(`Service "${serviceName}" is not registered`);
+    }
+
+    const pools = getPools(service).filter(pool => pool.loadBalancer.getTargets().includes(target));
+    if (pools.length === 0) {
+      throw new Error(`Target ${target} is not registered for service "${serviceName}"`);
+    }
+
+    pools.forEach(pool => pool.loadBalancer.drainTarget(target));
+    service.connections.forEach((connection) => {
+      if (connection.target === target) {
+        connection.close();
+      }
+    });
+
+    const timeout = options.timeout !== undefined ? options.timeout : 30000;
+    const idle = await Promise.all(pools.map(pool => pool.loadBalancer.whenTargetIdle(target, timeout)));
+    return idle.every(Boolean);
+  }
+
+  /**
+   * Create the record of a service
+   * @param {string} serviceName - Name of the service
+   * @param {Array<string|Object>|DiscoveryProvider|Object} targets - Targets (see registerService)
+   * @param {Object} options - Service options (see registerService)
+   * @param {Object} previous - Record of the service being updated, whose target state is kept
+   * @returns {Object} Service record
+   */
+  createService(serviceName, targets, options = {}, previous = null) {
+    const { service, activate } = this.buildService(serviceName, targets, options, previous);
+    activate();
+    return service;
+  }
+
+  /**
+   * Build the record of a service without changing any live state. The load balancers,
+   * breakers, health checkers and discovery providers it takes over from the previous
+   * record are only updated, and background work only starts, once `activate()` is called,
+   * so a service that fails to build leaves the running one untouched.
+   * @param {string} serviceName - Name of the service
+   * @param {Array<string|Object>|DiscoveryProvider|Object} targets - Targets (see registerService)
+   * @param {Object} options - Service options (see registerService)
+   * @param {Object} previous - Record of the service being updated, whose target state is kept
+   * @returns {Object} `{ service, activate }`
+   */
+  buildService(serviceName, targets, options = {}, previous = null) {
+    const groupTargets = isTargetGroups(targets) ? targets : null;
+
+    if (groupTargets) {
+      if (Object.keys(groupTargets).length === 0) {
+        throw new Error('Target groups must contain at least one group');
+      }
+      Object.values(groupTargets).forEach((group) => {
+        if (!isDiscoveryProvider(group)) {
+          validateTargets(group);
+        }
+      });
+    } else if (!isDiscoveryProvider(targets)) {
+      validateTargets(targets);
+    }
+
+    if (options.mirror) {
+      if (options.mirror.service === serviceName) {
+        throw new Error(`Service "${serviceName}" cannot mirror traffic to itself`);
+      }
+      if (options.mirror.targets) {
+        validateTargets(options.mirror.targets);
+      }
     }
 
     const serviceOptions = {
@@ -31,107 +779,1871 @@ class ServiceProxy {
         resetTimeout: 30000,
         requestTimeout: 10000,
         ...(options.circuitBreaker || {})
+      },
+      retry: options.retry ? {
+        maxAttempts: 3,
+        baseDelay: 100,
+        maxDelay: 2000,
+        jitter: true,
+        retryOnStatus: [502, 503, 504],
+        retryOnErrors: ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'EPIPE', 'EAI_AGAIN'],
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        maxBodySize: 1024 * 1024,
+        ...(options.retry === true ? {} : options.retry)
+      } : null
+    };
+
+    // Cached responses are stored as the target sent them and could not be transformed on the way out
+    const { transform } = serviceOptions;
+    if (serviceOptions.cache && transform && transform.response && transform.response.body) {
+      throw new Error('Response body transforms cannot be combined with the response cache');
+    }
+
+    serviceOptions.streaming = {
+      idleTimeout: 60000,
+      closeTimeout: 5000,
+      contentTypes: ['text/event-stream'],
+      ...(options.streaming || {})
+    };
+
+    serviceOptions.deadline = {
+      header: 'x-request-timeout',
+      max: serviceOptions.circuitBreaker.requestTimeout,
+      ...(options.deadline || {})
+    };
+
+    // Changes to live state, applied by activate() once the whole record is built
+    const activations = [];
+
+    /**
+     * Create the load balancer, circuit breakers, health checker and discovery
+     * of a set of targets
+     * @param {Array<string|Object>|DiscoveryProvider} poolTargets - Targets or discovery provider
+     * @param {string|null} group - Target group name
+     * @returns {Object} Target pool
+     */
+    const createPool = (poolTargets, group = null) => {
+      const discovery = isDiscoveryProvider(poolTargets) ? poolTargets : null;
+      const strategy = serviceOptions.loadBalancingStrategy || 'round-robin';
+
+      // An updated service keeps the matching pool of its previous record, so targets
+      // that stay keep their connections, latencies, health and breakers
+      let previousPool = null;
+      if (previous) {
+        previousPool = group
+          ? (previous.groups && previous.groups.get(group)) || null
+          : (previous.groups ? null : previous);
+        if (previousPool && previousPool.discovery !== discovery) {
+          previousPool = null;
+        }
+      }
+
+      // Create load balancer for this service
+      // Discovered services start without targets until the first lookup completes
+      let loadBalancer;
+      let removedTargets = [];
+      if (previousPool) {
+        loadBalancer = previousPool.loadBalancer;
+        if (!discovery) {
+          const urls = poolTargets.map(target => (typeof target === 'string' ? target : target.url));
+          removedTargets = loadBalancer.getTargets().filter(url => !urls.includes(url));
+        }
+        activations.push(() => {
+          loadBalancer.setStrategy(strategy, serviceOptions.loadBalancingOptions);
+          if (!discovery) {
+            loadBalancer.setTargets(poolTargets);
+          }
+        });
+      } else {
+        loadBalancer = new LoadBalancer(
+          discovery ? [] : poolTargets,
+          strategy,
+          serviceOptions.loadBalancingOptions
+        );
+      }
+
+      // Create circuit breakers that report their state changes as proxy events
+      const createCircuitBreaker = (target = null) => {
+        const breaker = new CircuitBreaker(serviceOptions.circuitBreaker);
+        breaker.on('stateChange', (from, to) => {
+          const details = { service: serviceName, target, ...(group ? { group } : {}) };
+          this.emit('circuitStateChange', { ...details, from, to });
+          if (to === 'OPEN') {
+            this.emit('circuitOpen', details);
+          } else if (to === 'CLOSED') {
+            this.emit('circuitClose', details);
+          }
+        });
+        return breaker;
+      };
+
+      let circuitBreaker;
+      let targetBreakers = serviceOptions.circuitBreaker.perTarget ? new Map() : null;
+      if (previousPool) {
+        circuitBreaker = previousPool.circuitBreaker;
+        if (targetBreakers && previousPool.targetBreakers) {
+          targetBreakers = previousPool.targetBreakers;
+        }
+        activations.push(() => {
+          if (targetBreakers) {
+            removedTargets.forEach(target => targetBreakers.delete(target));
+          }
+          [circuitBreaker, ...(targetBreakers ? targetBreakers.values() : [])]
+            .forEach(breaker => breaker.configure(serviceOptions.circuitBreaker));
+        });
+      } else {
+        circuitBreaker = createCircuitBreaker();
+      }
+
+      // Probe targets in the background when health checking is enabled
+      let healthChecker = null;
+      if (previousPool && previousPool.healthChecker && previous.options.healthCheck === serviceOptions.healthCheck) {
+        healthChecker = previousPool.healthChecker;
+      } else if (serviceOptions.healthCheck) {
+        const healthCheckOptions = serviceOptions.healthCheck === true ? {} : serviceOptions.healthCheck;
+        healthChecker = new HealthChecker(loadBalancer, healthCheckOptions);
+        healthChecker.on('targetDown', target => this.emit('targetDown', { service: serviceName, target }));
+        healthChecker.on('targetUp', target => this.emit('targetUp', { service: serviceName, target }));
+        activations.push(() => healthChecker.start());
+      } else if (previousPool && previousPool.healthChecker) {
+        // Nothing probes the targets any more; the ones marked down would never come back
+        activations.push(() => loadBalancer.getTargets().forEach(target => loadBalancer.markTargetUp(target)));
       }
+
+      const pool = {
+        group,
+        targets: poolTargets,
+        loadBalancer,
+        // Circuit breaker for the whole pool
+        circuitBreaker,
+        createCircuitBreaker,
+        targetBreakers,
+        healthChecker,
+        discovery
+      };
+
+      // A provider kept from the previous record keeps running and reports to the new pool
+      if (discovery) {
+        activations.push(() => discovery.start((discovered) => {
+          try {
+            validateTargets(discovered);
+          } catch (err) {
+            discovery.lastError = err.message;
+            return;
+          }
+
+          // Breakers of targets that disappeared would only leak memory
+          const { removed } = loadBalancer.setTargets(discovered);
+          if (pool.targetBreakers) {
+            removed.forEach(target => pool.targetBreakers.delete(target));
+          }
+        }));
+      }
+
+      return pool;
     };
 
-    // Create load balancer for this service
-    const loadBalancer = new LoadBalancer(targets, serviceOptions.loadBalancingStrategy || 'round-robin');
-    
-    // Create circuit breaker for this service
-    const circuitBreaker = new CircuitBreaker(serviceOptions.circuitBreaker);
+    // Components of an updated service are kept while their settings are unchanged
+    const reuse = (option, component, create) => (
+      previous && previous.registration.options[option] === options[option] ? previous[component] : create()
+    );
+
+    // Split traffic between target groups, each with its own load balancer and breakers
+    let groups = null;
+    let trafficSplitter = null;
+    if (groupTargets) {
+      groups = new Map(Object.entries(groupTargets).map(([group, poolTargets]) => [group, createPool(poolTargets, group)]));
+
+      const sameGroups = Boolean(previous && previous.trafficSplitter) &&
+        previous.trafficSplitter.groups.join() === [...groups.keys()].join();
+      trafficSplitter = sameGroups ? reuse('trafficSplit', 'trafficSplitter', () => null) : null;
+      if (!trafficSplitter) {
+        trafficSplitter = new TrafficSplitter([...groups.keys()], serviceOptions.trafficSplit);
+        trafficSplitter.on('rollback', (group, errorRate) => {
+          this.emit('rollback', { service: serviceName, group, errorRate });
+        });
+      }
+    }
 
-    this.services.set(serviceName, {
+    const service = {
+      // Grouped services expose their default group as the service's own pool
+      ...(groups ? groups.get(trafficSplitter.defaultGroup) : createPool(targets)),
       targets,
-      loadBalancer,
-      circuitBreaker,
+      groups,
+      trafficSplitter,
+      retryBudget: reuse('retry', 'retryBudget', () => (
+        serviceOptions.retry ? new RetryBudget(serviceOptions.retry.budget) : null
+      )),
+      stickySession: reuse('stickySession', 'stickySession', () => (
+        serviceOptions.stickySession
+          ? new StickySession(serviceOptions.stickySession === true ? {} : serviceOptions.stickySession)
+          : null
+      )),
+      tracer: reuse('tracing', 'tracer', () => (
+        serviceOptions.tracing
+          ? new Tracer(serviceOptions.tracing === true ? {} : serviceOptions.tracing)
+          : null
+      )),
+      authenticator: reuse('auth', 'authenticator', () => (
+        serviceOptions.auth ? new Authenticator(serviceOptions.auth) : null
+      )),
+      transformer: reuse('transform', 'transformer', () => (
+        serviceOptions.transform ? new Transformer(serviceOptions.transform) : null
+      )),
+      rateLimiter: reuse('rateLimit', 'rateLimiter', () => (
+        serviceOptions.rateLimit
+          ? new RateLimiter({ prefix: `${serviceName}:`, ...serviceOptions.rateLimit })
+          : null
+      )),
+      concurrencyLimiter: reuse('concurrency', 'concurrencyLimiter', () => (
+        serviceOptions.concurrency
+          ? new ConcurrencyLimiter(serviceOptions.concurrency)
+          : null
+      )),
+      cache: reuse('cache', 'cache', () => (
+        serviceOptions.cache
+          ? new ResponseCache({ prefix: `${serviceName}:`, ...(serviceOptions.cache === true ? {} : serviceOptions.cache) })
+          : null
+      )),
+      hedgePolicy: reuse('hedge', 'hedgePolicy', () => (
+        serviceOptions.hedge
+          ? new HedgePolicy(serviceOptions.hedge === true ? {} : serviceOptions.hedge)
+          : null
+      )),
+      mirror: reuse('mirror', 'mirror', () => (
+        serviceOptions.mirror ? new TrafficMirror(serviceOptions.mirror) : null
+      )),
+      fallbacksServed: previous ? previous.fallbacksServed : 0,
+      // Requests in flight through any record of the service, drained by unregisterService()
+      requests: previous ? previous.requests : new RequestTracker(),
+      // Upgraded connections and streaming responses, closed when the service drains
+      connections: previous ? previous.connections : new Set(),
+      draining: false,
+      registration: { targets, options },
       options: serviceOptions
-    });
+    };
 
-    return this;
+    return {
+      service,
+      activate: () => activations.forEach(activation => activation())
+    };
   }
 
   /**
-   * Get middleware for a registered service
+   * Change how the traffic of a service is split between its target groups
    * @param {string} serviceName - Name of the registered service
-   * @param {string} pathPattern - URL pattern to match for this service
-   * @returns {Function} Express middleware
+   * @param {Object} weights - Percentage of traffic per group, e.g. `{ stable: 95, canary: 5 }`
+   * @returns {ServiceProxy} This proxy
    */
-  getServiceMiddleware(serviceName, pathPattern) {
+  setTrafficWeights(serviceName, weights) {
     const service = this.services.get(serviceName);
-    
+
     if (!service) {
       throw new Error(`Service "${serviceName}" is not registered`);
     }
+    if (!service.trafficSplitter) {
+      throw new Error(`Service "${serviceName}" has no target groups`);
+    }
 
-    // Create proxy middleware with dynamic target resolution
-    return createProxyMiddleware(pathPattern, {
-      ...service.options,
-      router: async (req) => {
-        // Check circuit breaker
-        if (service.circuitBreaker.isOpen()) {
-          const error = new Error('Service is unavailable (circuit open)');
-          error.statusCode = 503;
-          throw error;
-        }
+    service.trafficSplitter.setWeights(weights);
+    return this;
+  }
 
-        // Get target from load balancer
-        const target = service.loadBalancer.getNextTarget();
-        
-        return target;
-      },
-      // Handle errors
-      onError: (err, req, res, target) => {
-        // Register failure with circuit breaker
-        if (target) {
-          service.circuitBreaker.recordFailure();
-        }
+  /**
+   * Register the services of a JSON or YAML config file and keep them in sync with it.
+   * The file has a `services` map; each service has `targets` and optionally `mount` (default:
+   * `/<service name>`), `pathRewrite`, `loadBalancingStrategy`, `circuitBreaker`, `timeout`,
+   * `changeOrigin`, `headers`, `responseHeaders`, `retry`, `healthCheck`, `auth`, `streaming` and `transform`.
+   * Serve the mounts with getConfigMiddleware().
+   * @param {string} filePath - Config file path
+   * @param {Object} options - Loading options
+   * @param {boolean} options.watch - Reload the file whenever it changes (default: true)
+   * @param {string} options.format - 'json' or 'yaml' (default: from the file extension)
+   * @returns {ServiceProxy} This proxy
+   * @throws {ConfigError} If the file cannot be parsed or is invalid
+   */
+  loadConfig(filePath, options = {}) {
+    const format = options.format || getConfigFormat(filePath);
+    const config = readConfigFile(filePath, format);
 
-        if (!res.headersSent) {
-          res.status(503).json({
-            error: 'Service Unavailable',
-            message: err.message || 'Proxy error'
-          });
-        }
-      },
-      // Handle proxy success
-      onProxyRes: (proxyRes, req, res) => {
-        // Record success with circuit breaker
-        if (proxyRes.statusCode < 500) {
-          service.circuitBreaker.recordSuccess();
-        } else {
-          service.circuitBreaker.recordFailure();
-        }
+    this.stopWatchingConfig();
+    this.config = {
+      path: filePath,
+      format,
+      services: this.config ? this.config.services : new Map(),
+      mounts: [],
+      watcher: null,
+      reloadTimer: null,
+      reloading: Promise.resolve()
+    };
+    this.applyConfig(config);
 
-        // Add custom headers if specified
-        if (service.options.responseHeaders) {
-          Object.entries(service.options.responseHeaders).forEach(([key, value]) => {
-            res.setHeader(key, value);
-          });
-        }
+    if (options.watch !== false) {
+      try {
+        // Watch the directory so editors that replace the file are picked up too
+        this.config.watcher = fs.watch(path.dirname(filePath), (eventType, filename) => {
+          if (!filename || filename === path.basename(filePath)) {
+            this.scheduleConfigReload();
+          }
+        });
+        this.config.watcher.unref();
+      } catch (err) {
+        // Changes are only picked up by calling reloadConfig()
+        this.config.watcher = null;
       }
-    });
+    }
+
+    return this;
   }
 
   /**
-   * Get health check middleware for all services
-   * @returns {Function} Express middleware for health checks
+   * Re-read the config file and apply it. An invalid file leaves the last good config active.
+   * @returns {Promise<boolean>} Resolves with true if the new config was applied
    */
-  getHealthMiddleware() {
-    return (req, res) => {
-      const health = {
-        status: 'UP',
-        services: {}
-      };
+  reloadConfig() {
+    if (!this.config) {
+      return Promise.reject(new Error('No config file has been loaded'));
+    }
 
-      this.services.forEach((service, name) => {
-        health.services[name] = {
-          status: service.circuitBreaker.isOpen() ? 'DOWN' : 'UP',
-          targets: service.targets,
-          circuitState: service.circuitBreaker.getState()
-        };
-      });
+    // Apply reloads one at a time, in the order the changes were seen
+    const { config } = this;
+    const reload = config.reloading.then(async () => {
+      let parsed;
+      try {
+        const content = await fs.promises.readFile(config.path, 'utf8');
+        parsed = parseConfig(content, config.format, config.path);
+        validateConfig(parsed);
+      } catch (err) {
+        this.emit('configError', { path: config.path, error: err });
+        return false;
+      }
 
-      // If any service is down, the overall status is degraded
+      // A newer loadConfig() call replaced this file
+      if (this.config !== config) {
+        return false;
+      }
+
+      // Settings the schema accepts can still be rejected when the services are built
+      try {
+        this.applyConfig(parsed);
+      } catch (err) {
+        this.emit('configError', { path: config.path, error: err });
+        return false;
+      }
+      this.emit('configReload', { path: config.path, services: [...config.services.keys()] });
+      return true;
+    });
+
+    // A failed reload must not stop the ones after it
+    config.reloading = reload.catch(() => {});
+    return reload;
+  }
+
+  /**
+   * Reload the config file shortly after it changed, once per burst of changes
+   */
+  scheduleConfigReload() {
+    clearTimeout(this.config.reloadTimer);
+    this.config.reloadTimer = setTimeout(() => this.reloadConfig().catch(() => {}), 100);
+    this.config.reloadTimer.unref();
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  stopWatchingConfig() {
+    if (!this.config) {
+      return;
+    }
+
+    clearTimeout(this.config.reloadTimer);
+    if (this.config.watcher) {
+      this.config.watcher.close();
+      this.config.watcher = null;
+    }
+  }
+
+  /**
+   * Apply a validated config. Services whose settings did not change keep their
+   * load balancer and circuit breaker state; requests in flight finish on the
+   * middleware they started on. Every changed service is built before any of them
+   * is put in place, so a config that fails to build leaves the running one untouched.
+   * @param {Object} config - Validated config
+   * @throws {Error} If a service cannot be built from its settings
+   */
+  applyConfig(config) {
+    const previous = this.config.services;
+    const services = new Map();
+
+    // Changed services keep the state of targets that stay
+    const built = [];
+    Object.entries(config.services).forEach(([name, serviceConfig]) => {
+      const key = JSON.stringify(serviceConfig);
+      const current = previous.get(name);
+
+      const existing = this.services.get(name);
+      const owned = Boolean(current) && existing === current.service && !existing.draining;
+
+      if (owned && current.key === key) {
+        services.set(name, current);
+        return;
+      }
+
+      const { service, activate } = this.buildService(
+        name,
+        serviceConfig.targets,
+        getServiceOptions(serviceConfig),
+        owned ? existing : null
+      );
+      built.push({ name, serviceConfig, key, owned, current, service, activate });
+      // Keep the services in the order of the file
+      services.set(name, null);
+    });
+
+    built.forEach(({ name, serviceConfig, key, owned, current, service, activate }) => {
+      activate();
+      const existing = this.services.get(name);
+      if (existing) {
+        stopService(existing, owned ? service : null);
+      }
+      this.services.set(name, service);
+
+      services.set(name, {
+        key,
+        service,
+        middleware: owned ? current.middleware : this.getServiceMiddleware(name, '/'),
+        mounts: getMounts(name, serviceConfig)
+      });
+    });
+
+    // Services removed from the file drain their requests in flight
+    previous.forEach((entry, name) => {
+      if (!services.has(name) && this.services.get(name) === entry.service && !entry.service.draining) {
+        this.unregisterService(name);
+      }
+    });
+
+    // Longest mounts first so nested mounts win over their parents
+    const mounts = [];
+    services.forEach((entry, name) => {
+      entry.mounts.forEach(mount => mounts.push({ path: mount, service: name, middleware: entry.middleware }));
+    });
+    mounts.sort((a, b) => b.path.length - a.path.length);
+
+    this.config.services = services;
+    this.config.mounts = mounts;
+  }
+
+  /**
+   * Get middleware that routes requests to the services of the loaded config
+   * by their mount paths. Config reloads take effect for the next request.
+   * @returns {Function} Express middleware
+   */
+  getConfigMiddleware() {
+    return (req, res, next) => {
+      if (!this.config) {
+        return next();
+      }
+
+      const pathname = req.url.split('?')[0];
+      const mount = this.config.mounts.find(candidate => candidate.path === '/' ||
+        pathname === candidate.path ||
+        pathname.startsWith(`${candidate.path}/`));
+
+      if (!mount) {
+        return next();
+      }
+
+      if (mount.path === '/') {
+        return mount.middleware(req, res, next);
+      }
+
+      // Strip the mount path like app.use() does
+      const rest = req.url.slice(mount.path.length);
+      return forwardRequest(mount.middleware, req, res, next, rest.startsWith('/') ? rest : `/${rest}`, mount.path);
+    };
+  }
+
+  /**
+   * Add a route to router(). Takes effect for the next request.
+   * @param {Object} route - Route options: service, path, exact, host, methods, headers, query,
+   *   stripPrefix, rewrite and priority (see Route); `id` defaults to a generated one
+   * @returns {ServiceProxy} This proxy
+   */
+  addRoute(route) {
+    if (!this.services.has(route.service)) {
+      throw new Error(`Service "${route.service}" is not registered`);
+    }
+
+    this.routeCount++;
+    const id = route.id || `route-${this.routeCount}`;
+    if (this.routes.some(existing => existing.id === id)) {
+      throw new Error(`Route "${id}" already exists`);
+    }
+
+    // Replace the list rather than change it, so requests being matched see a consistent set
+    const added = new Route({ ...route, id }, this.routeCount);
+    this.routes = [...this.routes, added].sort((a, b) => b.priority - a.priority || a.order - b.order);
+    return this;
+  }
+
+  /**
+   * Remove a route from router(). Takes effect for the next request.
+   * @param {string} id - Route id
+   * @returns {boolean} True if the route existed
+   */
+  removeRoute(id) {
+    const routes = this.routes.filter(route => route.id !== id);
+    const removed = routes.length !== this.routes.length;
+    this.routes = routes;
+    return removed;
+  }
+
+  /**
+   * List the routes of router() in the order they are matched
+   * @returns {Array<Object>} Route options
+   */
+  getRoutes() {
+    return this.routes.map(route => route.toJSON());
+  }
+
+  /**
+   * Get middleware that sends each request to the service of the first matching route.
+   * The params captured from the path and host are available as `req.routeParams`.
+   * @param {Object} options - Router options
+   * @param {boolean} options.fallthrough - Pass unmatched requests to the next middleware
+   *   instead of answering 404
+   * @returns {Function} Express middleware
+   */
+  router(options = {}) {
+    return (req, res, next) => {
+      let match = null;
+      const route = this.routes.find((candidate) => {
+        match = candidate.match(req);
+        return match !== null;
+      });
+
+      if (!route) {
+        if (options.fallthrough) {
+          return next();
+        }
+
+        const pathname = req.url.split('?')[0];
+        return res.status(404).json({
+          error: http.STATUS_CODES[404],
+          message: `No route matches ${req.method} ${pathname}`,
+          method: req.method,
+          path: pathname,
+          host: req.headers.host || null
+        });
+      }
+
+      if (!this.services.has(route.service)) {
+        return sendError(res, 503, `Service "${route.service}" is not registered`);
+      }
+      const middleware = this.getRouteMiddleware(route.service);
+
+      req.routeParams = match.params;
+      return forwardRequest(middleware, req, res, next, match.url, match.mountPath);
+    };
+  }
+
+  /**
+   * Get the middleware router() uses for a registered service
+   * @param {string} serviceName - Name of the service
+   * @returns {Function} Service middleware
+   */
+  getRouteMiddleware(serviceName) {
+    if (!this.routeMiddlewares.has(serviceName)) {
+      this.routeMiddlewares.set(serviceName, this.getServiceMiddleware(serviceName, '/'));
+    }
+    return this.routeMiddlewares.get(serviceName);
+  }
+
+  /**
+   * Get middleware for a registered service. The service is looked up on every
+   * request, so updates apply to the next request and unregistered services are
+   * answered with 503 while they drain and 404 afterwards.
+   * @param {string} serviceName - Name of the registered service
+   * @param {string} pathPattern - URL pattern to match for this service
+   * @returns {Function} Express middleware
+   */
+  getServiceMiddleware(serviceName, pathPattern) {
+    if (!this.services.has(serviceName)) {
+      throw new Error(`Service "${serviceName}" is not registered`);
+    }
+
+    // One proxy handler per service record; updating a service replaces its record
+    const handlers = new WeakMap();
+
+    return (req, res, next) => {
+      const service = this.services.get(serviceName);
+
+      if (!service) {
+        return sendError(res, 404, `Service "${serviceName}" is not registered`);
+      }
+      if (service.draining) {
+        return sendError(res, 503, `Service "${serviceName}" is shutting down`);
+      }
+
+      let handler = handlers.get(service);
+      if (!handler) {
+        handler = this.createServiceHandler(serviceName, service, pathPattern);
+        handlers.set(service, handler);
+      }
+
+      // Count the request until its response is over, including retries and fallbacks
+      const done = service.requests.start();
+      res.once('close', done);
+
+      return handler(req, res, (err) => {
+        done();
+        next(err);
+      });
+    };
+  }
+
+  /**
+   * Create the proxy handler for one record of a service
+   * @param {string} serviceName - Name of the service
+   * @param {Object} service - Service record
+   * @param {string} pathPattern - URL pattern to match for this service
+   * @returns {Function} Express middleware
+   */
+  createServiceHandler(serviceName, service, pathPattern) {
+    const { retry, deadline } = service.options;
+    const { cache } = service;
+    const { fallback } = service.options;
+    const { hedgePolicy } = service;
+    const { mirror } = service;
+    let fallbackMiddleware = null;
+    const { requestTimeout } = service.options.circuitBreaker;
+    const { streaming } = service.options;
+    const deadlineHeader = deadline.header && deadline.header.toLowerCase();
+    let proxyServer = null;
+
+    /**
+     * Check whether a failed attempt may be retried on another target
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     * @param {Object} failure - Either { err } or { statusCode }
+     * @returns {boolean} True if the request should be retried
+     */
+    const shouldRetry = (context, req, res, failure) => {
+      if (!retry || !context.body || context.attempt >= retry.maxAttempts) {
+        return false;
+      }
+
+      // Nothing to retry for if the client is gone or already got a response
+      if (res.headersSent || res.writableEnded || req.socket.destroyed) {
+        return false;
+      }
+
+      const retryable = failure.err
+        ? retry.retryOnErrors.includes(failure.err.code)
+        : retry.retryOnStatus.includes(failure.statusCode);
+
+      return retryable && service.retryBudget.tryAcquire();
+    };
+
+    /**
+     * Answer a request with a stale cached response if it has one that may
+     * stand in for a failure, and with an error otherwise
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     * @param {number} statusCode - HTTP status code of the error
+     * @param {string} message - Error details
+     */
+    const sendFailure = (context, req, res, statusCode, message) => {
+      const pool = context && context.pool ? context.pool : service;
+      const entry = context && context.cache && context.cache.entry;
+      if (entry && (cache.canServeStaleOnError(entry) || isCircuitOpen(pool))) {
+        cache.serve(req, res, entry, 'STALE');
+        return;
+      }
+
+      if (fallback && !res.headersSent) {
+        serveFallback(context, req, res, statusCode, message).catch(() => sendError(res, statusCode, message));
+        return;
+      }
+
+      sendError(res, statusCode, message);
+    };
+
+    /**
+     * Answer a request the service could not serve with the configured fallback
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     * @param {number} statusCode - HTTP status code of the error
+     * @param {string} message - Error details
+     * @returns {Promise<void>} Resolves once the fallback has taken over
+     */
+    const serveFallback = async (context, req, res, statusCode, message) => {
+      let reason = 'unavailable';
+      if (statusCode === 504) {
+        reason = 'timeout';
+      } else if (isCircuitOpen(context && context.pool ? context.pool : service)) {
+        reason = 'circuit-open';
+      }
+
+      const markFallback = () => {
+        service.fallbacksServed++;
+        res.setHeader(FALLBACK_HEADER, reason);
+        this.emit('fallback', { service: serviceName, reason, req });
+      };
+
+      if (typeof fallback === 'function') {
+        const response = await fallback(req, { service: serviceName, reason, statusCode, message });
+        if (!response) {
+          sendError(res, statusCode, message);
+          return;
+        }
+
+        markFallback();
+        writeStaticResponse(res, response);
+        return;
+      }
+
+      if (!fallback.service) {
+        markFallback();
+        writeStaticResponse(res, fallback);
+        return;
+      }
+
+      const chain = fallbackChains.get(req) || new Set();
+      chain.add(serviceName);
+      if (chain.has(fallback.service) || !this.services.has(fallback.service)) {
+        sendError(res, statusCode, message);
+        return;
+      }
+      fallbackChains.set(req, chain);
+
+      // Hand the fallback service the request as this service received it
+      if (context) {
+        req.url = context.url;
+        if (context.body && req.body === undefined) {
+          req.body = context.body;
+        }
+      }
+
+      if (!fallbackMiddleware) {
+        fallbackMiddleware = this.getServiceMiddleware(fallback.service, pathPattern);
+      }
+      markFallback();
+      fallbackMiddleware(req, res, () => sendError(res, statusCode, message));
+    };
+
+    /**
+     * Refresh a stale cache entry in the background while the stale copy is served
+     * @param {Object} req - Request that found the stale entry
+     * @param {Object} lookup - Cache lookup `{ key, entry }`
+     * @param {Object} pool - Target pool serving the request
+     */
+    const revalidateInBackground = (req, { key, resource, entry }, pool) => {
+      let target;
+      try {
+        target = selectTarget(service, req, [], pool);
+      } catch (err) {
+        return;
+      }
+
+      const settle = cache.startPending(key);
+      const circuitBreaker = getCircuitBreaker(pool, target);
+      const headers = { ...req.headers, ...cache.getConditionalHeaders(entry) };
+      delete headers.host;
+      delete headers.connection;
+
+      requestUpstream(new URL(entry.upstreamPath, target), { headers, timeout: requestTimeout })
+        .then((response) => {
+          if (response.statusCode < 500) {
+            circuitBreaker.recordSuccess();
+          } else {
+            circuitBreaker.recordFailure();
+          }
+
+          const updated = response.statusCode === 304
+            ? cache.refresh(entry, response.headers)
+            : cache.createEntry(response.statusCode, response.headers, response.body, entry.upstreamPath);
+          return updated && cache.save(req, updated, resource);
+        }, () => circuitBreaker.recordFailure())
+        .catch(() => {
+          // A failing store only costs a cache miss later
+        })
+        .finally(settle);
+    };
+
+    /**
+     * Get the resource a request's responses are cached under: its target group, host and
+     * the path requested upstream, after route rewrites and the service's pathRewrite
+     * @param {Object} req - Incoming request
+     * @param {string} url - Path and query of the request before pathRewrite
+     * @param {string|null} group - Target group serving the request
+     * @returns {Promise<string>} Cache resource
+     */
+    const getCacheResource = async (req, url, group) => (
+      cache.getResource(req, await rewritePath(service.options.pathRewrite, url, req), group)
+    );
+
+    /**
+     * Answer a cacheable request from the cache where possible. Concurrent misses
+     * for the same response wait for the first one instead of going upstream.
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     * @param {Object} pool - Target pool serving the request
+     * @returns {Promise<Object|null>} Cache lookup of a request that must go upstream
+     *   (`{ key, resource, entry, settle }`), or null if the request bypasses the cache
+     */
+    const lookupCache = async (req, res, pool) => {
+      // Responses to authenticated callers may be private, however the credential was sent
+      if (req.auth || !cache.isRequestCacheable(req)) {
+        res.setHeader(cache.statusHeader, 'BYPASS');
+        return null;
+      }
+
+      const resource = await getCacheResource(req, req.url, pool.group);
+      let lookup = await cache.lookup(req, resource);
+      const usable = lookup.entry && cache.getFreshness(lookup.entry, req) !== 'stale';
+      if (!usable && await cache.waitForPending(lookup.key)) {
+        lookup = await cache.lookup(req, resource);
+      }
+
+      if (lookup.entry) {
+        const freshness = cache.getFreshness(lookup.entry, req);
+        if (freshness === 'fresh') {
+          cache.serve(req, res, lookup.entry, 'HIT');
+          throw RESPONSE_SENT;
+        }
+
+        // Serve the stale copy rather than make the client wait, or fail on an open circuit
+        if (freshness === 'stale-while-revalidate' || isCircuitOpen(pool)) {
+          cache.serve(req, res, lookup.entry, 'STALE');
+          if (freshness === 'stale-while-revalidate' && !cache.pending.has(lookup.key)) {
+            revalidateInBackground(req, lookup, pool);
+          }
+          throw RESPONSE_SENT;
+        }
+      }
+
+      lookup.settle = cache.startPending(lookup.key);
+      res.once('close', lookup.settle);
+      return lookup;
+    };
+
+    /**
+     * Handle the final upstream response of a cacheable request: complete a
+     * revalidation, stand in for a server error, or store the new response
+     * @param {Object} context - Request context
+     * @param {Object} proxyRes - Response from the target
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     * @returns {boolean} True if the client was answered from the cache
+     */
+    const handleCacheResponse = (context, proxyRes, req, res) => {
+      const { entry, resource, conditional, upstreamPath, settle } = context.cache;
+      const { statusCode, headers } = proxyRes;
+
+      if (statusCode === 304 && conditional) {
+        proxyRes.resume();
+        const refreshed = cache.refresh(entry, headers);
+        cache.serve(req, res, refreshed, 'REVALIDATED');
+        cache.save(req, refreshed, resource).catch(() => {}).finally(settle);
+        return true;
+      }
+
+      if (statusCode >= 500 && entry && cache.canServeStaleOnError(entry)) {
+        proxyRes.resume();
+        cache.serve(req, res, entry, 'STALE');
+        return true;
+      }
+
+      // Keep a copy of cacheable responses while they stream to the client
+      if (cache.isResponseCacheable(statusCode, headers)) {
+        const chunks = [];
+        let size = 0;
+        proxyRes.on('data', (chunk) => {
+          size += chunk.length;
+          if (size <= cache.maxBodySize) {
+            chunks.push(chunk);
+          }
+        });
+        proxyRes.on('end', () => {
+          const created = size <= cache.maxBodySize
+            ? cache.createEntry(statusCode, headers, Buffer.concat(chunks), upstreamPath)
+            : null;
+          Promise.resolve(created && cache.save(req, created, resource)).catch(() => {}).finally(settle);
+        });
+      }
+
+      return false;
+    };
+
+    /**
+     * Send a duplicate of a slow request to another target unless a response
+     * arrives within the hedge delay
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     */
+    const scheduleHedge = (context, req, res) => {
+      const delay = hedgePolicy.getDelay();
+      if (delay === null || context.hedgeTimer) {
+        return;
+      }
+
+      context.hedgeable = false;
+      context.hedgeTimer = setTimeout(() => {
+        if (context.winner || context.inFlight.size === 0 || res.headersSent || req.socket.destroyed) {
+          return;
+        }
+
+        // Only hedge to a target this request has not tried yet
+        let target;
+        try {
+          target = selectTarget(service, req, context.tried, context.pool);
+        } catch (err) {
+          return;
+        }
+        if (context.tried.includes(target) || !hedgePolicy.tryAcquire()) {
+          return;
+        }
+
+        context.releaseConnection = claimConnection(context.pool, target, res);
+        context.target = target;
+        context.tried.push(target);
+        context.attempt++;
+        this.emit('hedge', { service: serviceName, target, attempt: context.attempt, req });
+        proxyServer.web(req, res, { ...proxyOptions, target });
+      }, delay);
+    };
+
+    /**
+     * Send a copy of a request to the mirror; the outcome never affects the primary request
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} proxyReq - First upstream attempt of the request
+     * @param {string} primaryTarget - Target of the first attempt
+     */
+    const sendMirrorRequest = (context, req, proxyReq, primaryTarget) => {
+      let { loadBalancer } = mirror;
+      if (mirror.service) {
+        const mirrorService = this.services.get(mirror.service);
+        loadBalancer = mirrorService ? mirrorService.loadBalancer : null;
+      }
+
+      let target = null;
+      try {
+        target = loadBalancer ? loadBalancer.getNextTarget(null, req) : null;
+      } catch (err) {
+        // No healthy mirror target; skip the copy
+      }
+      if (!target) {
+        context.mirror.shadow = Promise.resolve({ error: new Error('No mirror target available') });
+        return;
+      }
+
+      // Send the upstream path of the primary request, relative to the mirror target's own base path
+      const primaryBase = new URL(primaryTarget).pathname.replace(/\/$/, '');
+      const url = `${target.replace(/\/$/, '')}${proxyReq.path.slice(primaryBase.length)}`;
+      const headers = { ...proxyReq.getHeaders() };
+      delete headers.host;
+
+      // Only the compare hook needs the shadow body; without one it is read and discarded
+      const start = Date.now();
+      context.mirror.shadow = requestUpstream(url, {
+        method: req.method,
+        headers,
+        body: context.body,
+        timeout: mirror.timeout,
+        maxBodySize: mirror.compare ? mirror.maxBodySize : 0
+      }).then((response) => {
+        this.emit('mirror', { service: serviceName, target, req, statusCode: response.statusCode, duration: Date.now() - start });
+        return response;
+      }, (error) => {
+        this.emit('mirror', { service: serviceName, target, req, error, duration: Date.now() - start });
+        return { error };
+      });
+    };
+
+    /**
+     * Keep a copy of the primary response while it streams to the client and
+     * pass both responses to the mirror's compare hook
+     * @param {Object} context - Request context
+     * @param {Object} proxyRes - Winning upstream response
+     * @param {Object} req - Incoming request
+     */
+    const compareWithShadow = (context, proxyRes, req) => {
+      const chunks = [];
+      let size = 0;
+      proxyRes.on('data', (chunk) => {
+        size += chunk.length;
+        if (size <= mirror.maxBodySize) {
+          chunks.push(chunk);
+        }
+      });
+      proxyRes.on('end', () => {
+        const primary = {
+          statusCode: proxyRes.statusCode,
+          headers: proxyRes.headers,
+          body: size <= mirror.maxBodySize ? Buffer.concat(chunks) : null
+        };
+
+        context.mirror.shadow.then((shadow) => {
+          mirror.compare({ service: serviceName, req, primary, shadow, differences: mirror.getDifferences(primary, shadow) });
+        }).catch(() => {
+          // A failing compare hook must not affect the proxy
+        });
+      });
+    };
+
+    /**
+     * Let a streaming response, such as server-sent events, outlive the request timeout;
+     * it ends once no data arrived for the idle timeout, or when the service drains
+     * @param {Object} attempt - Upstream attempt that produced the response
+     * @param {Object} proxyRes - Response from the target
+     * @param {Object} res - Client response
+     */
+    const watchStream = (attempt, proxyRes, res) => {
+      clearTimeout(attempt.timer);
+
+      const end = () => {
+        proxyRes.unpipe(res);
+        res.end();
+        proxyRes.destroy();
+      };
+
+      let idleTimer = null;
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(end, streaming.idleTimeout);
+      };
+      if (streaming.idleTimeout) {
+        resetIdleTimer();
+        proxyRes.on('data', resetIdleTimer);
+      }
+
+      const connection = { target: attempt.target, close: end };
+      service.connections.add(connection);
+      res.once('close', () => {
+        clearTimeout(idleTimer);
+        service.connections.delete(connection);
+      });
+    };
+
+    /**
+     * Build the context transform templates and functions are evaluated with
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {string} target - Target of the attempt
+     * @returns {Object} Transform context
+     */
+    const getTransformContext = (context, req, target) => ({
+      req,
+      service: serviceName,
+      target,
+      group: context.group,
+      attempt: context.attempt,
+      requestId: context.trace ? context.trace.requestId : req.headers['x-request-id'] || null,
+      startTime: context.startTime
+    });
+
+    /**
+     * Count a request as in flight for a target from the moment it is selected, so draining
+     * also waits for requests still buffering their body or being transformed. The count is
+     * released by the attempt's upstream request, or when the client response closes first.
+     * @param {Object} pool - Target pool the target belongs to
+     * @param {string} target - Selected target
+     * @param {Object} res - Client response
+     * @returns {Function} Idempotent function that releases the count
+     */
+    const claimConnection = (pool, target, res) => {
+      const { loadBalancer } = pool;
+      let claimed = true;
+      const release = () => {
+        if (claimed) {
+          claimed = false;
+          loadBalancer.releaseConnection(target);
+        }
+      };
+
+      loadBalancer.acquireConnection(target);
+      res.once('close', release);
+      return release;
+    };
+
+    /**
+     * Send the request to another target after a backoff delay
+     * @param {Object} context - Request context
+     * @param {Object} req - Incoming request
+     * @param {Object} res - Client response
+     */
+    const retryRequest = (context, req, res) => {
+      setTimeout(() => {
+        if (res.writableEnded || req.socket.destroyed) {
+          return;
+        }
+
+        if (context.deadline && Date.now() >= context.deadline) {
+          sendFailure(context, req, res, 504, 'Request deadline exceeded');
+          return;
+        }
+
+        let target;
+        try {
+          target = selectTarget(service, req, context.tried, context.pool);
+        } catch (err) {
+          sendFailure(context, req, res, err.statusCode, err.message);
+          return;
+        }
+
+        context.releaseConnection = claimConnection(context.pool, target, res);
+        context.target = target;
+        context.tried.push(target);
+        context.attempt++;
+        this.emit('retry', { service: serviceName, target, attempt: context.attempt, req });
+        proxyServer.web(req, res, { ...proxyOptions, target });
+      }, getRetryDelay(retry, context.attempt));
+    };
+
+    // Create proxy middleware with dynamic target resolution
+    const proxyOptions = {
+      ...service.options,
+      // http-proxy's own auth option sets upstream credentials; ours is handled in the router
+      auth: undefined,
+      pathFilter: pathPattern,
+      // Responses are written in the proxyRes handler so failed attempts can be retried
+      selfHandleResponse: true,
+      plugins: [(server) => {
+        proxyServer = server;
+      }],
+      router: async (req) => {
+        const startTime = Date.now();
+
+        // Nothing, not even a cached response, is served to callers that fail authentication
+        if (service.authenticator) {
+          req.auth = await service.authenticator.authenticate(req);
+        }
+
+        // Services with target groups pick the group first; it serves every attempt of the request
+        const { trafficSplitter } = service;
+        const group = trafficSplitter ? trafficSplitter.selectGroup(req) : null;
+        const pool = group ? service.groups.get(group) : service;
+
+        const cacheLookup = cache ? await lookupCache(req, req.res, pool) : null;
+        await admitRequest(service, req);
+
+        let target;
+        try {
+          target = selectTarget(service, req, [], pool);
+        } catch (err) {
+          sendFailure({ cache: cacheLookup, url: req.url, pool }, req, req.res, err.statusCode, err.message);
+          throw RESPONSE_SENT;
+        }
+        const releaseConnection = claimConnection(pool, target, req.res);
+
+        // Buffer the body of retryable, hedgeable, mirrored and transformed requests so it can be
+        // replayed on every attempt
+        const { transformer } = service;
+        const retryable = Boolean(retry && retry.methods.includes(req.method));
+        const hedgeable = Boolean(hedgePolicy && hedgePolicy.isHedgeable(req));
+        const mirrored = Boolean(mirror && mirror.shouldMirror(req));
+        const transformsBody = Boolean(transformer && transformer.transformsRequestBody(req));
+        if (retryable) {
+          service.retryBudget.recordRequest();
+        }
+        if (hedgeable) {
+          hedgePolicy.recordRequest();
+        }
+        // Body parsers have already decoded the bodies they consumed
+        const bodyEncoding = req.readableEnded ? null : req.headers['content-encoding'];
+        const body = retryable || hedgeable || mirrored || transformsBody
+          ? await bufferRequestBody(req, retryable ? retry.maxBodySize : Infinity)
+          : null;
+
+        // Clients may ask for a deadline of their own, capped by the configured maximum
+        let requestDeadline = null;
+        const requested = deadlineHeader ? parseInt(req.headers[deadlineHeader], 10) : NaN;
+        if (requested > 0) {
+          requestDeadline = Date.now() + Math.min(requested, deadline.max);
+        }
+
+        const context = {
+          // Path before any pathRewrite or query transform, for handing the request to a fallback service
+          url: req.url,
+          group,
+          pool,
+          target,
+          tried: [target],
+          attempt: 1,
+          // Releases the in-flight count of the target selected for the next attempt
+          releaseConnection,
+          // Attempts waiting for a response; more than one while a request is hedged
+          inFlight: new Set(),
+          hedgeable,
+          hedgeTimer: null,
+          winner: null,
+          body,
+          deadline: requestDeadline,
+          cache: cacheLookup,
+          // Response of the copy sent to the mirror
+          mirror: mirrored ? { shadow: null } : null,
+          trace: service.tracer ? service.tracer.startTrace(req) : null,
+          startTime
+        };
+
+        if (transformer) {
+          const transformContext = getTransformContext(context, req, target);
+          req.url = await transformer.transformQuery(req.url, transformContext);
+          if (transformsBody) {
+            context.body = await transformer.transformRequestBody(req, body, bodyEncoding, transformContext);
+          }
+        }
+
+        requestContexts.set(req, context);
+        return target;
+      },
+      on: {
+        proxyReq: (proxyReq, req, res) => {
+          const context = requestContexts.get(req);
+          const attempt = { target: context.target, number: context.attempt, proxyReq, span: null };
+          const timeout = context.deadline
+            ? Math.max(context.deadline - Date.now(), 1)
+            : requestTimeout;
+
+          // Let the error handler tell which attempt an error belongs to
+          upstreamAttempts.set(proxyReq, attempt);
+          proxyReq.prependListener('error', (err) => {
+            if (err && typeof err === 'object') {
+              failedAttempts.set(err, attempt);
+            }
+          });
+
+          // Tell the target how much time it has left
+          if (context.deadline) {
+            proxyReq.setHeader(deadlineHeader, String(timeout));
+          }
+
+          // Revalidate a stale cached response instead of fetching it again,
+          // unless the client is revalidating its own copy
+          if (context.cache) {
+            context.cache.upstreamPath = proxyReq.path;
+            const clientConditional = req.headers['if-none-match'] || req.headers['if-modified-since'];
+            if (context.cache.entry && !clientConditional) {
+              Object.entries(cache.getConditionalHeaders(context.cache.entry)).forEach(([name, value]) => {
+                proxyReq.setHeader(name, value);
+              });
+              context.cache.conditional = true;
+            }
+          }
+
+          // Start a span for this attempt and propagate the trace upstream
+          const { tracer } = service;
+          if (tracer) {
+            attempt.span = tracer.startSpan(context.trace, {
+              name: `${req.method} ${serviceName}`,
+              service: serviceName,
+              target: attempt.target,
+              attempt: attempt.number
+            });
+            tracer.injectHeaders(proxyReq, context.trace, attempt.span);
+
+            if (!res.headersSent) {
+              res.setHeader(tracer.requestIdHeader, context.trace.requestId);
+            }
+          }
+
+          if (service.transformer) {
+            service.transformer.applyRequestHeaders(proxyReq, getTransformContext(context, req, attempt.target));
+          }
+
+          // Replay the buffered body (this flushes the request headers)
+          if (context.body) {
+            writeBufferedBody(proxyReq, context.body);
+          }
+
+          // Mirror the first attempt only; retries and hedges are not new traffic
+          if (context.mirror && !context.mirror.shadow) {
+            sendMirrorRequest(context, req, proxyReq, attempt.target);
+          }
+
+          // The attempt stays counted as in flight for its target until the upstream
+          // exchange is over, whether it completed, failed or was aborted by the client
+          const { target } = attempt;
+          const { releaseConnection } = context;
+          context.inFlight.add(attempt);
+          proxyReq.once('close', () => {
+            releaseConnection();
+            context.inFlight.delete(attempt);
+          });
+          attempt.start = Date.now();
+          this.emit('request', { service: serviceName, target, attempt: attempt.number, req });
+
+          // Abort the attempt once the timeout (or what is left of the deadline) elapses
+          attempt.timer = setTimeout(() => {
+            proxyReq.destroy(createTimeoutError(timeout));
+
+            // The response is already streaming; cut the client off as well
+            if (res.headersSent && context.winner === attempt) {
+              res.destroy();
+            }
+          }, timeout);
+          proxyReq.on('close', () => clearTimeout(attempt.timer));
+
+          if (context.hedgeable) {
+            scheduleHedge(context, req, res);
+          }
+        },
+        // Handle errors
+        error: (err, req, res) => {
+          const context = requestContexts.get(req);
+          const attempt = context
+            ? failedAttempts.get(err) || { target: context.target, number: context.attempt, span: null }
+            : null;
+
+          // Attempts that lost a hedging race were aborted on purpose
+          if (attempt && attempt.cancelled) {
+            return;
+          }
+
+          this.emit('error', {
+            service: serviceName,
+            target: attempt ? attempt.target : null,
+            attempt: attempt ? attempt.number : 0,
+            req,
+            error: err
+          });
+
+          if (context) {
+            // Register failure with circuit breaker
+            getCircuitBreaker(context.pool, attempt.target).recordFailure();
+            if (context.group) {
+              service.trafficSplitter.recordResult(context.group, true);
+            }
+            context.inFlight.delete(attempt);
+
+            if (attempt.span) {
+              service.tracer.endSpan(attempt.span, { error: err });
+            }
+
+            // Another attempt of a hedged request may still succeed
+            if (context.inFlight.size > 0) {
+              return;
+            }
+            clearTimeout(context.hedgeTimer);
+
+            if (shouldRetry(context, req, res, { err })) {
+              retryRequest(context, req, res);
+              return;
+            }
+          }
+
+          sendFailure(context, req, res, err.code === 'ETIMEDOUT' ? 504 : 503, err.message || 'Proxy error');
+        },
+        // Handle proxy success
+        proxyRes: (proxyRes, req, res) => {
+          const context = requestContexts.get(req);
+          const attempt = upstreamAttempts.get(proxyRes.req);
+
+          // Record success with circuit breaker
+          const duration = Date.now() - attempt.start;
+          context.pool.loadBalancer.recordLatency(attempt.target, duration);
+          if (service.hedgePolicy) {
+            service.hedgePolicy.recordLatency(duration);
+          }
+          this.emit('response', {
+            service: serviceName,
+            target: attempt.target,
+            attempt: attempt.number,
+            req,
+            statusCode: proxyRes.statusCode,
+            duration
+          });
+
+          if (attempt.span) {
+            service.tracer.endSpan(attempt.span, { statusCode: proxyRes.statusCode });
+          }
+
+          const circuitBreaker = getCircuitBreaker(context.pool, attempt.target);
+          if (proxyRes.statusCode < 500) {
+            circuitBreaker.recordSuccess();
+          } else {
+            circuitBreaker.recordFailure();
+          }
+          if (context.group) {
+            service.trafficSplitter.recordResult(context.group, proxyRes.statusCode >= 500);
+          }
+
+          context.inFlight.delete(attempt);
+
+          // Wait for the other attempt of a hedged request rather than settle for a server error
+          if (proxyRes.statusCode >= 500 && context.inFlight.size > 0) {
+            proxyRes.resume();
+            return;
+          }
+
+          // The first usable response wins; abort the attempts still racing it
+          clearTimeout(context.hedgeTimer);
+          context.inFlight.forEach((other) => {
+            other.cancelled = true;
+            other.proxyReq.destroy();
+            if (other.span) {
+              service.tracer.endSpan(other.span, { cancelled: true });
+            }
+          });
+
+          if (shouldRetry(context, req, res, { statusCode: proxyRes.statusCode })) {
+            // Discard this response and try another target
+            proxyRes.resume();
+            retryRequest(context, req, res);
+            return;
+          }
+
+          context.winner = attempt;
+
+          if (context.cache && handleCacheResponse(context, proxyRes, req, res)) {
+            return;
+          }
+
+          if (context.mirror && mirror.compare) {
+            compareWithShadow(context, proxyRes, req);
+          }
+
+          // Writes make stored responses for the URL outdated, whichever group they came from
+          if (cache && !context.cache && !['GET', 'HEAD', 'OPTIONS'].includes(req.method) && proxyRes.statusCode < 400) {
+            Promise.all(getPools(service).map(async (pool) => {
+              await cache.invalidate(await getCacheResource(req, context.url, pool.group));
+            })).catch(() => {});
+          }
+
+          // Copy the response to the client, adding custom headers if specified
+          const headers = {
+            ...service.options.responseHeaders,
+            ...(attempt.span ? service.tracer.getResponseHeaders(context.trace, attempt.span) : {}),
+            ...(context.cache ? { [cache.statusHeader]: 'MISS' } : {})
+          };
+
+          // Pin the client to the target that served it, unless it already is
+          const { stickySession } = service;
+          if (stickySession && stickySession.getTarget(req, [attempt.target]) !== attempt.target) {
+            headers['Set-Cookie'] = stickySession.createCookie(attempt.target);
+          }
+
+          if (isStreamingResponse(proxyRes, streaming.contentTypes)) {
+            watchStream(attempt, proxyRes, res);
+          }
+
+          const { transformer } = service;
+          if (!transformer) {
+            writeProxyResponse(proxyRes, res, headers);
+            return;
+          }
+
+          transformer.transformResponse(proxyRes, getTransformContext(context, req, attempt.target))
+            .then(transformed => writeProxyResponse(proxyRes, res, headers, transformed))
+            .catch((err) => {
+              proxyRes.resume();
+              this.emit('error', { service: serviceName, target: attempt.target, attempt: attempt.number, req, error: err });
+              sendError(res, 502, `Response transform failed: ${err.message}`);
+            });
+        }
+      }
+    };
+
+    const proxyMiddleware = createProxyMiddleware(proxyOptions);
+
+    // Errors raised before the request is proxied (such as an open circuit)
+    // get the same JSON body as upstream failures; requests answered from
+    // the cache are already complete
+    return (req, res, next) => proxyMiddleware(req, res, (err) => {
+      if (err === RESPONSE_SENT) {
+        return;
+      }
+
+      if (err && err.statusCode) {
+        sendError(res, err.statusCode, err.message, err.headers);
+      } else {
+        next(err);
+      }
+    });
+  }
+
+  /**
+   * Get a listener for the HTTP server's 'upgrade' event that proxies WebSocket (and other
+   * protocol) upgrades: `server.on('upgrade', serviceProxy.getUpgradeHandler())`. An upgrade
+   * goes to the service of the first matching route (see addRoute) or config mount, through
+   * the service's auth, load balancer and circuit breaker. Upgraded connections count as in flight
+   * for their target until they close.
+   * @param {Object} options - Upgrade options
+   * @param {string} options.service - Send every upgrade to this service, with its path unchanged
+   * @returns {Function} Listener called with `(req, socket, head)`
+   */
+  getUpgradeHandler(options = {}) {
+    return (req, socket, head) => {
+      socket.on('error', () => socket.destroy());
+
+      let serviceName = options.service || null;
+      let url = req.url;
+
+      if (!serviceName) {
+        let match = null;
+        const route = this.routes.find((candidate) => {
+          match = candidate.match(req);
+          return match !== null;
+        });
+
+        const pathname = req.url.split('?')[0];
+        const mount = !route && this.config
+          ? this.config.mounts.find(candidate => candidate.path === '/' ||
+            pathname === candidate.path ||
+            pathname.startsWith(`${candidate.path}/`))
+          : null;
+
+        if (route) {
+          serviceName = route.service;
+          url = match.url;
+          req.routeParams = match.params;
+        } else if (mount) {
+          serviceName = mount.service;
+          const rest = mount.path === '/' ? req.url : req.url.slice(mount.path.length);
+          url = rest.startsWith('/') ? rest : `/${rest}`;
+        } else {
+          rejectUpgrade(socket, 404, `No route matches ${req.method} ${pathname}`);
+          return;
+        }
+      }
+
+      this.proxyUpgrade(serviceName, req, socket, head, url).catch((err) => {
+        rejectUpgrade(socket, err.statusCode || 502, err.message);
+      });
+    };
+  }
+
+  /**
+   * Proxy an upgrade request to a target of a service and connect the two sockets
+   * @param {string} serviceName - Name of the service
+   * @param {Object} req - Upgrade request
+   * @param {Object} socket - Client socket
+   * @param {Buffer} head - Data the client sent after the request head
+   * @param {string} url - Path and query relative to the service
+   * @returns {Promise<void>} Resolves once the upstream request is sent
+   */
+  async proxyUpgrade(serviceName, req, socket, head, url) {
+    const service = this.services.get(serviceName);
+
+    if (!service) {
+      throw createHttpError(`Service "${serviceName}" is not registered`, 404);
+    }
+    if (service.draining) {
+      throw createHttpError(`Service "${serviceName}" is shutting down`, 503);
+    }
+
+    if (service.authenticator) {
+      req.auth = await service.authenticator.authenticate(req);
+    }
+
+    const { trafficSplitter } = service;
+    const group = trafficSplitter ? trafficSplitter.selectGroup(req) : null;
+    const pool = group ? service.groups.get(group) : service;
+    const path = await rewritePath(service.options.pathRewrite, url, req);
+    const target = selectTarget(service, req, [], pool);
+
+    const base = new URL(target);
+    const headers = { ...req.headers, ...service.options.headers };
+    if (service.options.changeOrigin) {
+      headers.host = base.host;
+    }
+
+    const client = base.protocol === 'https:' ? https : http;
+    const upstreamReq = client.request({
+      protocol: base.protocol,
+      hostname: base.hostname,
+      port: base.port,
+      method: req.method,
+      path: `${base.pathname.replace(/\/$/, '')}${path}`,
+      headers
+    });
+
+    // The connection counts as in flight for the target and the service until either side closes it
+    const { loadBalancer } = pool;
+    const circuitBreaker = getCircuitBreaker(pool, target);
+    const { requestTimeout } = service.options.circuitBreaker;
+    const { idleTimeout, closeTimeout } = service.options.streaming;
+    const done = service.requests.start();
+    const connection = { target, upstream: null, closing: false };
+    loadBalancer.acquireConnection(target);
+    service.connections.add(connection);
+
+    const start = Date.now();
+    const timer = setTimeout(() => upstreamReq.destroy(createTimeoutError(requestTimeout)), requestTimeout);
+    socket.once('close', () => {
+      clearTimeout(timer);
+      loadBalancer.releaseConnection(target);
+      service.connections.delete(connection);
+      done();
+      if (connection.upstream) {
+        connection.upstream.destroy();
+      } else {
+        upstreamReq.destroy();
+      }
+    });
+
+    // Close gracefully: WebSocket clients get a close frame and finish the closing
+    // handshake with the target through the connection; other protocols are ended
+    connection.close = () => {
+      connection.closing = true;
+      if (!connection.upstream) {
+        return;
+      }
+
+      if (String(req.headers.upgrade).toLowerCase() === 'websocket') {
+        socket.write(WEBSOCKET_GOING_AWAY);
+      } else {
+        socket.end();
+        connection.upstream.end();
+      }
+      setTimeout(() => socket.destroy(), closeTimeout).unref();
+    };
+
+    this.emit('request', { service: serviceName, target, attempt: 1, req });
+
+    upstreamReq.on('upgrade', (proxyRes, proxySocket, proxyHead) => {
+      clearTimeout(timer);
+      circuitBreaker.recordSuccess();
+      this.emit('response', {
+        service: serviceName,
+        target,
+        attempt: 1,
+        req,
+        statusCode: proxyRes.statusCode,
+        duration: Date.now() - start
+      });
+
+      connection.upstream = proxySocket;
+      proxySocket.on('error', () => socket.destroy());
+      proxySocket.on('close', () => socket.destroy());
+      if (socket.destroyed) {
+        proxySocket.destroy();
+        return;
+      }
+
+      socket.write(formatResponseHead(`HTTP/1.1 101 ${proxyRes.statusMessage || 'Switching Protocols'}`, proxyRes.rawHeaders));
+      if (proxyHead.length > 0) {
+        socket.write(proxyHead);
+      }
+      if (head.length > 0) {
+        proxySocket.write(head);
+      }
+      proxySocket.pipe(socket);
+      socket.pipe(proxySocket);
+
+      // Traffic in either direction passes the client socket and keeps the connection alive
+      if (idleTimeout) {
+        socket.setTimeout(idleTimeout, () => socket.destroy());
+      }
+      if (connection.closing) {
+        connection.close();
+      }
+    });
+
+    // The target answered without switching protocols; relay its response
+    upstreamReq.on('response', (proxyRes) => {
+      clearTimeout(timer);
+      if (proxyRes.statusCode < 500) {
+        circuitBreaker.recordSuccess();
+      } else {
+        circuitBreaker.recordFailure();
+      }
+      this.emit('response', {
+        service: serviceName,
+        target,
+        attempt: 1,
+        req,
+        statusCode: proxyRes.statusCode,
+        duration: Date.now() - start
+      });
+
+      // The body is relayed decoded, so it ends with the connection instead of a final chunk
+      const rawHeaders = [];
+      for (let i = 0; i < proxyRes.rawHeaders.length; i += 2) {
+        if (!['transfer-encoding', 'connection'].includes(proxyRes.rawHeaders[i].toLowerCase())) {
+          rawHeaders.push(proxyRes.rawHeaders[i], proxyRes.rawHeaders[i + 1]);
+        }
+      }
+      socket.write(formatResponseHead(
+        `HTTP/1.1 ${proxyRes.statusCode} ${proxyRes.statusMessage || http.STATUS_CODES[proxyRes.statusCode]}`,
+        [...rawHeaders, 'Connection', 'close']
+      ));
+      proxyRes.pipe(socket);
+    });
+
+    upstreamReq.on('error', (err) => {
+      clearTimeout(timer);
+
+      // The client went away before the target answered; not the target's fault
+      if (socket.destroyed) {
+        return;
+      }
+      circuitBreaker.recordFailure();
+      this.emit('error', { service: serviceName, target, attempt: 1, req, error: err });
+      rejectUpgrade(socket, err.code === 'ETIMEDOUT' ? 504 : 503, err.message || 'Proxy error');
+    });
+
+    upstreamReq.end();
+  }
+
+  /**
+   * Send a request to a service outside of the proxy pipeline and buffer the response.
+   * The call goes through the service's authentication, traffic split, load balancer and
+   * circuit breaker, and applies its `headers` and `pathRewrite` options; it is not retried.
+   * @param {string} serviceName - Name of the service
+   * @param {Object} options - Call options
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {string} options.path - Path and query relative to the service (default: /)
+   * @param {Object} options.headers - Request headers
+   * @param {Buffer|string} options.body - Request body
+   * @param {number} options.timeout - Timeout in ms (default: the service's requestTimeout)
+   * @param {Object} options.req - Incoming request the call is made for, used to pick a sticky
+   *   target, hash on, and choose a target group
+   * @returns {Promise<Object>} `{ statusCode, headers, body, target }`
+   */
+  async callService(serviceName, options = {}) {
+    const service = this.services.get(serviceName);
+
+    if (!service) {
+      throw createHttpError(`Service "${serviceName}" is not registered`, 404);
+    }
+    if (service.draining) {
+      throw createHttpError(`Service "${serviceName}" is shutting down`, 503);
+    }
+
+    // Authentication rules and pathRewrite see the call as a request of its own
+    const call = {
+      method: (options.method || 'GET').toUpperCase(),
+      url: options.path || '/',
+      headers: {}
+    };
+    Object.entries(options.headers || {}).forEach(([name, value]) => {
+      call.headers[name.toLowerCase()] = value;
+    });
+    if (service.authenticator) {
+      call.auth = await service.authenticator.authenticate(call);
+    }
+
+    const { trafficSplitter } = service;
+    const req = options.req || call;
+    const group = trafficSplitter ? trafficSplitter.selectGroup(req) : null;
+    const pool = group ? service.groups.get(group) : service;
+    const path = await rewritePath(service.options.pathRewrite, call.url, call);
+    const target = selectTarget(service, req, [], pool);
+
+    const base = new URL(target);
+    const headers = { ...call.headers, ...service.options.headers };
+    if (service.options.changeOrigin) {
+      headers.host = base.host;
+    }
+
+    const { loadBalancer } = pool;
+    const circuitBreaker = getCircuitBreaker(pool, target);
+    const done = service.requests.start();
+    loadBalancer.acquireConnection(target);
+    this.emit('request', { service: serviceName, target, attempt: 1, req: call });
+
+    const start = Date.now();
+    try {
+      const response = await requestUpstream(`${base.origin}${base.pathname.replace(/\/$/, '')}${path}`, {
+        method: call.method,
+        headers,
+        body: options.body,
+        timeout: options.timeout || service.options.circuitBreaker.requestTimeout
+      });
+
+      const duration = Date.now() - start;
+      loadBalancer.recordLatency(target, duration);
+      if (response.statusCode < 500) {
+        circuitBreaker.recordSuccess();
+      } else {
+        circuitBreaker.recordFailure();
+      }
+      if (group) {
+        trafficSplitter.recordResult(group, response.statusCode >= 500);
+      }
+      this.emit('response', {
+        service: serviceName,
+        target,
+        attempt: 1,
+        req: call,
+        statusCode: response.statusCode,
+        duration
+      });
+      return { ...response, target };
+    } catch (err) {
+      circuitBreaker.recordFailure();
+      if (group) {
+        trafficSplitter.recordResult(group, true);
+      }
+      this.emit('error', { service: serviceName, target, attempt: 1, req: call, error: err });
+      err.statusCode = err.code === 'ETIMEDOUT' ? 504 : 502;
+      throw err;
+    } finally {
+      loadBalancer.releaseConnection(target);
+      done();
+    }
+  }
+
+  /**
+   * Describe the health of a registered service
+   * @param {string} serviceName - Name of the service
+   * @returns {Object} Status, targets, circuit state and limits of the service
+   */
+  getServiceStatus(serviceName) {
+    const service = this.services.get(serviceName);
+
+    if (!service) {
+      throw new Error(`Service "${serviceName}" is not registered`);
+    }
+
+    let details;
+    if (service.groups) {
+      // A service with target groups is up while any group can take traffic
+      const groups = {};
+      service.groups.forEach((pool, group) => {
+        groups[group] = { ...describePool(pool), ...service.trafficSplitter.getStats(group) };
+      });
+      details = {
+        status: Object.values(groups).some(group => group.status === 'UP') ? 'UP' : 'DOWN',
+        groups
+      };
+    } else {
+      details = describePool(service);
+    }
+
+    return {
+      ...details,
+      ...(service.concurrencyLimiter ? { concurrency: service.concurrencyLimiter.getState() } : {}),
+      ...(service.options.fallback ? { fallbacks: service.fallbacksServed } : {}),
+      ...(service.connections.size > 0 ? { connections: service.connections.size } : {}),
+      ...(service.draining ? { status: 'DRAINING', inFlight: service.requests.active } : {})
+    };
+  }
+
+  /**
+   * Get health check middleware for all services
+   * @returns {Function} Express middleware for health checks
+   */
+  getHealthMiddleware() {
+    return (req, res) => {
+      const health = {
+        status: 'UP',
+        services: {}
+      };
+
+      this.services.forEach((service, name) => {
+        health.services[name] = this.getServiceStatus(name);
+      });
+
+      // If any service is down, the overall status is degraded
       if (Object.values(health.services).some(s => s.status === 'DOWN')) {
         health.status = 'DEGRADED';
       }
@@ -139,6 +2651,80 @@ class ServiceProxy {
       res.json(health);
     };
   }
+
+  /**
+   * Get middleware exposing proxy metrics in the Prometheus text format
+   * @returns {Function} Express middleware for metrics scraping
+   */
+  getMetricsMiddleware() {
+    return (req, res) => {
+      res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(this.metrics.render());
+    };
+  }
+
+  /**
+   * Get middleware serving the admin REST API, which lists, inspects and changes services
+   * at runtime and records every change in an audit log (see AdminApi)
+   * @param {Object} options - Admin options
+   * @param {Function|boolean} options.auth - Called with each request; returns (or resolves with)
+   *   the caller's identity, or a falsy value to refuse the request with 401. Required; pass
+   *   false to allow every request.
+   * @param {number} options.auditLogSize - Number of audit entries kept (default: 1000)
+   * @param {Function} options.onAudit - Called with every audit entry
+   * @returns {Function} Express middleware for the admin API
+   */
+  getAdminMiddleware(options) {
+    return new AdminApi(this, options).middleware();
+  }
+
+  /**
+   * Get middleware that answers each request with the JSON responses of several services,
+   * called in parallel through their load balancers and circuit breakers (see Aggregator)
+   * @param {Object} spec - Aggregation spec
+   * @param {Object} spec.calls - Calls by the key their result is merged under, e.g.
+   *   `{ user: { service: 'users', path: '/users/{params.id}' },
+   *   orders: { service: 'orders', path: '/orders?customer={user.id}', timeout: 1000 } }`
+   * @param {number} spec.timeout - Default timeout of each call in ms
+   * @param {Array<string>} spec.forwardHeaders - Incoming request headers passed on to every call
+   * @returns {Function} Express middleware
+   */
+  getAggregateMiddleware(spec) {
+    return new Aggregator(this, spec).middleware();
+  }
+
+  /**
+   * Shut the proxy down gracefully: every service refuses new requests with 503, upgraded
+   * connections and streaming responses are asked to close, and the requests in flight
+   * (including their retries) finish. Background work stops once they have.
+   * @param {Object} options - Shutdown options
+   * @param {number} options.timeout - Longest time in ms to wait for requests in flight (default: 30000)
+   * @returns {Promise<boolean>} Resolves once the proxy is stopped; true if all requests in flight finished
+   */
+  async shutdown(options = {}) {
+    const timeout = options.timeout !== undefined ? options.timeout : 30000;
+
+    // A config reload would register fresh services that accept requests again
+    this.stopWatchingConfig();
+
+    const services = [...this.services.values()];
+    services.forEach((service) => {
+      service.draining = true;
+      service.connections.forEach(connection => connection.close());
+    });
+
+    const drained = await Promise.all(services.map(service => service.requests.whenIdle(timeout)));
+    this.close();
+    return drained.every(Boolean);
+  }
+
+  /**
+   * Stop background work (health check probes, discovery refreshes) for all services
+   */
+  close() {
+    this.stopWatchingConfig();
+    this.services.forEach(stopService);
+  }
 }
 
 module.exports = { ServiceProxy };
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * In-memory token bucket store. Custom stores (e.g. backed by Redis) must
+ * implement the same async consume() method.
+ */
+class MemoryStore {
+  /**
+   * Create a new memory store
+   * @param {Object} options - Store options
+   * @param {number} options.maxKeys - Number of buckets kept before idle (full) buckets are evicted
+   */
+  constructor(options = {}) {
+    this.maxKeys = options.maxKeys || 10000;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Take one token from a bucket
+   * @param {string} key - Bucket key
+   * @param {number} capacity - Bucket size (burst)
+   * @param {number} refillRate - Tokens added per second
+   * @returns {Promise<Object>} `{ allowed, remaining, resetMs, retryAfterMs }`
+   */
+  async consume(key, capacity, refillRate) {
+    const now = Date.now();
+    let bucket = this.buckets.get(key);
+
+    if (!bucket) {
+      this.evictIdleBuckets(capacity, refillRate, now);
+      bucket = { tokens: capacity, updated: now };
+      this.buckets.set(key, bucket);
+    }
+
+    // Refill for the time that passed since the last request
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updated) / 1000) * refillRate);
+    bucket.updated = now;
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    return {
+      allowed,
+      remaining: Math.floor(bucket.tokens),
+      resetMs: ((capacity - bucket.tokens) / refillRate) * 1000,
+      retryAfterMs: allowed ? 0 : ((1 - bucket.tokens) / refillRate) * 1000
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely once the store is full;
+   * they behave exactly like a new bucket
+   * @param {number} capacity - Bucket size
+   * @param {number} refillRate - Tokens added per second
+   * @param {number} now - Current time in ms
+   */
+  evictIdleBuckets(capacity, refillRate, now) {
+    if (this.buckets.size < this.maxKeys) {
+      return;
+    }
+
+    this.buckets.forEach((bucket, key) => {
+      if (bucket.tokens + ((now - bucket.updated) / 1000) * refillRate >= capacity) {
+        this.buckets.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Token bucket rate limiter keyed by client
+ */
+class RateLimiter {
+  /**
+   * Create a new rate limiter
+   * @param {Object} options - Rate limit options
+   * @param {number} options.capacity - Requests allowed in a burst
+   * @param {number} options.refillRate - Requests allowed per second on average
+   * @param {string|Object|Function} options.keyBy - 'ip' (default), `{ header }` or a function of the request
+   * @param {Object} options.store - Token bucket store (default: MemoryStore)
+   * @param {string} options.prefix - Prefix for store keys
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity || 100;
+    this.refillRate = options.refillRate || this.capacity;
+    this.keyBy = options.keyBy || 'ip';
+    this.store = options.store || new MemoryStore();
+    this.prefix = options.prefix || '';
+  }
+
+  /**
+   * Get the rate limit key of a request
+   * @param {Object} req - Incoming request
+   * @returns {string} Client key
+   */
+  getKey(req) {
+    if (typeof this.keyBy === 'function') {
+      return String(this.keyBy(req));
+    }
+
+    if (this.keyBy.header) {
+      const value = req.headers[this.keyBy.header.toLowerCase()];
+      if (value) {
+        return `header:${value}`;
+      }
+    }
+
+    return `ip:${req.ip || (req.socket && req.socket.remoteAddress)}`;
+  }
+
+  /**
+   * Count a request against its client's bucket
+   * @param {Object} req - Incoming request
+   * @returns {Promise<Object>} `{ allowed, headers }` with the RateLimit-* (and Retry-After) headers
+   */
+  async check(req) {
+    const result = await this.store.consume(`${this.prefix}${this.getKey(req)}`, this.capacity, this.refillRate);
+
+    const headers = {
+      'RateLimit-Limit': String(this.capacity),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+    };
+
+    if (!result.allowed) {
+      headers['Retry-After'] = String(Math.max(1, Math.ceil(result.retryAfterMs / 1000)));
+    }
+
+    return { allowed: result.allowed, headers };
+  }
+}
+
+module.exports = { RateLimiter, MemoryStore };
@@ -0,0 +1,96 @@
+const querystring = require('querystring');
+
+/**
+ * Serialize a body that was already parsed by an Express body parser
+ * so it can be forwarded upstream again
+ * @param {Object} req - Incoming request
+ * @returns {Buffer} Serialized request body
+ */
+function serializeParsedBody(req) {
+  const { body } = req;
+
+  if (Buffer.isBuffer(body)) {
+    return body;
+  }
+
+  if (typeof body === 'string') {
+    return Buffer.from(body);
+  }
+
+  const contentType = req.headers['content-type'] || '';
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return Buffer.from(querystring.stringify(body));
+  }
+
+  return Buffer.from(JSON.stringify(body));
+}
+
+/**
+ * Create the error for a request body that is too large to buffer
+ * @param {number} maxSize - Largest body buffered, in bytes
+ * @returns {Error} Error with statusCode 413
+ */
+function createTooLargeError(maxSize) {
+  const error = new Error(`Request body exceeds ${maxSize} bytes`);
+  error.statusCode = 413;
+  error.headers = { Connection: 'close' };
+  return error;
+}
+
+/**
+ * Read the full request body into memory so it can be replayed on
+ * every upstream attempt
+ * @param {Object} req - Incoming request
+ * @param {number} maxSize - Largest body buffered, in bytes (default: no limit)
+ * @returns {Promise<Buffer>} Buffered request body (empty if there is none)
+ * @throws {Error} With statusCode 413 once the body is larger than maxSize
+ */
+function bufferRequestBody(req, maxSize = Infinity) {
+  // The stream was consumed by a body parser; rebuild it from req.body
+  if (req.readableEnded) {
+    const hasParsedBody = req.body !== undefined && (typeof req.body !== 'object' || Object.keys(req.body).length > 0);
+    return Promise.resolve(hasParsedBody ? serializeParsedBody(req) : Buffer.alloc(0));
+  }
+
+  // Refuse announced bodies that are too large before reading any of them
+  if (parseInt(req.headers['content-length'], 10) > maxSize) {
+    return Promise.reject(createTooLargeError(maxSize));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxSize) {
+        // Stop keeping the body; the rest of it is discarded with the connection
+        req.removeListener('data', onData);
+        chunks.length = 0;
+        reject(createTooLargeError(maxSize));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Write a buffered body to an outgoing upstream request
+ * @param {Object} proxyReq - Outgoing request to the target
+ * @param {Buffer} body - Buffered request body
+ */
+function writeBufferedBody(proxyReq, body) {
+  if (body.length === 0) {
+    return;
+  }
+
+  proxyReq.removeHeader('transfer-encoding');
+  proxyReq.setHeader('content-length', body.length);
+  proxyReq.write(body);
+}
+
+module.exports = { bufferRequestBody, writeBufferedBody };
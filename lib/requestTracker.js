@@ -0,0 +1,60 @@
+/**
+ * Counts requests in flight so they can be drained before shutting something down
+ */
+class RequestTracker {
+  constructor() {
+    this.active = 0;
+    this.waiters = new Set();
+  }
+
+  /**
+   * Count a request as in flight
+   * @returns {Function} Ends the request; calling it more than once has no effect
+   */
+  start() {
+    let ended = false;
+    this.active++;
+
+    return () => {
+      if (ended) {
+        return;
+      }
+      ended = true;
+      this.active--;
+
+      if (this.active === 0) {
+        this.waiters.forEach(resolve => resolve(true));
+        this.waiters.clear();
+      }
+    };
+  }
+
+  /**
+   * Wait until no requests are in flight
+   * @param {number} timeout - Longest time to wait in ms (default: no limit)
+   * @returns {Promise<boolean>} Resolves with true once idle, or false if the timeout elapsed first
+   */
+  whenIdle(timeout) {
+    if (this.active === 0) {
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const waiter = (idle) => {
+        clearTimeout(timer);
+        resolve(idle);
+      };
+      this.waiters.add(waiter);
+
+      if (timeout !== undefined) {
+        timer = setTimeout(() => {
+          this.waiters.delete(waiter);
+          resolve(false);
+        }, timeout);
+      }
+    });
+  }
+}
+
+module.exports = { RequestTracker };
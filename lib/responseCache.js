@@ -0,0 +1,404 @@
+// Status codes that may be cached when the upstream allows it
+const CACHEABLE_STATUS = [200, 203, 204, 300, 301, 308, 404, 410];
+
+// Upstream headers that are never stored with a cached response
+const UNCACHED_HEADERS = ['connection', 'keep-alive', 'transfer-encoding', 'set-cookie', 'age'];
+
+/**
+ * Parse a Cache-Control header into its directives
+ * @param {string} header - Cache-Control header value
+ * @returns {Object} Directive names mapped to their value (true for flags)
+ */
+function parseCacheControl(header) {
+  const directives = {};
+
+  String(header || '').split(',').forEach((part) => {
+    const [name, value] = part.trim().split('=');
+    if (name) {
+      directives[name.toLowerCase()] = value === undefined ? true : value.replace(/^"|"$/g, '');
+    }
+  });
+
+  return directives;
+}
+
+/**
+ * Read a directive given in seconds as milliseconds
+ * @param {Object} directives - Parsed Cache-Control directives
+ * @param {string} name - Directive name
+ * @returns {number|null} Milliseconds, or null if the directive is absent or invalid
+ */
+function getSeconds(directives, name) {
+  const seconds = parseInt(directives[name], 10);
+  return Number.isNaN(seconds) ? null : seconds * 1000;
+}
+
+/**
+ * In-memory least-recently-used cache store. Custom stores must implement
+ * the same async get(), set() and delete() methods.
+ */
+class MemoryCacheStore {
+  /**
+   * Create a new memory cache store
+   * @param {Object} options - Store options
+   * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+
+    // Re-insert to mark the entry as most recently used
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  async set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Shared HTTP cache for GET responses, following upstream Cache-Control,
+ * Expires and Vary headers
+ */
+class ResponseCache {
+  /**
+   * Create a new response cache
+   * @param {Object} options - Cache options
+   * @param {Object} options.store - Cache store (default: MemoryCacheStore)
+   * @param {number} options.maxEntries - Size of the default store
+   * @param {number} options.maxBodySize - Largest response body cached, in bytes (default: 1MB)
+   * @param {string} options.statusHeader - Header reporting HIT, MISS, STALE, REVALIDATED or BYPASS
+   * @param {string} options.prefix - Prefix for store keys
+   */
+  constructor(options = {}) {
+    this.store = options.store || new MemoryCacheStore({ maxEntries: options.maxEntries });
+    this.maxBodySize = options.maxBodySize || 1024 * 1024;
+    this.statusHeader = options.statusHeader || 'X-Cache';
+    this.prefix = options.prefix || '';
+
+    // Misses currently being fetched from upstream, by key
+    this.pending = new Map();
+  }
+
+  /**
+   * Check whether a request may be answered from (and stored in) the cache
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True if the request is cacheable
+   */
+  isRequestCacheable(req) {
+    if (req.method !== 'GET' || req.headers.authorization) {
+      return false;
+    }
+
+    return !parseCacheControl(req.headers['cache-control'])['no-store'];
+  }
+
+  /**
+   * Identify the upstream resource a request is for. Routes may rewrite paths by host or
+   * header, so the same client URL can stand for different resources and vice versa, and
+   * the target groups of a split service may run different versions.
+   * @param {Object} req - Incoming request
+   * @param {string} upstreamPath - Path and query requested upstream
+   * @param {string|null} group - Target group serving the request
+   * @returns {string} Resource the stored responses are keyed on
+   */
+  getResource(req, upstreamPath, group = null) {
+    const hostname = String(req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+    return `${group ? `${group}@` : ''}${hostname}${upstreamPath}`;
+  }
+
+  /**
+   * Find the stored response for a request
+   * @param {Object} req - Incoming request
+   * @param {string} resource - Resource of the request (see getResource)
+   * @returns {Promise<Object>} `{ key, resource, entry }`; entry is null on a miss
+   */
+  async lookup(req, resource) {
+    const primaryKey = `${this.prefix}${resource}`;
+    const variants = await this.store.get(primaryKey);
+
+    if (!variants) {
+      return { key: primaryKey, resource, entry: null };
+    }
+
+    const key = this.getVariantKey(primaryKey, variants.vary, req);
+    return { key, resource, entry: (await this.store.get(key)) || null };
+  }
+
+  /**
+   * Get the key of the variant of a response selected by the request headers
+   * @param {string} primaryKey - Key of the URL
+   * @param {Array<string>} vary - Header names the response varies on
+   * @param {Object} req - Incoming request
+   * @returns {string} Variant key
+   */
+  getVariantKey(primaryKey, vary, req) {
+    return [primaryKey, ...vary.map(name => `${name}=${req.headers[name] || ''}`)].join('\n');
+  }
+
+  /**
+   * Classify a stored response for a request
+   * @param {Object} entry - Cache entry
+   * @param {Object} req - Incoming request
+   * @returns {string} 'fresh', 'stale-while-revalidate' or 'stale'
+   */
+  getFreshness(entry, req) {
+    const requested = parseCacheControl(req.headers['cache-control']);
+    if (requested['no-cache'] || requested['max-age'] === '0') {
+      return 'stale';
+    }
+
+    const age = Date.now() - entry.storedAt;
+    if (age < entry.lifetime) {
+      return 'fresh';
+    }
+
+    if (!entry.mustRevalidate && age < entry.lifetime + entry.staleWhileRevalidate) {
+      return 'stale-while-revalidate';
+    }
+
+    return 'stale';
+  }
+
+  /**
+   * Check whether a stored response may stand in for a failed upstream request
+   * @param {Object} entry - Cache entry
+   * @returns {boolean} True if stale-if-error allows serving the entry
+   */
+  canServeStaleOnError(entry) {
+    return !entry.mustRevalidate && Date.now() - entry.storedAt < entry.lifetime + entry.staleIfError;
+  }
+
+  /**
+   * Build a cache entry from an upstream response
+   * @param {number} statusCode - Upstream status code
+   * @param {Object} headers - Upstream response headers
+   * @param {Buffer} body - Response body
+   * @param {string} upstreamPath - Path requested upstream, used for revalidation
+   * @returns {Object|null} Cache entry, or null if the response must not be cached
+   */
+  createEntry(statusCode, headers, body, upstreamPath) {
+    if (!this.isResponseCacheable(statusCode, headers) || body.length > this.maxBodySize) {
+      return null;
+    }
+
+    const storedHeaders = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      if (!UNCACHED_HEADERS.includes(name)) {
+        storedHeaders[name] = value;
+      }
+    });
+
+    return this.applyFreshness({
+      statusCode,
+      headers: storedHeaders,
+      body,
+      upstreamPath,
+      vary: String(headers.vary || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    }, headers);
+  }
+
+  /**
+   * Check whether the upstream allows a response to be stored in a shared cache
+   * @param {number} statusCode - Upstream status code
+   * @param {Object} headers - Upstream response headers
+   * @returns {boolean} True if the response is cacheable
+   */
+  isResponseCacheable(statusCode, headers) {
+    const directives = parseCacheControl(headers['cache-control']);
+
+    if (!CACHEABLE_STATUS.includes(statusCode) || directives['no-store'] || directives.private) {
+      return false;
+    }
+
+    if (headers['set-cookie'] || String(headers.vary || '').trim() === '*') {
+      return false;
+    }
+
+    if (this.isTooLarge(headers)) {
+      return false;
+    }
+
+    // Without an explicit lifetime the response can only be kept for revalidation
+    const hasLifetime = directives['s-maxage'] !== undefined || directives['max-age'] !== undefined || headers.expires;
+    return Boolean(hasLifetime || headers.etag || headers['last-modified']);
+  }
+
+  /**
+   * Check whether a response announces a body larger than the cache accepts
+   * @param {Object} headers - Upstream response headers
+   * @returns {boolean} True if the body is too large to cache
+   */
+  isTooLarge(headers) {
+    return parseInt(headers['content-length'], 10) > this.maxBodySize;
+  }
+
+  /**
+   * Set the freshness information of an entry from upstream headers
+   * @param {Object} entry - Cache entry
+   * @param {Object} headers - Upstream response headers
+   * @returns {Object} The updated entry
+   */
+  applyFreshness(entry, headers) {
+    const directives = parseCacheControl(headers['cache-control']);
+    const now = Date.now();
+    let lifetime = getSeconds(directives, 's-maxage');
+
+    if (lifetime === null) {
+      lifetime = getSeconds(directives, 'max-age');
+    }
+    if (lifetime === null && headers.expires) {
+      const date = Date.parse(headers.date) || now;
+      lifetime = (Date.parse(headers.expires) || 0) - date;
+    }
+
+    entry.storedAt = now - (parseInt(headers.age, 10) || 0) * 1000;
+    entry.lifetime = directives['no-cache'] ? 0 : Math.max(lifetime || 0, 0);
+    entry.staleWhileRevalidate = getSeconds(directives, 'stale-while-revalidate') || 0;
+    entry.staleIfError = getSeconds(directives, 'stale-if-error') || 0;
+    entry.mustRevalidate = Boolean(directives['must-revalidate'] || directives['proxy-revalidate']);
+    entry.etag = headers.etag || entry.etag;
+    entry.lastModified = headers['last-modified'] || entry.lastModified;
+    return entry;
+  }
+
+  /**
+   * Update a stored entry after the upstream confirmed it with a 304
+   * @param {Object} entry - Cache entry
+   * @param {Object} headers - Headers of the 304 response
+   * @returns {Object} Refreshed entry
+   */
+  refresh(entry, headers) {
+    const refreshed = { ...entry, headers: { ...entry.headers } };
+
+    ['cache-control', 'expires', 'date', 'etag', 'last-modified'].forEach((name) => {
+      if (headers[name]) {
+        refreshed.headers[name] = headers[name];
+      }
+    });
+
+    return this.applyFreshness(refreshed, { ...refreshed.headers, age: headers.age });
+  }
+
+  /**
+   * Get the validators used to revalidate an entry upstream
+   * @param {Object} entry - Cache entry
+   * @returns {Object} Conditional request headers
+   */
+  getConditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) {
+      headers['if-none-match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['if-modified-since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  /**
+   * Store an entry for a request
+   * @param {Object} req - Request the entry answers
+   * @param {Object} entry - Cache entry
+   * @param {string} resource - Resource of the request (see getResource)
+   * @returns {Promise<void>} Resolves once the entry is stored
+   */
+  async save(req, entry, resource) {
+    const primaryKey = `${this.prefix}${resource}`;
+    await this.store.set(primaryKey, { vary: entry.vary });
+    await this.store.set(this.getVariantKey(primaryKey, entry.vary, req), entry);
+  }
+
+  /**
+   * Drop the stored responses for a resource, e.g. after it was modified
+   * @param {string} resource - Resource of the request (see getResource)
+   * @returns {Promise<void>} Resolves once the entry is removed
+   */
+  async invalidate(resource) {
+    await this.store.delete(`${this.prefix}${resource}`);
+  }
+
+  /**
+   * Mark a key as being fetched from upstream so identical requests can wait for it
+   * @param {string} key - Cache key
+   * @returns {Function} Idempotent function that ends the fetch
+   */
+  startPending(key) {
+    let settle;
+    const promise = new Promise((resolve) => {
+      settle = resolve;
+    });
+    this.pending.set(key, promise);
+
+    return () => {
+      if (this.pending.get(key) === promise) {
+        this.pending.delete(key);
+      }
+      settle();
+    };
+  }
+
+  /**
+   * Wait until a pending upstream fetch for a key has finished
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if there was a fetch to wait for
+   */
+  async waitForPending(key) {
+    const pending = this.pending.get(key);
+    if (!pending) {
+      return false;
+    }
+
+    await pending;
+    return true;
+  }
+
+  /**
+   * Answer a request from a cache entry
+   * @param {Object} req - Incoming request
+   * @param {Object} res - Client response
+   * @param {Object} entry - Cache entry
+   * @param {string} status - Cache status reported to the client
+   */
+  serve(req, res, entry, status) {
+    if (res.headersSent) {
+      return;
+    }
+
+    res.statusCode = entry.statusCode;
+    Object.entries(entry.headers).forEach(([name, value]) => res.setHeader(name, value));
+    res.setHeader('age', String(Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000))));
+    res.setHeader(this.statusHeader, status);
+
+    // The client already holds this version
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch && entry.etag && (ifNoneMatch === '*' || ifNoneMatch.split(/\s*,\s*/).includes(entry.etag))) {
+      res.statusCode = 304;
+      res.removeHeader('content-length');
+      res.end();
+      return;
+    }
+
+    res.end(entry.body);
+  }
+}
+
+module.exports = { ResponseCache, MemoryCacheStore, parseCacheControl };
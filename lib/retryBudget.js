@@ -0,0 +1,74 @@
+/**
+ * Retry budget limiting retries to a fraction of recent traffic so a
+ * struggling service is not flooded with retried requests
+ */
+class RetryBudget {
+  /**
+   * Create a new retry budget
+   * @param {Object} options - Retry budget options
+   * @param {number} options.ratio - Maximum retries as a fraction of requests in the window
+   * @param {number} options.minRetriesPerSecond - Retries always allowed regardless of traffic
+   * @param {number} options.window - Length of the sliding window in ms
+   */
+  constructor(options = {}) {
+    this.ratio = options.ratio !== undefined ? options.ratio : 0.2;
+    this.minRetriesPerSecond = options.minRetriesPerSecond !== undefined ? options.minRetriesPerSecond : 10;
+    this.window = options.window || 10000; // 10 seconds
+
+    // One bucket per second: { second, requests, retries }
+    this.buckets = [];
+  }
+
+  /**
+   * Get the bucket for the current second, dropping expired ones
+   * @returns {Object} Current bucket
+   */
+  currentBucket() {
+    const second = Math.floor(Date.now() / 1000);
+    const oldest = second - Math.ceil(this.window / 1000) + 1;
+
+    this.buckets = this.buckets.filter(bucket => bucket.second >= oldest);
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, retries: 0 };
+      this.buckets.push(bucket);
+    }
+
+    return bucket;
+  }
+
+  /**
+   * Record an original (non-retry) request
+   */
+  recordRequest() {
+    this.currentBucket().requests++;
+  }
+
+  /**
+   * Try to spend budget on a retry
+   * @returns {boolean} True if the retry is allowed (and has been recorded)
+   */
+  tryAcquire() {
+    const bucket = this.currentBucket();
+    const totals = this.buckets.reduce((acc, b) => {
+      acc.requests += b.requests;
+      acc.retries += b.retries;
+      return acc;
+    }, { requests: 0, retries: 0 });
+
+    const allowed = Math.max(
+      this.minRetriesPerSecond * (this.window / 1000),
+      totals.requests * this.ratio
+    );
+
+    if (totals.retries >= allowed) {
+      return false;
+    }
+
+    bucket.retries++;
+    return true;
+  }
+}
+
+module.exports = { RetryBudget };
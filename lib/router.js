@@ -0,0 +1,217 @@
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - Literal text
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compile a path pattern such as `/tenants/:tenant/users`. The pattern matches
+ * the start of the path up to a segment boundary unless `exact` is set.
+ * @param {string} pattern - Path pattern
+ * @param {boolean} exact - Match the whole path only
+ * @returns {Object} `{ regexp, keys }` with the names of the params in order
+ */
+function compilePath(pattern, exact) {
+  const keys = [];
+  const source = pattern.replace(/\/+$/, '').split('/').map((segment) => {
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      return '([^/]+)';
+    }
+    return escapeRegExp(segment);
+  }).join('/');
+
+  return { regexp: new RegExp(`^${source}${exact ? '/?$' : '(?=/|$)'}`), keys };
+}
+
+/**
+ * Compile a host pattern such as `api.example.com`, `*.example.com` (any
+ * subdomain) or `:tenant.example.com` (one label, captured as a param)
+ * @param {string} pattern - Host pattern
+ * @returns {Object} `{ regexp, keys }` with the names of the params in order
+ */
+function compileHost(pattern) {
+  const keys = [];
+  const source = pattern.toLowerCase().split('.').map((label) => {
+    if (label === '*') {
+      return '.+';
+    }
+    if (label.startsWith(':')) {
+      keys.push(label.slice(1));
+      return '([^.]+)';
+    }
+    return escapeRegExp(label);
+  }).join('\\.');
+
+  return { regexp: new RegExp(`^${source}$`), keys };
+}
+
+/**
+ * Match a compiled pattern and collect its params
+ * @param {Object} compiled - `{ regexp, keys }`
+ * @param {string} value - Value to match
+ * @param {Object} params - Receives the captured params
+ * @returns {string|null} The matched text, or null if the value does not match
+ */
+function execPattern(compiled, value, params) {
+  const match = compiled.regexp.exec(value);
+  if (!match) {
+    return null;
+  }
+
+  compiled.keys.forEach((key, index) => {
+    try {
+      params[key] = decodeURIComponent(match[index + 1]);
+    } catch (err) {
+      params[key] = match[index + 1];
+    }
+  });
+  return match[0];
+}
+
+/**
+ * Check a header or query value against a route condition
+ * @param {string|RegExp|Array<string>|boolean} expected - Exact value, pattern, any of several
+ *   values, or true for any value
+ * @param {string|Array<string>|undefined} actual - Received value
+ * @returns {boolean} True if the value satisfies the condition
+ */
+function matchValue(expected, actual) {
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+
+  const value = Array.isArray(actual) ? actual[0] : actual;
+  if (expected === true) {
+    return true;
+  }
+  if (expected instanceof RegExp) {
+    return expected.test(value);
+  }
+  if (Array.isArray(expected)) {
+    return expected.includes(value);
+  }
+  return value === String(expected);
+}
+
+/**
+ * A rule sending matching requests to a registered service
+ */
+class Route {
+  /**
+   * Create a new route
+   * @param {Object} options - Route options
+   * @param {string} options.id - Route id, used to remove the route
+   * @param {string} options.service - Name of the service receiving matching requests
+   * @param {string} options.path - Path pattern with `:param` segments (default: '/'); matches
+   *   the path and everything below it unless `exact` is set
+   * @param {boolean} options.exact - Only match the path itself
+   * @param {string} options.host - Host pattern: `api.example.com`, `*.example.com` or `:tenant.example.com`
+   * @param {string|Array<string>} options.methods - HTTP methods the route accepts (default: all)
+   * @param {Object} options.headers - Header conditions: exact value, RegExp, array of values or true
+   * @param {Object} options.query - Query parameter conditions, like headers
+   * @param {boolean} options.stripPrefix - Remove the matched path before proxying
+   * @param {string} options.rewrite - Replace the matched path with this template; `:param`
+   *   placeholders are filled from the path and host params
+   * @param {number} options.priority - Routes with a higher priority are matched first (default: 0)
+   * @param {number} order - Position among routes of equal priority
+   */
+  constructor(options, order) {
+    if (!options.id || !options.service) {
+      throw new Error('Routes require an id and a service');
+    }
+    const pattern = options.path || '/';
+    if (!pattern.startsWith('/')) {
+      throw new Error(`Route path "${pattern}" must start with "/"`);
+    }
+    if (options.rewrite !== undefined && !options.rewrite.startsWith('/')) {
+      throw new Error(`Route rewrite "${options.rewrite}" must start with "/"`);
+    }
+
+    this.id = options.id;
+    this.service = options.service;
+    this.pattern = pattern;
+    this.path = compilePath(pattern, options.exact);
+    this.host = options.host ? compileHost(options.host) : null;
+    this.methods = options.methods ? [].concat(options.methods).map(method => method.toUpperCase()) : null;
+    this.headers = options.headers || {};
+    this.query = options.query || {};
+    this.stripPrefix = Boolean(options.stripPrefix);
+    this.rewrite = options.rewrite || null;
+    this.priority = options.priority || 0;
+    this.order = order;
+    this.options = options;
+  }
+
+  /**
+   * Match a request against the route
+   * @param {Object} req - Incoming request
+   * @returns {Object|null} `{ params, url, mountPath }` with the URL to proxy and the client
+   *   path it replaces, or null if the request does not match
+   */
+  match(req) {
+    if (this.methods && !this.methods.includes(req.method)) {
+      return null;
+    }
+
+    const params = {};
+    if (this.host) {
+      const hostname = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+      if (execPattern(this.host, hostname, params) === null) {
+        return null;
+      }
+    }
+
+    const headersMatch = Object.entries(this.headers)
+      .every(([name, expected]) => matchValue(expected, req.headers[name.toLowerCase()]));
+    if (!headersMatch) {
+      return null;
+    }
+
+    const queryStart = req.url.indexOf('?');
+    const pathname = queryStart === -1 ? req.url : req.url.slice(0, queryStart);
+    const search = queryStart === -1 ? '' : req.url.slice(queryStart);
+    const query = new URLSearchParams(search);
+    const queryMatches = Object.entries(this.query)
+      .every(([name, expected]) => matchValue(expected, query.has(name) ? query.get(name) : undefined));
+    if (!queryMatches) {
+      return null;
+    }
+
+    const matched = execPattern(this.path, pathname, params);
+    if (matched === null) {
+      return null;
+    }
+
+    if (!this.rewrite && !this.stripPrefix) {
+      return { params, url: req.url, mountPath: '' };
+    }
+
+    const rest = pathname.slice(matched.length);
+    const prefix = this.rewrite
+      ? this.rewrite.replace(/:(\w+)/g, (placeholder, key) => (
+        params[key] !== undefined ? encodeURIComponent(params[key]) : placeholder
+      ))
+      : '';
+    const upstreamPath = `${prefix.replace(/\/+$/, '')}${rest}` || '/';
+
+    return {
+      params,
+      url: `${upstreamPath.startsWith('/') ? upstreamPath : `/${upstreamPath}`}${search}`,
+      mountPath: matched
+    };
+  }
+
+  /**
+   * Describe the route
+   * @returns {Object} The options the route was created with, and its id
+   */
+  toJSON() {
+    return { ...this.options, id: this.id };
+  }
+}
+
+module.exports = { Route, compilePath };
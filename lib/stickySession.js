@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { readCookie, serializeCookie } = require('./cookies');
+
+/**
+ * Cookie based session affinity: remembers the target that served a
+ * client in a signed cookie so later requests go back to it
+ */
+class StickySession {
+  /**
+   * Create a new sticky session handler
+   * @param {Object} options - Sticky session options
+   * @param {string} options.cookieName - Name of the affinity cookie
+   * @param {number} options.ttl - Cookie lifetime in ms
+   * @param {string} options.secret - Secret used to sign the cookie; when omitted a random
+   *   secret is generated, so cookies don't survive restarts or work across gateway instances
+   * @param {Object} options.cookie - Extra cookie attributes (path, domain, secure, sameSite)
+   */
+  constructor(options = {}) {
+    this.cookieName = options.cookieName || 'esp_affinity';
+    this.ttl = options.ttl || 3600000; // 1 hour
+    this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+    this.cookieOptions = options.cookie || {};
+  }
+
+  /**
+   * Get the opaque identifier stored in the cookie for a target, so
+   * internal target URLs are never exposed to clients
+   * @param {string} target - Target URL
+   * @returns {string} Target identifier
+   */
+  getTargetId(target) {
+    return crypto.createHash('sha256').update(target).digest('hex').slice(0, 16);
+  }
+
+  /**
+   * Sign a cookie payload
+   * @param {string} payload - Payload to sign
+   * @returns {string} Signature
+   */
+  sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+  }
+
+  /**
+   * Resolve the target a request is pinned to
+   * @param {Object} req - Incoming request
+   * @param {Array<string>} targets - Current target URLs
+   * @returns {string|null} Pinned target, or null if the cookie is missing, invalid or expired
+   */
+  getTarget(req, targets) {
+    const value = readCookie(req, this.cookieName);
+    if (!value) {
+      return null;
+    }
+
+    const [id, expires, signature] = value.split('.');
+    if (!id || !expires || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.sign(`${id}.${expires}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    if (Number(expires) < Date.now()) {
+      return null;
+    }
+
+    return targets.find(target => this.getTargetId(target) === id) || null;
+  }
+
+  /**
+   * Create the Set-Cookie header value pinning a client to a target
+   * @param {string} target - Target URL
+   * @returns {string} Set-Cookie header value
+   */
+  createCookie(target) {
+    const payload = `${this.getTargetId(target)}.${Date.now() + this.ttl}`;
+
+    return serializeCookie(this.cookieName, `${payload}.${this.sign(payload)}`, {
+      ...this.cookieOptions,
+      maxAge: this.ttl
+    });
+  }
+}
+
+module.exports = { StickySession };
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - traceparent header value
+ * @returns {Object|null} `{ traceId, parentSpanId, flags }`, or null if the header is invalid
+ */
+function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentSpanId, flags] = match;
+
+  // Version ff and all-zero ids are invalid per the spec
+  if (version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(parentSpanId)) {
+    return null;
+  }
+
+  return { traceId, parentSpanId, flags };
+}
+
+/**
+ * Create a random hex id
+ * @param {number} bytes - Number of random bytes
+ * @returns {string} Hex id
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Request-ID and W3C trace context propagation for proxied requests,
+ * with one span per upstream attempt
+ */
+class Tracer {
+  /**
+   * Create a new tracer
+   * @param {Object} options - Tracing options
+   * @param {string} options.requestIdHeader - Header carrying the request ID (default: 'X-Request-Id')
+   * @param {Function} options.exporter - Called with every finished span
+   * @param {boolean} options.serverTiming - Echo the target and upstream timing in a
+   *   Server-Timing response header (default: false, as it reveals internal target URLs)
+   */
+  constructor(options = {}) {
+    this.requestIdHeader = (options.requestIdHeader || 'X-Request-Id').toLowerCase();
+    this.exporter = options.exporter || null;
+    this.serverTiming = options.serverTiming === true;
+  }
+
+  /**
+   * Start tracing an incoming request, continuing its trace if it carries a valid traceparent
+   * @param {Object} req - Incoming request
+   * @returns {Object} Trace context
+   */
+  startTrace(req) {
+    const incoming = parseTraceparent(req.headers.traceparent);
+
+    return {
+      requestId: req.headers[this.requestIdHeader] || crypto.randomUUID(),
+      traceId: incoming ? incoming.traceId : randomId(16),
+      parentSpanId: incoming ? incoming.parentSpanId : null,
+      flags: incoming ? incoming.flags : '01',
+      // tracestate is only meaningful alongside the traceparent it came with
+      tracestate: incoming ? req.headers.tracestate : undefined
+    };
+  }
+
+  /**
+   * Start the span of one upstream attempt
+   * @param {Object} trace - Trace context
+   * @param {Object} details - Span attributes (name, service, target, attempt)
+   * @returns {Object} Span
+   */
+  startSpan(trace, details) {
+    return {
+      traceId: trace.traceId,
+      spanId: randomId(8),
+      parentSpanId: trace.parentSpanId,
+      requestId: trace.requestId,
+      ...details,
+      startTime: Date.now()
+    };
+  }
+
+  /**
+   * Set the propagation headers of an upstream attempt
+   * @param {Object} proxyReq - Outgoing request to the target
+   * @param {Object} trace - Trace context
+   * @param {Object} span - Span of the attempt
+   */
+  injectHeaders(proxyReq, trace, span) {
+    proxyReq.setHeader(this.requestIdHeader, trace.requestId);
+    proxyReq.setHeader('traceparent', `00-${span.traceId}-${span.spanId}-${trace.flags}`);
+
+    if (trace.tracestate) {
+      proxyReq.setHeader('tracestate', trace.tracestate);
+    } else {
+      proxyReq.removeHeader('tracestate');
+    }
+  }
+
+  /**
+   * Finish a span and hand it to the exporter
+   * @param {Object} span - Span to finish
+   * @param {Object} result - `{ statusCode }`, `{ error }`, or `{ cancelled: true }` for a
+   *   hedged attempt that lost the race
+   */
+  endSpan(span, result) {
+    if (span.duration !== undefined) {
+      return;
+    }
+
+    span.duration = Date.now() - span.startTime;
+    if (result.statusCode !== undefined) {
+      span.statusCode = result.statusCode;
+    }
+    if (result.error) {
+      span.error = result.error.code || result.error.message;
+    }
+    if (result.cancelled) {
+      span.cancelled = true;
+    }
+
+    if (this.exporter) {
+      try {
+        this.exporter(span);
+      } catch (err) {
+        // A broken exporter must never break proxying
+      }
+    }
+  }
+
+  /**
+   * Get the headers echoed to the client for a finished attempt
+   * @param {Object} trace - Trace context
+   * @param {Object} span - Span of the attempt that produced the response
+   * @returns {Object} Response headers
+   */
+  getResponseHeaders(trace, span) {
+    const headers = { [this.requestIdHeader]: trace.requestId };
+
+    if (this.serverTiming) {
+      const target = String(span.target).replace(/"/g, '');
+      headers['Server-Timing'] = `upstream;dur=${span.duration};desc="${target}"`;
+    }
+
+    return headers;
+  }
+}
+
+module.exports = { Tracer, parseTraceparent };
@@ -0,0 +1,223 @@
+const { EventEmitter } = require('events');
+const { readCookie } = require('./cookies');
+
+/**
+ * Request and error counts over a sliding window of one-second buckets
+ */
+class WindowedCounter {
+  /**
+   * Create a new windowed counter
+   * @param {number} window - Length of the window in ms
+   */
+  constructor(window) {
+    this.window = window;
+    this.buckets = [];
+  }
+
+  /**
+   * Count a request
+   * @param {boolean} failed - Whether the request failed
+   */
+  record(failed) {
+    const second = Math.floor(Date.now() / 1000);
+    this.prune(second);
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, errors: 0 };
+      this.buckets.push(bucket);
+    }
+
+    bucket.requests++;
+    if (failed) {
+      bucket.errors++;
+    }
+  }
+
+  /**
+   * Drop buckets that fell out of the window
+   * @param {number} second - Current second
+   */
+  prune(second) {
+    const oldest = second - Math.ceil(this.window / 1000) + 1;
+    this.buckets = this.buckets.filter(bucket => bucket.second >= oldest);
+  }
+
+  /**
+   * Get the totals of the window
+   * @returns {Object} `{ requests, errors }`
+   */
+  getTotals() {
+    this.prune(Math.floor(Date.now() / 1000));
+    return this.buckets.reduce((totals, bucket) => ({
+      requests: totals.requests + bucket.requests,
+      errors: totals.errors + bucket.errors
+    }), { requests: 0, errors: 0 });
+  }
+}
+
+/**
+ * Splits the traffic of a service between target groups (such as 'stable'
+ * and 'canary') by match rules and percentage weights, and rolls a group
+ * back when its error rate crosses a threshold. Emits 'rollback' with
+ * (group, errorRate) when that happens.
+ */
+class TrafficSplitter extends EventEmitter {
+  /**
+   * Create a new traffic splitter
+   * @param {Array<string>} groups - Group names
+   * @param {Object} options - Traffic split options
+   * @param {string} options.defaultGroup - Group receiving traffic no weight or rule assigns
+   *   (default: 'stable' if present, else the first group)
+   * @param {Object} options.weights - Percentage of traffic per group, e.g. `{ stable: 90, canary: 10 }`
+   * @param {Array<Object>} options.rules - Rules sending matching requests to a group, checked in order:
+   *   `{ group, header, value }` or `{ group, cookie, value }`; value may be a string or RegExp,
+   *   and matches any value if omitted
+   * @param {Object} options.rollback - Stop sending traffic to a group whose error rate crosses `errorRate`
+   *   (0-1) after at least `minRequests` requests within `window` ms
+   */
+  constructor(groups, options = {}) {
+    super();
+    this.groups = groups;
+    this.defaultGroup = options.defaultGroup || (groups.includes('stable') ? 'stable' : groups[0]);
+    this.rules = options.rules || [];
+    this.rollback = options.rollback
+      ? { minRequests: 20, window: 60000, ...options.rollback }
+      : null;
+
+    if (!groups.includes(this.defaultGroup)) {
+      throw new Error(`Default group "${this.defaultGroup}" is not one of the target groups`);
+    }
+
+    this.rolledBack = new Set();
+    this.stats = new Map(groups.map(group => [group, {
+      requests: 0,
+      errors: 0,
+      recent: new WindowedCounter(this.rollback ? this.rollback.window : 60000)
+    }]));
+    this.setWeights(options.weights || { [this.defaultGroup]: 100 });
+  }
+
+  /**
+   * Change the traffic weights. Groups given a weight are taken out of rollback.
+   * @param {Object} weights - Percentage of traffic per group
+   */
+  setWeights(weights) {
+    Object.keys(weights).forEach((group) => {
+      if (!this.groups.includes(group)) {
+        throw new Error(`Unknown target group "${group}"`);
+      }
+      if (typeof weights[group] !== 'number' || weights[group] < 0) {
+        throw new Error(`Weight of group "${group}" must be a non-negative number`);
+      }
+    });
+
+    this.weights = { ...weights };
+    Object.keys(weights).forEach((group) => {
+      if (weights[group] > 0) {
+        this.rolledBack.delete(group);
+      }
+    });
+  }
+
+  /**
+   * Get the effective weight of a group
+   * @param {string} group - Group name
+   * @returns {number} Weight (0 while the group is rolled back)
+   */
+  getWeight(group) {
+    return this.rolledBack.has(group) ? 0 : this.weights[group] || 0;
+  }
+
+  /**
+   * Pick the group that serves a request
+   * @param {Object} req - Incoming request
+   * @returns {string} Group name
+   */
+  selectGroup(req) {
+    const rule = this.rules.find(candidate => !this.rolledBack.has(candidate.group) && this.matchesRule(candidate, req));
+    if (rule) {
+      return rule.group;
+    }
+
+    const total = this.groups.reduce((sum, group) => sum + this.getWeight(group), 0);
+    if (total <= 0) {
+      return this.defaultGroup;
+    }
+
+    let point = Math.random() * total;
+    for (const group of this.groups) {
+      point -= this.getWeight(group);
+      if (point < 0) {
+        return group;
+      }
+    }
+
+    return this.defaultGroup;
+  }
+
+  /**
+   * Check whether a request matches a rule
+   * @param {Object} rule - Match rule
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True if the request matches
+   */
+  matchesRule(rule, req) {
+    const actual = rule.header
+      ? req.headers[rule.header.toLowerCase()]
+      : readCookie(req, rule.cookie);
+
+    if (actual === undefined) {
+      return false;
+    }
+    if (rule.value === undefined) {
+      return true;
+    }
+    return rule.value instanceof RegExp ? rule.value.test(actual) : actual === rule.value;
+  }
+
+  /**
+   * Record the outcome of a request served by a group, rolling the group back
+   * if its error rate crossed the threshold
+   * @param {string} group - Group name
+   * @param {boolean} failed - Whether the request failed
+   */
+  recordResult(group, failed) {
+    const stats = this.stats.get(group);
+    stats.requests++;
+    if (failed) {
+      stats.errors++;
+    }
+    stats.recent.record(failed);
+
+    if (!this.rollback || group === this.defaultGroup || this.rolledBack.has(group)) {
+      return;
+    }
+
+    const { requests, errors } = stats.recent.getTotals();
+    if (requests >= this.rollback.minRequests && errors / requests >= this.rollback.errorRate) {
+      this.rolledBack.add(group);
+      this.emit('rollback', group, errors / requests);
+    }
+  }
+
+  /**
+   * Get the traffic statistics of a group
+   * @param {string} group - Group name
+   * @returns {Object} Weight, rollback state and request/error counts
+   */
+  getStats(group) {
+    const { requests, errors, recent } = this.stats.get(group);
+    const window = recent.getTotals();
+
+    return {
+      weight: this.getWeight(group),
+      rolledBack: this.rolledBack.has(group),
+      requests,
+      errors,
+      errorRate: window.requests > 0 ? window.errors / window.requests : 0
+    };
+  }
+}
+
+module.exports = { TrafficSplitter };
@@ -0,0 +1,376 @@
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+// Decoders for the content encodings a JSON body may arrive in
+const DECODERS = {
+  gzip: promisify(zlib.gunzip),
+  'x-gzip': promisify(zlib.gunzip),
+  deflate: promisify(zlib.inflate),
+  br: promisify(zlib.brotliDecompress)
+};
+
+// Values header templates can reference as `{name}`
+const TEMPLATE_VALUES = {
+  service: ctx => ctx.service,
+  target: ctx => ctx.target,
+  group: ctx => ctx.group,
+  attempt: ctx => ctx.attempt,
+  requestId: ctx => ctx.requestId,
+  elapsed: ctx => Date.now() - ctx.startTime,
+  method: ctx => ctx.req.method,
+  path: ctx => ctx.req.originalUrl || ctx.req.url,
+  clientIp: ctx => ctx.req.ip || ctx.req.socket.remoteAddress,
+  timestamp: () => new Date().toISOString()
+};
+
+/**
+ * Compile a header template such as `{service}@{target}` into a function of the transform context
+ * @param {string|Function} value - Template, or a function `(ctx)` returning the value
+ * @param {string} name - Header or parameter name, for error messages
+ * @returns {Function} Returns the value for a context
+ */
+function compileTemplate(value, name) {
+  if (typeof value === 'function') {
+    return value;
+  }
+
+  const template = String(value);
+  (template.match(/\{(\w+)\}/g) || []).forEach((placeholder) => {
+    if (!TEMPLATE_VALUES[placeholder.slice(1, -1)]) {
+      throw new Error(`Unknown placeholder ${placeholder} in transform of "${name}"; ` +
+        `use one of ${Object.keys(TEMPLATE_VALUES).join(', ')}`);
+    }
+  });
+
+  return ctx => template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    const replacement = TEMPLATE_VALUES[key](ctx);
+    return replacement === undefined || replacement === null ? '' : String(replacement);
+  });
+}
+
+/**
+ * Compile `{ set, remove, rename }` operations on headers or query parameters
+ * @param {Object} operations - `set` maps names to templates or functions, `remove` lists names,
+ *   `rename` maps old names to new ones
+ * @param {boolean} caseInsensitive - Compare names case-insensitively (headers)
+ * @returns {Object} Compiled operations
+ */
+function compileOperations(operations = {}, caseInsensitive = false) {
+  const normalize = name => (caseInsensitive ? name.toLowerCase() : name);
+  return {
+    rename: Object.entries(operations.rename || {}).map(([from, to]) => [normalize(from), normalize(to)]),
+    remove: (operations.remove || []).map(normalize),
+    set: Object.entries(operations.set || {}).map(([name, value]) => [normalize(name), compileTemplate(value, name)])
+  };
+}
+
+/**
+ * Check whether a content type is JSON
+ * @param {string} contentType - Content-Type header
+ * @returns {boolean} True for application/json and +json types
+ */
+function isJson(contentType) {
+  return /^application\/([\w.-]+\+)?json\b/i.test(String(contentType || ''));
+}
+
+/**
+ * Decode and parse a JSON body
+ * @param {Buffer} body - Raw body
+ * @param {string} encoding - Content-Encoding of the body
+ * @returns {Promise<*>} Parsed body
+ */
+async function parseJson(body, encoding) {
+  const decoder = DECODERS[String(encoding || '').toLowerCase()];
+  const decoded = decoder ? await decoder(body) : body;
+  return JSON.parse(decoded.toString());
+}
+
+/**
+ * Rewrites requests on their way to a target and responses on their way back:
+ * headers and query parameters with per-request templates, JSON bodies with
+ * async functions, and `Location` and `Set-Cookie` headers pointing at the target
+ */
+class Transformer {
+  /**
+   * Create a new transformer. Header and query values are templates such as
+   * `'{elapsed}ms'` (placeholders: service, target, group, attempt, requestId,
+   * elapsed, method, path, clientIp, timestamp) or functions of the transform
+   * context `{ req, service, target, group, attempt, requestId, startTime }`.
+   * @param {Object} options - Transform options
+   * @param {Object} options.request - Request transforms
+   * @param {Object} options.request.headers - `{ set, remove, rename }` applied to every attempt
+   * @param {Object|Function} options.request.query - `{ set, remove, rename }`, or an async function
+   *   `(params, ctx)` that changes the URLSearchParams (or returns new ones)
+   * @param {Function} options.request.body - Async function `(json, ctx)` returning the new JSON body
+   * @param {Object} options.response - Response transforms
+   * @param {Object} options.response.headers - `{ set, remove, rename }`
+   * @param {Function} options.response.body - Async function `(json, ctx)` returning the new JSON body;
+   *   the context also has the upstream `statusCode` and `headers`
+   * @param {boolean} options.response.rewriteLocation - Point `Location` headers that refer to the
+   *   target at the gateway instead
+   * @param {boolean} options.response.rewriteCookies - Rewrite the `Domain` and `Path` of cookies
+   *   to the gateway's host and the service's mount path
+   * @param {string} options.publicUrl - Public URL of the gateway (default: from the request's
+   *   protocol and Host header); the path the service is mounted on is appended
+   */
+  constructor(options = {}) {
+    const request = options.request || {};
+    const response = options.response || {};
+
+    if (request.body !== undefined && typeof request.body !== 'function') {
+      throw new Error('transform.request.body must be a function');
+    }
+    if (response.body !== undefined && typeof response.body !== 'function') {
+      throw new Error('transform.response.body must be a function');
+    }
+
+    this.requestHeaders = compileOperations(request.headers, true);
+    this.query = typeof request.query === 'function' ? request.query : null;
+    this.queryOperations = this.query ? null : compileOperations(request.query);
+    this.requestBody = request.body || null;
+    this.responseHeaders = compileOperations(response.headers, true);
+    this.responseBody = response.body || null;
+    this.rewriteLocation = Boolean(response.rewriteLocation);
+    this.rewriteCookies = Boolean(response.rewriteCookies);
+    this.publicUrl = options.publicUrl ? options.publicUrl.replace(/\/+$/, '') : null;
+  }
+
+  /**
+   * Rewrite the query string of a request URL
+   * @param {string} url - Path and query
+   * @param {Object} ctx - Transform context
+   * @returns {Promise<string>} Path and new query
+   */
+  async transformQuery(url, ctx) {
+    const { rename, remove, set } = this.queryOperations || {};
+    if (!this.query && rename.length + remove.length + set.length === 0) {
+      return url;
+    }
+
+    const queryStart = url.indexOf('?');
+    const pathname = queryStart === -1 ? url : url.slice(0, queryStart);
+    let params = new URLSearchParams(queryStart === -1 ? '' : url.slice(queryStart));
+
+    if (this.query) {
+      params = (await this.query(params, ctx)) || params;
+    } else {
+      rename.forEach(([from, to]) => {
+        if (params.has(from)) {
+          params.getAll(from).forEach(value => params.append(to, value));
+          params.delete(from);
+        }
+      });
+      remove.forEach(name => params.delete(name));
+      set.forEach(([name, value]) => params.set(name, value(ctx)));
+    }
+
+    const query = params.toString();
+    return query ? `${pathname}?${query}` : pathname;
+  }
+
+  /**
+   * Check whether the body of a request is transformed
+   * @param {Object} req - Incoming request
+   * @returns {boolean} True for JSON requests when a request body transform is set
+   */
+  transformsRequestBody(req) {
+    return Boolean(this.requestBody) && isJson(req.headers['content-type']);
+  }
+
+  /**
+   * Transform a buffered JSON request body. The new body is sent without content encoding.
+   * @param {Object} req - Incoming request
+   * @param {Buffer} body - Buffered body
+   * @param {string} encoding - Content-Encoding of the buffered body (none if a body parser decoded it)
+   * @param {Object} ctx - Transform context
+   * @returns {Promise<Buffer>} New body
+   */
+  async transformRequestBody(req, body, encoding, ctx) {
+    if (body.length === 0) {
+      return body;
+    }
+
+    let json;
+    try {
+      json = await parseJson(body, encoding);
+    } catch (err) {
+      const error = new Error(`Request body is not valid JSON: ${err.message}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    delete req.headers['content-encoding'];
+    return Buffer.from(JSON.stringify(await this.requestBody(json, ctx)));
+  }
+
+  /**
+   * Apply the request header operations to an upstream attempt
+   * @param {Object} proxyReq - Outgoing request to the target
+   * @param {Object} ctx - Transform context
+   */
+  applyRequestHeaders(proxyReq, ctx) {
+    const { rename, remove, set } = this.requestHeaders;
+
+    rename.forEach(([from, to]) => {
+      const value = proxyReq.getHeader(from);
+      if (value !== undefined) {
+        proxyReq.removeHeader(from);
+        proxyReq.setHeader(to, value);
+      }
+    });
+    remove.forEach(name => proxyReq.removeHeader(name));
+    set.forEach(([name, value]) => {
+      const resolved = value(ctx);
+      if (resolved === undefined || resolved === null) {
+        proxyReq.removeHeader(name);
+      } else {
+        proxyReq.setHeader(name, String(resolved));
+      }
+    });
+  }
+
+  /**
+   * Check whether the body of a response is transformed
+   * @param {Object} proxyRes - Response from the target
+   * @returns {boolean} True for JSON responses when a response body transform is set
+   */
+  transformsResponseBody(proxyRes) {
+    return Boolean(this.responseBody) && proxyRes.statusCode !== 204 && isJson(proxyRes.headers['content-type']);
+  }
+
+  /**
+   * Transform the headers of a response, and its body if it is JSON and a body transform is set
+   * @param {Object} proxyRes - Response from the target
+   * @param {Object} ctx - Transform context
+   * @returns {Promise<Object>} `{ headers, body }`; body is null when the response streams unchanged
+   */
+  async transformResponse(proxyRes, ctx) {
+    const headers = { ...proxyRes.headers };
+    let body = null;
+
+    if (this.transformsResponseBody(proxyRes)) {
+      const raw = await new Promise((resolve, reject) => {
+        const chunks = [];
+        proxyRes.on('data', chunk => chunks.push(chunk));
+        proxyRes.on('end', () => resolve(Buffer.concat(chunks)));
+        proxyRes.on('error', reject);
+      });
+
+      let json;
+      let parsed = true;
+      try {
+        json = await parseJson(raw, headers['content-encoding']);
+      } catch (err) {
+        parsed = false;
+      }
+
+      // Bodies that are not valid JSON are passed on untouched
+      if (parsed) {
+        const transformed = await this.responseBody(json, { ...ctx, statusCode: proxyRes.statusCode, headers });
+        body = Buffer.from(JSON.stringify(transformed));
+        delete headers['content-encoding'];
+        delete headers['transfer-encoding'];
+        headers['content-length'] = String(body.length);
+      } else {
+        body = raw;
+      }
+    }
+
+    if (this.rewriteLocation && headers.location) {
+      headers.location = this.rewriteLocationHeader(headers.location, ctx);
+    }
+    if (this.rewriteCookies && headers['set-cookie']) {
+      headers['set-cookie'] = headers['set-cookie'].map(cookie => this.rewriteCookie(cookie, ctx));
+    }
+
+    const { rename, remove, set } = this.responseHeaders;
+    rename.forEach(([from, to]) => {
+      if (headers[from] !== undefined) {
+        headers[to] = headers[from];
+        delete headers[from];
+      }
+    });
+    remove.forEach((name) => {
+      delete headers[name];
+    });
+    set.forEach(([name, value]) => {
+      const resolved = value(ctx);
+      if (resolved === undefined || resolved === null) {
+        delete headers[name];
+      } else {
+        headers[name] = String(resolved);
+      }
+    });
+
+    return { headers, body };
+  }
+
+  /**
+   * Get the public URL the service is reached at
+   * @param {Object} req - Incoming request
+   * @returns {URL} Gateway URL including the service's mount path
+   */
+  getPublicBase(req) {
+    const origin = this.publicUrl || `${req.protocol || 'http'}://${req.headers.host}`;
+    return new URL(`${origin}${req.baseUrl || ''}`);
+  }
+
+  /**
+   * Point a Location header that refers to the target at the gateway
+   * @param {string} location - Location header
+   * @param {Object} ctx - Transform context
+   * @returns {string} Rewritten header; locations elsewhere are kept
+   */
+  rewriteLocationHeader(location, ctx) {
+    const target = new URL(ctx.target);
+    let resolved;
+    try {
+      resolved = new URL(location, target);
+    } catch (err) {
+      return location;
+    }
+
+    const targetPath = target.pathname.replace(/\/+$/, '');
+    if (resolved.origin !== target.origin || !resolved.pathname.startsWith(targetPath)) {
+      return location;
+    }
+
+    const base = this.getPublicBase(ctx.req);
+    const path = `${base.pathname.replace(/\/+$/, '')}${resolved.pathname.slice(targetPath.length)}` || '/';
+    const rest = `${path.startsWith('/') ? path : `/${path}`}${resolved.search}${resolved.hash}`;
+
+    // Relative locations stay relative
+    return /^[a-z][a-z\d+.-]*:/i.test(location) || location.startsWith('//') ? `${base.origin}${rest}` : rest;
+  }
+
+  /**
+   * Rewrite the Domain and Path attributes of a Set-Cookie header to the gateway
+   * @param {string} cookie - Set-Cookie header value
+   * @param {Object} ctx - Transform context
+   * @returns {string} Rewritten value
+   */
+  rewriteCookie(cookie, ctx) {
+    const base = this.getPublicBase(ctx.req);
+    const targetPath = new URL(ctx.target).pathname.replace(/\/+$/, '');
+    const publicPath = base.pathname.replace(/\/+$/, '');
+
+    return cookie.split(';').map((attribute) => {
+      const [name, ...value] = attribute.trim().split('=');
+      const key = name.toLowerCase();
+
+      if (key === 'domain') {
+        return ` Domain=${base.hostname}`;
+      }
+      if (key === 'path') {
+        const path = value.join('=');
+        if (!path.startsWith(targetPath)) {
+          return attribute;
+        }
+        return ` Path=${`${publicPath}${path.slice(targetPath.length)}`.replace(/(.)\/+$/, '$1') || '/'}`;
+      }
+      return attribute;
+    }).join(';');
+  }
+}
+
+module.exports = { Transformer };
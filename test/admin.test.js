@@ -0,0 +1,197 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Admin API', () => {
+  let upstreams;
+  let app;
+  let serviceProxy;
+  let audited;
+
+  /**
+   * Start an upstream that echoes its name
+   * @param {string} name - Name echoed in responses
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = name => express()
+    .use((req, res) => res.json({ served: name }))
+    .listen(0);
+
+  const urlOf = upstream => `http://localhost:${upstream.address().port}`;
+
+  beforeAll(() => {
+    upstreams = { a: startUpstream('a'), b: startUpstream('b') };
+  });
+
+  afterAll(async () => {
+    await Promise.all(Object.values(upstreams).map(upstream => new Promise(resolve => upstream.close(resolve))));
+  });
+
+  beforeEach(() => {
+    audited = [];
+    serviceProxy = createServiceProxy();
+    app = express()
+      .use(express.json())
+      .use('/admin', serviceProxy.getAdminMiddleware({
+        auth: req => req.get('Authorization') === 'Bearer secret' && 'ops',
+        onAudit: entry => audited.push(entry)
+      }))
+      .use(serviceProxy.router());
+  });
+
+  afterEach(() => {
+    serviceProxy.close();
+  });
+
+  const admin = (method, path) => request(app)[method](`/admin${path}`).set('Authorization', 'Bearer secret');
+
+  test('Should refuse unauthenticated calls and record refused changes', async () => {
+    // Act
+    const listed = await request(app).get('/admin/services');
+    const created = await request(app).post('/admin/services').send({ name: 'users', targets: [urlOf(upstreams.a)] });
+
+    // Assert
+    expect(listed.status).toBe(401);
+    expect(created.status).toBe(401);
+    expect(serviceProxy.services.has('users')).toBe(false);
+    expect(audited).toHaveLength(1);
+    expect(audited[0]).toMatchObject({ action: 'service.create', actor: null, status: 401, outcome: 'failure' });
+    expect(() => serviceProxy.getAdminMiddleware({})).toThrow('requires an auth function');
+  });
+
+  test('Should create, update and delete services, validating request bodies', async () => {
+    // Act
+    const invalid = await admin('post', '/services').send({
+      name: 'users',
+      targets: ['ftp://nope'],
+      loadBalancingStrategy: 'random-ish',
+      retries: 3
+    });
+    const created = await admin('post', '/services').send({ name: 'users', targets: [urlOf(upstreams.a)], timeout: 2000 });
+    const duplicate = await admin('post', '/services').send({ name: 'users', targets: [urlOf(upstreams.a)] });
+    const proxied = await request(app).get('/users/profile');
+    const updated = await admin('patch', '/services/users').send({ targets: [urlOf(upstreams.b)], mount: '/people' });
+    const proxiedAfterUpdate = await request(app).get('/people/profile');
+    const deleted = await admin('delete', '/services/users');
+    const missing = await admin('get', '/services/users');
+
+    // Assert
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.map(error => error.path)).toEqual(['targets[0]', 'loadBalancingStrategy', 'retries']);
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'users', status: 'UP', strategy: 'round-robin' });
+    expect(created.body.settings.circuitBreaker).toEqual({ requestTimeout: 2000 });
+    expect(duplicate.status).toBe(409);
+    expect(proxied.body).toEqual({ served: 'a' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.routes.map(route => route.path)).toEqual(['/people']);
+    expect(proxiedAfterUpdate.body).toEqual({ served: 'b' });
+    expect(deleted.body).toEqual({ name: 'users', drained: true });
+    expect(missing.status).toBe(404);
+    expect(audited.map(entry => [entry.action, entry.status])).toEqual([
+      ['service.create', 400],
+      ['service.create', 201],
+      ['service.create', 409],
+      ['service.update', 200],
+      ['service.delete', 200]
+    ]);
+    expect(audited[1]).toMatchObject({ actor: 'ops', service: 'users', outcome: 'success' });
+  });
+
+  test('Should not show auth secrets in service settings or the audit log', async () => {
+    // Act
+    const created = await admin('post', '/services').send({
+      name: 'users',
+      targets: [urlOf(upstreams.a)],
+      auth: { jwt: { secret: 'top-secret' }, rules: [{ path: '/admin', roles: ['admin'] }] }
+    });
+    const audit = await admin('get', '/audit');
+
+    // Assert
+    expect(created.body.settings.auth).toEqual({ methods: ['jwt'], rules: [{ path: '/admin', roles: ['admin'] }] });
+    expect(JSON.stringify(audit.body)).not.toContain('top-secret');
+  });
+
+  test('Should add, drain, undrain and remove targets', async () => {
+    // Arrange
+    const a = urlOf(upstreams.a);
+    const b = urlOf(upstreams.b);
+    serviceProxy.registerService('users', [a]);
+    serviceProxy.addRoute({ service: 'users', path: '/users', stripPrefix: true });
+
+    // Act
+    const added = await admin('post', '/services/users/targets').send({ url: b, weight: 2 });
+    const drained = await admin('post', `/services/users/targets/${encodeURIComponent(a)}/drain`);
+    const whileDrained = await Promise.all([1, 2, 3].map(() => request(app).get('/users')));
+    await admin('post', `/services/users/targets/${encodeURIComponent(a)}/undrain`);
+    const removed = await admin('delete', `/services/users/targets/${encodeURIComponent(b)}`);
+    const lastTarget = await admin('delete', `/services/users/targets/${encodeURIComponent(a)}`);
+
+    // Assert
+    expect(added.status).toBe(201);
+    expect(added.body.targets).toEqual([
+      expect.objectContaining({ url: a, weight: 1 }),
+      expect.objectContaining({ url: b, weight: 2 })
+    ]);
+    expect(drained.body.targets[0].status).toBe('DRAINING');
+    expect(whileDrained.map(res => res.body.served)).toEqual(['b', 'b', 'b']);
+    expect(serviceProxy.getServiceStatus('users').targets[0].status).toBe('UP');
+    expect(removed.body.targets.map(target => target.url)).toEqual([a]);
+    expect(lastTarget.status).toBe(409);
+  });
+
+  test('Should force circuits and change the load balancing strategy', async () => {
+    // Arrange
+    serviceProxy.registerService('users', [urlOf(upstreams.a)], { circuitBreaker: { resetTimeout: 1 } });
+    serviceProxy.addRoute({ service: 'users', path: '/users', stripPrefix: true });
+
+    // Act
+    const opened = await admin('post', '/services/users/circuit').send({ state: 'open' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const whileOpen = await request(app).get('/users');
+    const closed = await admin('post', '/services/users/circuit').send({ state: 'closed' });
+    const afterClose = await request(app).get('/users');
+    const badState = await admin('post', '/services/users/circuit').send({ state: 'ajar' });
+    const strategy = await admin('put', '/services/users/strategy').send({ strategy: 'least-connections' });
+    const badStrategy = await admin('put', '/services/users/strategy').send({ strategy: 'fastest' });
+    const audit = await admin('get', '/audit?limit=2');
+
+    // Assert
+    expect(opened.body.circuitState.state).toBe('OPEN');
+    expect(whileOpen.status).toBe(503);
+    expect(closed.body.circuitState.state).toBe('CLOSED');
+    expect(afterClose.body).toEqual({ served: 'a' });
+    expect(badState.status).toBe(400);
+    expect(badState.body.errors[0].path).toBe('state');
+    expect(strategy.body.strategy).toBe('least-connections');
+    expect(serviceProxy.services.get('users').options.loadBalancingStrategy).toBe('least-connections');
+    expect(badStrategy.status).toBe(400);
+    expect(audit.body.entries.map(entry => entry.action)).toEqual(['strategy.set', 'strategy.set']);
+  });
+
+  test('Should answer applied changes normally when the audit hook throws', async () => {
+    // Arrange
+    const errors = [];
+    serviceProxy.on('error', details => errors.push(details));
+    const failingApp = express().use('/admin', serviceProxy.getAdminMiddleware({
+      auth: () => 'ops',
+      onAudit: () => {
+        throw new Error('audit store unavailable');
+      }
+    }));
+
+    // Act
+    const created = await request(failingApp).post('/admin/services')
+      .send({ name: 'users', targets: [urlOf(upstreams.a)] });
+    const audit = await request(failingApp).get('/admin/audit');
+
+    // Assert
+    expect(created.status).toBe(201);
+    expect(serviceProxy.services.has('users')).toBe(true);
+    expect(audit.body.entries.map(entry => entry.outcome)).toEqual(['success']);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ service: 'users', action: 'service.create' });
+    expect(errors[0].error.message).toBe('audit store unavailable');
+    expect(serviceProxy.metrics.errors.series.size).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Aggregate endpoints', () => {
+  let upstreams;
+  let app;
+  let serviceProxy;
+  let requests;
+
+  /**
+   * Start an upstream that answers with the given routes and records what it receives
+   * @param {string} name - Name recorded with each request
+   * @param {Function} routes - Adds routes to the upstream app
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = (name, routes) => {
+    const upstream = express().use(express.json()).use((req, res, next) => {
+      requests.push({ name, url: req.url, authorization: req.headers.authorization, body: req.body });
+      next();
+    });
+    routes(upstream);
+    return upstream.listen(0);
+  };
+
+  const urlOf = upstream => `http://localhost:${upstream.address().port}`;
+
+  beforeAll(() => {
+    upstreams = {
+      users: startUpstream('users', upstream => upstream
+        .get('/users/:id', (req, res) => res.json({ id: req.params.id, name: 'Ada', tier: 'gold' }))),
+      orders: startUpstream('orders', upstream => upstream
+        .get('/orders', (req, res) => res.json([{ id: 'o-1', customer: req.query.customer }]))
+        .post('/quotes', (req, res) => res.json({ tier: req.body.tier, discount: 10 }))),
+      slow: startUpstream('slow', upstream => upstream
+        .get('/recommendations', (req, res) => setTimeout(() => res.json(['book']), 300))),
+      broken: startUpstream('broken', upstream => upstream
+        .use((req, res) => res.status(500).json({ message: 'database unavailable' })))
+    };
+  });
+
+  afterAll(async () => {
+    await Promise.all(Object.values(upstreams).map(upstream => new Promise(resolve => upstream.close(resolve))));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    serviceProxy = createServiceProxy();
+    Object.entries(upstreams).forEach(([name, upstream]) => {
+      serviceProxy.registerService(name, [urlOf(upstream)], { circuitBreaker: { failureThreshold: 2 } });
+    });
+    app = express();
+  });
+
+  afterEach(() => {
+    serviceProxy.close();
+  });
+
+  test('Should merge results of parallel and dependent calls under their keys', async () => {
+    // Arrange
+    app.get('/screens/profile/:id', serviceProxy.getAggregateMiddleware({
+      calls: {
+        user: { service: 'users', path: '/users/{params.id}' },
+        orders: { service: 'orders', path: '/orders?customer={user.id}&page={query.page}' },
+        quote: {
+          service: 'orders',
+          method: 'POST',
+          path: '/quotes',
+          dependsOn: ['user'],
+          body: (req, results) => ({ tier: results.user.tier }),
+          transform: quote => quote.discount
+        }
+      }
+    }));
+
+    // Act
+    const res = await request(app).get('/screens/profile/u 1?page=2').set('Authorization', 'Bearer abc');
+
+    // Assert
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      user: { id: 'u 1', name: 'Ada', tier: 'gold' },
+      orders: [{ id: 'o-1', customer: 'u 1' }],
+      quote: 10
+    });
+    expect(requests.find(entry => entry.name === 'orders' && entry.url.startsWith('/orders')).url)
+      .toBe('/orders?customer=u%201&page=2');
+    expect(requests.find(entry => entry.url === '/quotes').body).toEqual({ tier: 'gold' });
+    expect(requests.every(entry => entry.authorization === 'Bearer abc')).toBe(true);
+    expect(serviceProxy.services.get('users').loadBalancer.getConnectionCount(urlOf(upstreams.users))).toBe(0);
+  });
+
+  test('Should return partial results with the errors of failed, timed out and skipped calls', async () => {
+    // Arrange
+    app.get('/screens/home', serviceProxy.getAggregateMiddleware({
+      calls: {
+        user: { service: 'users', path: '/users/1' },
+        recommendations: { service: 'slow', path: '/recommendations', timeout: 50 },
+        inbox: { service: 'broken', path: '/inbox' },
+        unread: { service: 'broken', path: '/inbox/count' },
+        badges: { service: 'users', path: '/badges?count={unread.count}' },
+        missing: { service: 'nowhere', path: '/' }
+      }
+    }));
+
+    // Act
+    const res = await request(app).get('/screens/home');
+
+    // Assert
+    expect(res.status).toBe(200);
+    expect(res.body.user.name).toBe('Ada');
+    expect(res.body.errors).toEqual({
+      recommendations: { service: 'slow', status: 504, message: 'Upstream request timed out after 50ms' },
+      inbox: { service: 'broken', status: 500, message: 'database unavailable' },
+      unread: { service: 'broken', status: 500, message: 'database unavailable' },
+      badges: { service: 'users', message: 'Skipped because "unread" failed' },
+      missing: { service: 'nowhere', status: 404, message: 'Service "nowhere" is not registered' }
+    });
+    expect(requests.some(entry => entry.url.startsWith('/badges'))).toBe(false);
+    expect(serviceProxy.getServiceStatus('broken').circuitState.state).toBe('OPEN');
+  });
+
+  test('Should fail when a required call fails and reject invalid specs', async () => {
+    // Arrange
+    app.get('/screens/checkout', serviceProxy.getAggregateMiddleware({
+      calls: {
+        cart: { service: 'broken', path: '/cart', required: true },
+        user: { service: 'users', path: '/users/1' }
+      }
+    }));
+
+    // Act
+    const res = await request(app).get('/screens/checkout');
+
+    // Assert
+    expect(res.status).toBe(502);
+    expect(res.body.user.id).toBe('1');
+    expect(res.body.errors.cart.status).toBe(500);
+    expect(() => serviceProxy.getAggregateMiddleware({ calls: {} })).toThrow('at least one call');
+    expect(() => serviceProxy.getAggregateMiddleware({
+      calls: { a: { service: 'users', path: '/{b.id}' }, b: { service: 'users', path: '/{a.id}' } }
+    })).toThrow('Calls depend on each other: a -> b -> a');
+    expect(() => serviceProxy.getAggregateMiddleware({
+      calls: { a: { service: 'users', path: '/{user.id}' } }
+    })).toThrow('Unknown placeholder {user}');
+  });
+});
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Service auth', () => {
+  let upstream;
+  let upstreamUrl;
+  let jwksRequests;
+  let jwks;
+  let app;
+  let serviceProxy;
+  let tmpDir;
+
+  /**
+   * Sign a JWT
+   * @param {Object} payload - Claims
+   * @param {Object} options - `{ secret }` for HS256 or `{ privateKey, kid }` for RS256
+   * @returns {string} Compact serialized token
+   */
+  const signToken = (payload, options) => {
+    const header = options.secret ? { alg: 'HS256', typ: 'JWT' } : { alg: 'RS256', typ: 'JWT', kid: options.kid };
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode(header)}.${encode(payload)}`;
+    const signature = options.secret
+      ? crypto.createHmac('sha256', options.secret).update(input).digest()
+      : crypto.sign('sha256', Buffer.from(input), options.privateKey);
+    return `${input}.${signature.toString('base64url')}`;
+  };
+
+  /**
+   * Create an RSA key pair and its JWK
+   * @param {string} kid - Key id
+   * @returns {Object} `{ privateKey, jwk }`
+   */
+  const createKey = (kid) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return { privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' } };
+  };
+
+  const now = () => Math.floor(Date.now() / 1000);
+
+  beforeAll(() => {
+    upstream = express()
+      .get('/.well-known/jwks.json', (req, res) => {
+        jwksRequests++;
+        res.json(jwks);
+      })
+      .use((req, res) => res.json({
+        path: req.url,
+        subject: req.headers['x-auth-subject'] || null,
+        scopes: req.headers['x-auth-scopes'] || null
+      }))
+      .listen(0);
+    upstreamUrl = `http://localhost:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    jwksRequests = 0;
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-proxy-auth-'));
+    serviceProxy = createServiceProxy();
+    app = express().use(serviceProxy.router());
+  });
+
+  afterEach(() => {
+    serviceProxy.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Should verify HMAC tokens and forward their claims, stripping spoofed claim headers', async () => {
+    // Arrange
+    serviceProxy.registerService('orders', [upstreamUrl], {
+      auth: {
+        jwt: { secret: 'top-secret', issuer: 'https://auth.example.com', audience: 'orders' },
+        forwardClaims: { sub: 'X-Auth-Subject', scope: 'X-Auth-Scopes' }
+      }
+    });
+    serviceProxy.addRoute({ service: 'orders', path: '/orders' });
+    const claims = { sub: 'user-1', scope: 'orders:read', iss: 'https://auth.example.com', aud: 'orders', exp: now() + 60 };
+    const bearer = token => `Bearer ${token}`;
+
+    // Act
+    const valid = await request(app).get('/orders')
+      .set('Authorization', bearer(signToken(claims, { secret: 'top-secret' })))
+      .set('X-Auth-Scopes', 'orders:admin');
+    const missing = await request(app).get('/orders').set('X-Auth-Subject', 'admin');
+    const expired = await request(app).get('/orders')
+      .set('Authorization', bearer(signToken({ ...claims, exp: now() - 10 }, { secret: 'top-secret' })));
+    const wrongAudience = await request(app).get('/orders')
+      .set('Authorization', bearer(signToken({ ...claims, aud: 'billing' }, { secret: 'top-secret' })));
+    const forged = await request(app).get('/orders')
+      .set('Authorization', bearer(signToken(claims, { secret: 'guessed' })));
+    const unsigned = await request(app).get('/orders')
+      .set('Authorization', bearer(signToken(claims, { secret: 'top-secret' }).replace(/^[^.]+/,
+        Buffer.from(JSON.stringify({ alg: 'none' })).toString('base64url'))));
+
+    // Assert
+    expect(valid.body).toEqual({ path: '/orders', subject: 'user-1', scopes: 'orders:read' });
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+    expect(expired.status).toBe(401);
+    expect(expired.body.message).toBe('Invalid token: expired');
+    expect(wrongAudience.body.message).toBe('Invalid token: audience is not accepted');
+    expect(forged.body.message).toBe('Invalid token: signature verification failed');
+    expect(unsigned.body.message).toBe('Invalid token: algorithm none is not accepted');
+  });
+
+  test('Should reject algorithms without a configured key and tokens signed with them', async () => {
+    // Arrange
+    serviceProxy.registerService('orders', [upstreamUrl], { auth: { jwt: { secret: 'top-secret' } } });
+    serviceProxy.addRoute({ service: 'orders', path: '/orders' });
+    const { privateKey } = createKey('k1');
+
+    // Act
+    const rsaToken = await request(app).get('/orders')
+      .set('Authorization', `Bearer ${signToken({ sub: 'user-1', exp: now() + 60 }, { privateKey, kid: 'k1' })}`);
+
+    // Assert
+    expect(rsaToken.status).toBe(401);
+    expect(rsaToken.body.message).toBe('Invalid token: algorithm RS256 is not accepted');
+    expect(() => serviceProxy.registerService('rsa', [upstreamUrl], {
+      auth: { jwt: { secret: 'top-secret', algorithms: ['RS256'] } }
+    })).toThrow('JWT algorithm RS256 requires a publicKey or jwks');
+    expect(() => serviceProxy.registerService('hmac', [upstreamUrl], {
+      auth: { jwt: { jwks: { url: `${upstreamUrl}/.well-known/jwks.json` }, algorithms: ['HS256'] } }
+    })).toThrow('JWT algorithm HS256 requires a secret');
+    expect(() => serviceProxy.registerService('none', [upstreamUrl], {
+      auth: { jwt: { secret: 'top-secret', algorithms: ['none'] } }
+    })).toThrow('JWT algorithm none is not supported');
+  });
+
+  test('Should verify RSA tokens with cached JWKS keys and pick up rotated keys', async () => {
+    // Arrange
+    const first = createKey('key-1');
+    const second = createKey('key-2');
+    const jwksFile = path.join(tmpDir, 'jwks.json');
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [first.jwk] }));
+    jwks = { keys: [first.jwk] };
+
+    serviceProxy
+      .registerService('file-keys', [upstreamUrl], {
+        auth: { jwt: { jwks: { file: jwksFile, minRefreshInterval: 0 } } }
+      })
+      .registerService('url-keys', [upstreamUrl], {
+        auth: { jwt: { jwks: { url: `${upstreamUrl}/.well-known/jwks.json` } } }
+      });
+    serviceProxy.addRoute({ service: 'file-keys', path: '/file', stripPrefix: true });
+    serviceProxy.addRoute({ service: 'url-keys', path: '/url', stripPrefix: true });
+    const sign = (key, kid) => `Bearer ${signToken({ sub: kid, exp: now() + 60 }, { privateKey: key.privateKey, kid })}`;
+
+    // Act
+    const fromFile = await request(app).get('/file').set('Authorization', sign(first, 'key-1'));
+    fs.writeFileSync(jwksFile, JSON.stringify({ keys: [first.jwk, second.jwk] }));
+    const rotated = await request(app).get('/file').set('Authorization', sign(second, 'key-2'));
+    const fromUrl = await request(app).get('/url').set('Authorization', sign(first, 'key-1'));
+    const cached = await request(app).get('/url').set('Authorization', sign(first, 'key-1'));
+    const wrongKey = await request(app).get('/url').set('Authorization', sign(second, 'key-1'));
+
+    // Assert
+    expect(fromFile.body.subject).toBe('key-1');
+    expect(rotated.body.subject).toBe('key-2');
+    expect(fromUrl.body.subject).toBe('key-1');
+    expect(cached.body.subject).toBe('key-1');
+    expect(jwksRequests).toBe(1);
+    expect(wrongKey.status).toBe(401);
+  });
+
+  test('Should accept API keys and Basic auth and apply scope and role rules per path', async () => {
+    // Arrange
+    serviceProxy.registerService('billing', [upstreamUrl], {
+      auth: {
+        apiKeys: { keys: { 'key-abc': { sub: 'partner-a', scope: ['invoices:read'] } } },
+        basic: { users: { alice: { password: 'wonderland', roles: ['admin'] }, bob: 'builder' } },
+        rules: [
+          { path: '/status', public: true },
+          { path: '/invoices', methods: ['GET'], scopes: ['invoices:read'] },
+          { path: '/admin', roles: ['admin'] }
+        ]
+      }
+    });
+    serviceProxy.addRoute({ service: 'billing', path: '/' });
+    const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+
+    // Act
+    const status = await request(app).get('/status');
+    const invoices = await request(app).get('/invoices/1').set('X-API-Key', 'key-abc');
+    const unknownKey = await request(app).get('/invoices/1').set('X-API-Key', 'key-xyz');
+    const admin = await request(app).get('/admin').set('Authorization', basic('alice', 'wonderland'));
+    const notAdmin = await request(app).get('/admin').set('Authorization', basic('bob', 'builder'));
+    const wrongPassword = await request(app).get('/admin').set('Authorization', basic('alice', 'looking-glass'));
+    const noScope = await request(app).get('/invoices').set('Authorization', basic('bob', 'builder'));
+
+    // Assert
+    expect(status.body).toEqual({ path: '/status', subject: null, scopes: null });
+    expect(invoices.body.subject).toBe('partner-a');
+    expect(unknownKey.status).toBe(401);
+    expect(admin.body.subject).toBe('alice');
+    expect(notAdmin.status).toBe(403);
+    expect(notAdmin.body.message).toBe('Requires one of the roles: admin');
+    expect(wrongPassword.status).toBe(401);
+    expect(wrongPassword.headers['www-authenticate']).toBe('Basic realm="Restricted"');
+    expect(noScope.status).toBe(403);
+    expect(noScope.body.message).toBe('Missing scope: invoices:read');
+  });
+
+  test('Should apply rules to other spellings of a path and reject dot segments', async () => {
+    // Arrange
+    serviceProxy.registerService('billing', [upstreamUrl], {
+      auth: {
+        basic: { users: { bob: 'builder' } },
+        rules: [
+          { path: '/public', public: true },
+          { path: '/admin', roles: ['admin'] }
+        ]
+      }
+    });
+    serviceProxy.addRoute({ service: 'billing', path: '/' });
+    const bob = `Basic ${Buffer.from('bob:builder').toString('base64')}`;
+    // Clients resolve dot segments before sending, so raw paths are checked directly
+    const { authenticator } = serviceProxy.services.get('billing');
+    const authenticate = url => authenticator.authenticate({ method: 'GET', url, headers: {} }).catch(err => err);
+
+    // Act
+    const upperCase = await request(app).get('/Admin/x').set('Authorization', bob);
+    const encoded = await request(app).get('/%61dmin/x').set('Authorization', bob);
+    const doubleSlash = await request(app).get('//admin/x').set('Authorization', bob);
+    const dotSegments = await authenticate('/public/../admin');
+    const encodedDotSegments = await authenticate('/public/%2e%2E/admin');
+    const publicPath = await request(app).get('/PUBLIC/info');
+
+    // Assert
+    expect(upperCase.status).toBe(403);
+    expect(encoded.status).toBe(403);
+    expect(doubleSlash.status).toBe(403);
+    expect(dotSegments.statusCode).toBe(400);
+    expect(encodedDotSegments.statusCode).toBe(400);
+    expect(publicPath.status).toBe(200);
+  });
+});
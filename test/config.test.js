@@ -0,0 +1,245 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { ServiceProxy, ConfigError } = require('../index');
+
+describe('Gateway config', () => {
+  let upstreams;
+  let urls;
+  let dir;
+  let serviceProxy;
+
+  /**
+   * Start an upstream that echoes its name and the path it received
+   * @param {string} name - Name echoed in responses
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = name => express()
+    .use((req, res) => res.json({ served: name, path: req.url, header: req.headers['x-gateway'] || null }))
+    .listen(0);
+
+  /**
+   * Write a config file into the test directory
+   * @param {string} name - File name
+   * @param {string} content - File content
+   * @returns {string} File path
+   */
+  const writeConfig = (name, content) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  };
+
+  beforeAll(() => {
+    upstreams = [startUpstream('one'), startUpstream('two')];
+    urls = upstreams.map(upstream => `http://localhost:${upstream.address().port}`);
+  });
+
+  afterAll(async () => {
+    await Promise.all(upstreams.map(upstream => new Promise(resolve => upstream.close(resolve))));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gateway-config-'));
+    serviceProxy = null;
+  });
+
+  afterEach(() => {
+    if (serviceProxy) {
+      serviceProxy.close();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Should register and mount the services of a YAML config', async () => {
+    // Arrange
+    const filePath = writeConfig('gateway.yaml', [
+      'services:',
+      '  users:',
+      `    targets: ["${urls[0]}"]`,
+      '    mount: /api/users',
+      '    pathRewrite:',
+      '      "^/v1": "/v2"',
+      '    headers:',
+      '      X-Gateway: config',
+      '    timeout: 2000',
+      '  orders:',
+      '    targets:',
+      `      - url: ${urls[1]}`,
+      '        weight: 2',
+      '    loadBalancingStrategy: weighted-round-robin'
+    ].join('\n'));
+    serviceProxy = ServiceProxy.fromConfig(filePath, { watch: false });
+    const app = express().use(serviceProxy.getConfigMiddleware());
+
+    // Act
+    const users = await request(app).get('/api/users/v1/list?page=2');
+    const orders = await request(app).get('/orders/42');
+    const unknown = await request(app).get('/payments');
+
+    // Assert
+    expect(users.body).toEqual({ served: 'one', path: '/v2/list?page=2', header: 'config' });
+    expect(orders.body).toEqual({ served: 'two', path: '/42', header: null });
+    expect(unknown.status).toBe(404);
+    expect(serviceProxy.services.get('users').options.circuitBreaker.requestTimeout).toBe(2000);
+  });
+
+  test('Should name the failing path of every invalid setting', () => {
+    // Arrange
+    const filePath = writeConfig('gateway.json', JSON.stringify({
+      services: {
+        users: {
+          targets: ['not-a-url'],
+          circuitBreaker: { failureThreshold: 0 },
+          loadBalancingStrategy: 'fastest'
+        },
+        orders: { mount: 'orders', retries: 3 }
+      }
+    }));
+
+    // Act
+    let error = null;
+    try {
+      ServiceProxy.fromConfig(filePath, { watch: false });
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors.map(problem => problem.path)).toEqual([
+      'services.users.targets[0]',
+      'services.users.circuitBreaker.failureThreshold',
+      'services.users.loadBalancingStrategy',
+      'services.orders.targets',
+      'services.orders.mount',
+      'services.orders.retries'
+    ]);
+    expect(error.message).toContain('services.users.targets[0] must be an http(s) URL');
+  });
+
+  test('Should validate the retry errors and budget of a service', () => {
+    // Arrange
+    const validPath = writeConfig('valid.json', JSON.stringify({
+      services: {
+        users: {
+          targets: [urls[0]],
+          retry: { retryOnErrors: ['ECONNRESET'], budget: { ratio: 0.1, minRetriesPerSecond: 1, window: 5000 } }
+        }
+      }
+    }));
+    const invalidPath = writeConfig('invalid.json', JSON.stringify({
+      services: {
+        users: {
+          targets: [urls[0]],
+          retry: { retryOnErrors: 'ECONNRESET', budget: { ratio: -1, window: 0, burst: 5 } }
+        }
+      }
+    }));
+
+    // Act
+    serviceProxy = ServiceProxy.fromConfig(validPath, { watch: false });
+    let error = null;
+    try {
+      ServiceProxy.fromConfig(invalidPath, { watch: false });
+    } catch (err) {
+      error = err;
+    }
+
+    // Assert
+    expect(serviceProxy.services.get('users').retryBudget.ratio).toBe(0.1);
+    expect(serviceProxy.services.get('users').options.retry.retryOnErrors).toEqual(['ECONNRESET']);
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors.map(problem => problem.path)).toEqual([
+      'services.users.retry.retryOnErrors',
+      'services.users.retry.budget.ratio',
+      'services.users.retry.budget.window',
+      'services.users.retry.budget.burst'
+    ]);
+  });
+
+  test('Should apply a changed config and keep the last good config when it is invalid', async () => {
+    // Arrange
+    const filePath = writeConfig('gateway.json', JSON.stringify({
+      services: { users: { targets: [urls[0]] }, orders: { targets: [urls[1]] } }
+    }));
+    serviceProxy = ServiceProxy.fromConfig(filePath, { watch: false });
+    const ordersService = serviceProxy.services.get('orders');
+    const errors = [];
+    serviceProxy.on('configError', ({ error }) => errors.push(error));
+    const app = express().use(serviceProxy.getConfigMiddleware());
+
+    // Act
+    fs.writeFileSync(filePath, JSON.stringify({
+      services: { accounts: { targets: [urls[1]], mount: '/users' }, orders: { targets: [urls[1]] } }
+    }));
+    const applied = await serviceProxy.reloadConfig();
+    const afterReload = await request(app).get('/users');
+    fs.writeFileSync(filePath, '{ "services": ');
+    const rejected = await serviceProxy.reloadConfig();
+    const afterInvalid = await request(app).get('/users');
+
+    // Assert
+    expect(applied).toBe(true);
+    expect(afterReload.body.served).toBe('two');
+    expect(serviceProxy.services.has('users')).toBe(false);
+    expect(serviceProxy.services.get('orders')).toBe(ordersService);
+    expect(rejected).toBe(false);
+    expect(errors[0]).toBeInstanceOf(ConfigError);
+    expect(afterInvalid.body.served).toBe('two');
+  });
+
+  test('Should keep the running services when a reloaded config fails to build, and apply later configs', async () => {
+    // Arrange
+    const filePath = writeConfig('gateway.json', JSON.stringify({ services: { users: { targets: [urls[0]] } } }));
+    serviceProxy = ServiceProxy.fromConfig(filePath, { watch: false });
+    const usersService = serviceProxy.services.get('users');
+    const errors = [];
+    serviceProxy.on('configError', ({ error }) => errors.push(error));
+    const app = express().use(serviceProxy.getConfigMiddleware());
+
+    // Act
+    fs.writeFileSync(filePath, JSON.stringify({
+      services: {
+        users: { targets: [urls[1]], auth: { jwt: { publicKey: 'nope' } } },
+        orders: { targets: [urls[1]] }
+      }
+    }));
+    const rejected = await serviceProxy.reloadConfig();
+    const targetsAfterFailure = usersService.loadBalancer.getTargets();
+    const recordAfterFailure = serviceProxy.services.get('users');
+    const ordersAfterFailure = serviceProxy.services.has('orders');
+    const afterFailure = await request(app).get('/users');
+    fs.writeFileSync(filePath, JSON.stringify({ services: { users: { targets: [urls[1]] } } }));
+    const applied = await serviceProxy.reloadConfig();
+    const afterFix = await request(app).get('/users');
+
+    // Assert
+    expect(rejected).toBe(false);
+    expect(errors).toHaveLength(1);
+    expect(targetsAfterFailure).toEqual([urls[0]]);
+    expect(recordAfterFailure).toBe(usersService);
+    expect(ordersAfterFailure).toBe(false);
+    expect(afterFailure.body.served).toBe('one');
+    expect(applied).toBe(true);
+    expect(afterFix.body.served).toBe('two');
+  });
+
+  test('Should reload the config when the watched file changes', async () => {
+    // Arrange
+    const filePath = writeConfig('gateway.json', JSON.stringify({ services: { users: { targets: [urls[0]] } } }));
+    serviceProxy = ServiceProxy.fromConfig(filePath);
+    const reloaded = new Promise(resolve => serviceProxy.once('configReload', resolve));
+
+    // Act
+    fs.writeFileSync(filePath, JSON.stringify({ services: { users: { targets: [urls[1]] } } }));
+    const details = await reloaded;
+    const response = await request(express().use(serviceProxy.getConfigMiddleware())).get('/users');
+
+    // Assert
+    expect(details).toEqual({ path: filePath, services: ['users'] });
+    expect(response.body.served).toBe('two');
+  });
+});
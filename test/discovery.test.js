@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const {
+  createServiceProxy,
+  PollingDiscovery,
+  DnsDiscovery,
+  FileDiscovery
+} = require('../index');
+
+describe('Service discovery', () => {
+  let tmpDir;
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esp-discovery-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('Should read targets from a JSON file', async () => {
+    // Arrange
+    const file = path.join(tmpDir, 'targets.json');
+    fs.writeFileSync(file, JSON.stringify({ targets: ['http://a:1', { url: 'http://b:1', weight: 2 }] }));
+    const discovery = new FileDiscovery({ path: file, watch: false });
+
+    // Act
+    const targets = await discovery.resolve();
+
+    // Assert
+    expect(targets).toEqual(['http://a:1', { url: 'http://b:1', weight: 2 }]);
+  });
+
+  test('Should read targets from a YAML file', async () => {
+    // Arrange
+    const file = path.join(tmpDir, 'targets.yaml');
+    fs.writeFileSync(file, '- http://a:1\n- url: http://b:1\n  weight: 2\n');
+    const discovery = new FileDiscovery({ path: file, watch: false });
+
+    // Act
+    const targets = await discovery.resolve();
+
+    // Assert
+    expect(targets).toEqual(['http://a:1', { url: 'http://b:1', weight: 2 }]);
+  });
+
+  test('Should resolve SRV records of the lowest priority', async () => {
+    // Arrange
+    const resolver = {
+      resolveSrv: async () => [
+        { name: 'node-1.local', port: 8080, priority: 10, weight: 5 },
+        { name: 'node-2.local', port: 8081, priority: 10, weight: 0 },
+        { name: 'backup.local', port: 8080, priority: 20, weight: 1 }
+      ]
+    };
+    const discovery = new DnsDiscovery({ hostname: '_http._tcp.api.local', resolver });
+
+    // Act
+    const targets = await discovery.resolve();
+
+    // Assert
+    expect(targets).toEqual([
+      { url: 'http://node-1.local:8080', weight: 5 },
+      { url: 'http://node-2.local:8081', weight: 1 }
+    ]);
+  });
+
+  test('Should resolve A records with the configured port', async () => {
+    // Arrange
+    const resolver = { resolve4: async () => ['10.0.0.1', '10.0.0.2'] };
+    const discovery = new DnsDiscovery({ hostname: 'api.local', recordType: 'A', port: 3000, resolver });
+
+    // Act
+    const targets = await discovery.resolve();
+
+    // Assert
+    expect(targets).toEqual(['http://10.0.0.1:3000', 'http://10.0.0.2:3000']);
+  });
+
+  test('Should keep the last known targets when a lookup fails', async () => {
+    // Arrange
+    let fail = false;
+    const discovery = new PollingDiscovery(async () => {
+      if (fail) {
+        throw new Error('Registry unreachable');
+      }
+      return ['http://a:1'];
+    });
+    const updates = [];
+    await discovery.start(targets => updates.push(targets));
+
+    // Act
+    fail = true;
+    const result = await discovery.refresh();
+    discovery.stop();
+
+    // Assert
+    expect(result).toBeNull();
+    expect(updates).toEqual([['http://a:1']]);
+    expect(discovery.getState().lastError).toBe('Registry unreachable');
+  });
+
+  test('Should diff discovered targets into a registered service', async () => {
+    // Arrange
+    const upstream = express()
+      .get('/ping', (req, res) => res.json({ ok: true }))
+      .listen(0);
+    const upstreamUrl = `http://localhost:${upstream.address().port}`;
+    let discovered = [upstreamUrl, 'http://127.0.0.1:1'];
+    const discovery = new PollingDiscovery(async () => discovered, { interval: 60000 });
+
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('discovered', discovery, {
+      circuitBreaker: { perTarget: true, failureThreshold: 1 }
+    });
+    const app = express();
+    app.use('/discovered', serviceProxy.getServiceMiddleware('discovered', '/'));
+    await discovery.refresh();
+
+    const service = serviceProxy.services.get('discovered');
+    // Trip the breaker of the dead target, then grab a connection on the live one
+    await request(app).get('/discovered/ping');
+    await request(app).get('/discovered/ping');
+    service.loadBalancer.acquireConnection(upstreamUrl);
+
+    // Act - the live target stays, the dead one is replaced
+    discovered = [upstreamUrl, 'http://127.0.0.1:2'];
+    await discovery.refresh();
+    const response = await request(app).get('/discovered/ping');
+    serviceProxy.close();
+    await new Promise(resolve => upstream.close(resolve));
+
+    // Assert
+    expect(service.loadBalancer.getTargets()).toEqual([upstreamUrl, 'http://127.0.0.1:2']);
+    expect(service.loadBalancer.getConnectionCount(upstreamUrl)).toBe(1);
+    expect(service.targetBreakers.has('http://127.0.0.1:1')).toBe(false);
+    expect(response.status).toBe(200);
+  });
+
+  test('Should keep a discovery provider running when its service is registered again', async () => {
+    // Arrange
+    let discovered = ['http://a:1'];
+    const discovery = new PollingDiscovery(async () => discovered, { interval: 60000 });
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('discovered', discovery);
+    await discovery.refresh();
+
+    // Act
+    serviceProxy.registerService('discovered', discovery, { loadBalancingStrategy: 'random' });
+    discovered = ['http://b:1'];
+    await discovery.refresh();
+    const { loadBalancer } = serviceProxy.services.get('discovered');
+    const running = discovery.timer !== null;
+    serviceProxy.close();
+
+    // Assert
+    expect(running).toBe(true);
+    expect(loadBalancer.getTargets()).toEqual(['http://b:1']);
+  });
+});
@@ -0,0 +1,128 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+const { HedgePolicy } = require('../lib/hedging');
+
+describe('Request hedging', () => {
+  let slow;
+  let fast;
+  let slowUrl;
+  let fastUrl;
+  let slowRequests;
+  let app;
+
+  /**
+   * Start an upstream that answers after a delay
+   * @param {string} name - Name echoed in responses
+   * @param {number} delay - Response delay in ms
+   * @param {Function} onRequest - Called with the response of every request
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = (name, delay, onRequest = () => {}) => express()
+    .all('/resource', (req, res) => {
+      onRequest(res);
+      const timer = setTimeout(() => res.json({ served: name }), delay);
+      res.on('close', () => clearTimeout(timer));
+    })
+    .listen(0);
+
+  beforeAll(() => {
+    slow = startUpstream('slow', 300, res => slowRequests.push(res));
+    fast = startUpstream('fast', 0);
+    slowUrl = `http://localhost:${slow.address().port}`;
+    fastUrl = `http://localhost:${fast.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => slow.close(resolve));
+    await new Promise(resolve => fast.close(resolve));
+  });
+
+  beforeEach(() => {
+    slowRequests = [];
+    app = express();
+  });
+
+  test('Should hedge a slow request to another target and cancel the loser', async () => {
+    // Arrange
+    const hedges = [];
+    const spans = [];
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [slowUrl, fastUrl], {
+      hedge: { delay: 50, maxRatio: 1 },
+      tracing: { exporter: span => spans.push(span) }
+    });
+    serviceProxy.on('hedge', details => hedges.push(details));
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const start = Date.now();
+    const response = await request(app).get('/api/resource');
+    const elapsed = Date.now() - start;
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    // Assert
+    expect(response.body.served).toBe('fast');
+    expect(elapsed).toBeLessThan(250);
+    expect(hedges).toEqual([expect.objectContaining({ service: 'api', target: fastUrl, attempt: 2 })]);
+    expect(slowRequests).toHaveLength(1);
+    expect(slowRequests[0].writableFinished).toBe(false);
+    expect(serviceProxy.services.get('api').circuitBreaker.failureCount).toBe(0);
+    expect(spans.map(span => [span.target, span.statusCode, span.cancelled])).toEqual([
+      [fastUrl, 200, undefined],
+      [slowUrl, undefined, true]
+    ]);
+  });
+
+  test('Should not hedge requests that respond within the delay', async () => {
+    // Arrange
+    const hedge = jest.fn();
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [fastUrl, slowUrl], { hedge: { delay: 100, maxRatio: 1 } });
+    serviceProxy.on('hedge', hedge);
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const response = await request(app).get('/api/resource');
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    // Assert
+    expect(response.body.served).toBe('fast');
+    expect(hedge).not.toHaveBeenCalled();
+  });
+
+  test('Should not hedge non-idempotent requests or beyond the hedge ratio', async () => {
+    // Arrange
+    const hedge = jest.fn();
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('post', [slowUrl, fastUrl], { hedge: { delay: 20, maxRatio: 1 } });
+    serviceProxy.registerService('capped', [slowUrl, fastUrl], { hedge: { delay: 20, maxRatio: 0 } });
+    serviceProxy.on('hedge', hedge);
+    app.use('/post', serviceProxy.getServiceMiddleware('post', '/'));
+    app.use('/capped', serviceProxy.getServiceMiddleware('capped', '/'));
+
+    // Act
+    const posted = await request(app).post('/post/resource');
+    const capped = await request(app).get('/capped/resource');
+
+    // Assert
+    expect(posted.body.served).toBe('slow');
+    expect(capped.body.served).toBe('slow');
+    expect(hedge).not.toHaveBeenCalled();
+  });
+
+  test('Should derive the hedge delay from a latency percentile', () => {
+    // Arrange
+    const policy = new HedgePolicy({ delay: 500, percentile: 90, minSamples: 10 });
+
+    // Act
+    const beforeSamples = policy.getDelay();
+    for (let latency = 10; latency <= 100; latency += 10) {
+      policy.recordLatency(latency);
+    }
+
+    // Assert
+    expect(beforeSamples).toBe(500);
+    expect(policy.getDelay()).toBe(90);
+  });
+});
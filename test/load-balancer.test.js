@@ -0,0 +1,112 @@
+const { LoadBalancer } = require('../index');
+
+describe('LoadBalancer', () => {
+  const targets = ['http://a:1', 'http://b:1', 'http://c:1', 'http://d:1'];
+  const requestWith = headers => ({ headers, socket: { remoteAddress: '10.0.0.1' } });
+
+  test('Should split weighted-round-robin traffic by weight', () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer([
+      { url: 'http://a:1', weight: 3 },
+      { url: 'http://b:1', weight: 1 }
+    ], 'weighted-round-robin');
+
+    // Act
+    const picks = Array.from({ length: 8 }, () => loadBalancer.getNextTarget());
+
+    // Assert
+    expect(picks.filter(t => t === 'http://a:1')).toHaveLength(6);
+    expect(picks.filter(t => t === 'http://b:1')).toHaveLength(2);
+    // Smooth weighting never sends the light target two requests in a row
+    expect(picks.join()).not.toContain('http://b:1,http://b:1');
+  });
+
+  test('Should map the same consistent-hash key to the same target', () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer(targets, 'consistent-hash', {
+      hashOn: { header: 'X-User-Id' }
+    });
+
+    // Act
+    const picks = Array.from({ length: 5 }, () => loadBalancer.getNextTarget(null, requestWith({ 'x-user-id': 'user-42' })));
+
+    // Assert
+    expect(new Set(picks).size).toBe(1);
+  });
+
+  test('Should only move keys of a removed target', () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer(targets, 'consistent-hash', { hashOn: { cookie: 'session' } });
+    const keys = Array.from({ length: 200 }, (_, i) => `session=user-${i}`);
+    const before = keys.map(cookie => loadBalancer.getNextTarget(null, requestWith({ cookie })));
+
+    // Act
+    loadBalancer.removeTarget('http://b:1');
+    const after = keys.map(cookie => loadBalancer.getNextTarget(null, requestWith({ cookie })));
+
+    // Assert
+    keys.forEach((key, i) => {
+      if (before[i] !== 'http://b:1') {
+        expect(after[i]).toBe(before[i]);
+      }
+    });
+    expect(after).not.toContain('http://b:1');
+  });
+
+  test('Should prefer the fastest target with peak-ewma', () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer(['http://a:1', 'http://b:1'], 'peak-ewma');
+    loadBalancer.recordLatency('http://a:1', 200);
+    loadBalancer.recordLatency('http://b:1', 20);
+
+    // Act & Assert
+    expect(loadBalancer.getNextTarget()).toBe('http://b:1');
+
+    // A single slow sample makes the target expensive immediately
+    loadBalancer.recordLatency('http://b:1', 500);
+    expect(loadBalancer.getNextTarget()).toBe('http://a:1');
+  });
+
+  test('Should pick the less loaded of two choices', () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer(['http://a:1', 'http://b:1'], 'power-of-two-choices');
+    loadBalancer.acquireConnection('http://a:1');
+
+    // Act
+    const picks = Array.from({ length: 10 }, () => loadBalancer.getNextTarget());
+
+    // Assert
+    expect(new Set(picks)).toEqual(new Set(['http://b:1']));
+  });
+
+  test('Should use registered custom strategies', () => {
+    // Arrange
+    LoadBalancer.registerStrategy('last', candidates => candidates[candidates.length - 1]);
+    const loadBalancer = new LoadBalancer(targets, 'last');
+
+    // Act
+    loadBalancer.markTargetDown('http://d:1');
+
+    // Assert
+    expect(loadBalancer.getNextTarget()).toBe('http://c:1');
+  });
+
+  test('Should resolve once a target has no connections in flight', async () => {
+    // Arrange
+    const loadBalancer = new LoadBalancer(['http://a:1', 'http://b:1']);
+    loadBalancer.acquireConnection('http://a:1');
+    loadBalancer.acquireConnection('http://a:1');
+    loadBalancer.acquireConnection('http://b:1');
+
+    // Act
+    const idle = loadBalancer.whenTargetIdle('http://a:1');
+    const timedOut = loadBalancer.whenTargetIdle('http://b:1', 10);
+    loadBalancer.releaseConnection('http://a:1');
+    loadBalancer.releaseConnection('http://a:1');
+
+    // Assert
+    await expect(idle).resolves.toBe(true);
+    await expect(timedOut).resolves.toBe(false);
+    await expect(loadBalancer.whenTargetIdle('http://c:1')).resolves.toBe(true);
+  });
+});
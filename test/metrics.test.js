@@ -0,0 +1,95 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Metrics and events', () => {
+  let upstream;
+  let upstreamUrl;
+  let app;
+  let serviceProxy;
+
+  beforeAll(() => {
+    upstream = express()
+      .get('/ok', (req, res) => res.json({ ok: true }))
+      .get('/fail', (req, res) => res.status(500).json({ ok: false }))
+      .listen(0);
+    upstreamUrl = `http://localhost:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [upstreamUrl], {
+      circuitBreaker: { failureThreshold: 1 }
+    });
+    serviceProxy.registerService('dead', ['http://127.0.0.1:1'], {
+      retry: { baseDelay: 1, maxAttempts: 2 }
+    });
+
+    app = express();
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+    app.use('/dead', serviceProxy.getServiceMiddleware('dead', '/'));
+    app.get('/metrics', serviceProxy.getMetricsMiddleware());
+  });
+
+  test('Should expose proxied traffic in the Prometheus text format', async () => {
+    // Arrange
+    await request(app).get('/api/ok');
+    await request(app).get('/api/ok');
+    await request(app).get('/api/fail');
+    await request(app).get('/dead/anything');
+
+    // Act
+    const response = await request(app).get('/metrics');
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/plain');
+    const labels = `service="api",target="${upstreamUrl}"`;
+    expect(response.text).toContain(`service_proxy_requests_total{${labels},method="GET",status_class="2xx"} 2`);
+    expect(response.text).toContain(`service_proxy_requests_total{${labels},method="GET",status_class="5xx"} 1`);
+    expect(response.text).toContain(`service_proxy_upstream_latency_seconds_count{${labels}} 3`);
+    expect(response.text).toContain(`service_proxy_requests_in_flight{${labels}} 0`);
+    expect(response.text).toContain('service_proxy_circuit_state{service="api",target=""} 2');
+    expect(response.text).toContain('service_proxy_circuit_transitions_total{service="api",target="",from="CLOSED",to="OPEN"} 1');
+    expect(response.text).toContain('service_proxy_retries_total{service="dead"} 1');
+    expect(response.text).toContain('service_proxy_upstream_errors_total{service="dead",target="http://127.0.0.1:1",code="ECONNREFUSED"} 2');
+  });
+
+  test('Should emit events for requests, responses, errors and circuit changes', async () => {
+    // Arrange
+    const events = [];
+    ['request', 'response', 'error', 'circuitOpen', 'circuitClose'].forEach((name) => {
+      serviceProxy.on(name, details => events.push([name, details.service]));
+    });
+
+    // Act
+    await request(app).get('/api/fail');
+    serviceProxy.services.get('api').circuitBreaker.reset();
+
+    // Assert
+    expect(events).toEqual([
+      ['request', 'api'],
+      ['response', 'api'],
+      ['circuitOpen', 'api'],
+      ['circuitClose', 'api']
+    ]);
+  });
+
+  test('Should emit targetDown when a target fails its health checks', async () => {
+    // Arrange
+    const targetDown = new Promise(resolve => serviceProxy.once('targetDown', resolve));
+
+    // Act
+    serviceProxy.registerService('checked', ['http://127.0.0.1:1'], {
+      healthCheck: { interval: 20, unhealthyThreshold: 1 }
+    });
+
+    // Assert
+    await expect(targetDown).resolves.toEqual({ service: 'checked', target: 'http://127.0.0.1:1' });
+    serviceProxy.close();
+  });
+});
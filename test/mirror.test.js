@@ -0,0 +1,155 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Traffic mirroring', () => {
+  let primary;
+  let shadow;
+  let primaryUrl;
+  let shadowUrl;
+  let shadowRequests;
+  let shadowResponse;
+  let app;
+
+  beforeAll(() => {
+    primary = express()
+      .all('/items', express.json(), (req, res) => res.json({ id: 1, name: 'widget' }))
+      .listen(0);
+    shadow = express()
+      .all('/items', express.json(), (req, res) => {
+        shadowRequests.push({ method: req.method, body: req.body, query: req.query });
+        const { status = 200, body = { name: 'widget', id: 1 }, delay = 0 } = shadowResponse;
+        setTimeout(() => res.status(status).json(body), delay);
+      })
+      .listen(0);
+    primaryUrl = `http://localhost:${primary.address().port}`;
+    shadowUrl = `http://localhost:${shadow.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => primary.close(resolve));
+    await new Promise(resolve => shadow.close(resolve));
+  });
+
+  beforeEach(() => {
+    shadowRequests = [];
+    shadowResponse = {};
+    app = express();
+  });
+
+  /**
+   * Wait for shadow requests, which complete after the client response
+   * @param {number} ms - Time to wait
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('Should send a copy of the request with its body to the mirror service', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('shadow', [shadowUrl]);
+    serviceProxy.registerService('api', [primaryUrl], { mirror: { service: 'shadow', methods: ['POST'] } });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const response = await request(app).post('/api/items?debug=1').send({ name: 'widget' });
+    await wait(50);
+
+    // Assert
+    expect(response.body).toEqual({ id: 1, name: 'widget' });
+    expect(shadowRequests).toEqual([{ method: 'POST', body: { name: 'widget' }, query: { debug: '1' } }]);
+  });
+
+  test('Should only mirror sampled requests with matching methods', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('none', [primaryUrl], { mirror: { targets: [shadowUrl], percentage: 0 } });
+    serviceProxy.registerService('reads', [primaryUrl], { mirror: { targets: [shadowUrl] } });
+    app.use('/none', serviceProxy.getServiceMiddleware('none', '/'));
+    app.use('/reads', serviceProxy.getServiceMiddleware('reads', '/'));
+
+    // Act
+    await request(app).get('/none/items');
+    await request(app).post('/reads/items').send({});
+    await request(app).get('/reads/items');
+    await wait(50);
+
+    // Assert
+    expect(shadowRequests.map(shadowRequest => shadowRequest.method)).toEqual(['GET']);
+  });
+
+  test('Should not let slow or failing mirrors affect the primary service', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('slow', [primaryUrl], {
+      circuitBreaker: { failureThreshold: 1 },
+      mirror: { targets: [shadowUrl] }
+    });
+    serviceProxy.registerService('dead', [primaryUrl], {
+      circuitBreaker: { failureThreshold: 1 },
+      mirror: { targets: ['http://127.0.0.1:1'] }
+    });
+    app.use('/slow', serviceProxy.getServiceMiddleware('slow', '/'));
+    app.use('/dead', serviceProxy.getServiceMiddleware('dead', '/'));
+    shadowResponse = { status: 500, delay: 300 };
+
+    // Act
+    const start = Date.now();
+    const slow = await request(app).get('/slow/items');
+    const elapsed = Date.now() - start;
+    const dead = await request(app).get('/dead/items');
+    await wait(50);
+
+    // Assert
+    expect(slow.status).toBe(200);
+    expect(elapsed).toBeLessThan(250);
+    expect(dead.status).toBe(200);
+    expect(serviceProxy.services.get('dead').circuitBreaker.getState().state).toBe('CLOSED');
+    expect(serviceProxy.services.get('dead').circuitBreaker.failureCount).toBe(0);
+    await wait(300);
+    expect(serviceProxy.services.get('slow').circuitBreaker.failureCount).toBe(0);
+  });
+
+  test('Should report status and body differences to the compare hook', async () => {
+    // Arrange
+    const comparisons = [];
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [primaryUrl], {
+      mirror: { targets: [shadowUrl], compare: comparison => comparisons.push(comparison) }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    await request(app).get('/api/items');
+    await wait(50);
+    shadowResponse = { status: 404, body: { error: 'Not found' } };
+    await request(app).get('/api/items');
+    await wait(50);
+
+    // Assert
+    expect(comparisons.map(comparison => comparison.differences)).toEqual([[], ['status', 'body']]);
+    expect(comparisons[1].primary.statusCode).toBe(200);
+    expect(comparisons[1].shadow.statusCode).toBe(404);
+  });
+
+  test('Should only keep shadow bodies for the compare hook, up to maxBodySize', async () => {
+    // Arrange
+    const comparisons = [];
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [primaryUrl], {
+      mirror: { targets: [shadowUrl], maxBodySize: 30, compare: comparison => comparisons.push(comparison) }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+    shadowResponse = { body: { name: 'x'.repeat(100) } };
+
+    // Act
+    await request(app).get('/api/items');
+    await wait(50);
+
+    // Assert
+    expect(comparisons).toHaveLength(1);
+    expect(comparisons[0].primary.body.toString()).toBe('{"id":1,"name":"widget"}');
+    expect(comparisons[0].shadow.body).toBeNull();
+    expect(comparisons[0].differences).toEqual([]);
+  });
+});
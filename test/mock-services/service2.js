@@ -7,7 +7,7 @@ app.get('/health', (req, res) => {
 });
 
 // Echo request details endpoint
-app.all('/echo/*', (req, res) => {
+app.all('/echo/*splat', (req, res) => {
   res.json({
     method: req.method,
     path: req.path,
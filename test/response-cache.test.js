@@ -0,0 +1,243 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Response cache', () => {
+  let upstream;
+  let upstreamUrl;
+  let upstreamRequests;
+  let upstreamResponse;
+  let app;
+  let serviceProxy;
+
+  beforeAll(() => {
+    upstream = express()
+      .all('/resource', (req, res) => {
+        upstreamRequests.push(req.headers);
+        const { status = 200, headers = {}, delay = 0, etag } = upstreamResponse;
+
+        setTimeout(() => {
+          if (etag && req.headers['if-none-match'] === etag) {
+            res.set(headers).status(304).end();
+            return;
+          }
+
+          res.set(headers);
+          if (etag) {
+            res.set('ETag', etag);
+          }
+          res.status(status).json({ version: upstreamRequests.length, language: req.headers['accept-language'] });
+        }, delay);
+      })
+      .get('/tenants/:tenant/profile', (req, res) => {
+        upstreamRequests.push(req.headers);
+        res.set('Cache-Control', 'max-age=60').json({ tenant: req.params.tenant });
+      })
+      .listen(0);
+    upstreamUrl = `http://localhost:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    upstreamRequests = [];
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=60' } };
+
+    serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', [upstreamUrl], {
+      cache: true,
+      circuitBreaker: { failureThreshold: 1 }
+    });
+
+    app = express();
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+  });
+
+  /**
+   * Wait until pending background work (such as revalidation) has completed
+   * @param {number} ms - Time to wait
+   * @returns {Promise<void>} Resolves after the delay
+   */
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  test('Should serve fresh responses from the cache', async () => {
+    // Act
+    const miss = await request(app).get('/api/resource');
+    const hit = await request(app).get('/api/resource');
+
+    // Assert
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.headers.age).toBeDefined();
+    expect(hit.body).toEqual(miss.body);
+    expect(upstreamRequests).toHaveLength(1);
+  });
+
+  test('Should not cache responses the upstream marks as no-store', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'no-store' } };
+
+    // Act
+    await request(app).get('/api/resource');
+    const second = await request(app).get('/api/resource');
+
+    // Assert
+    expect(second.headers['x-cache']).toBe('MISS');
+    expect(upstreamRequests).toHaveLength(2);
+  });
+
+  test('Should keep a separate entry per Vary header value', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=60', Vary: 'Accept-Language' } };
+
+    // Act
+    await request(app).get('/api/resource').set('Accept-Language', 'en');
+    const german = await request(app).get('/api/resource').set('Accept-Language', 'de');
+    const english = await request(app).get('/api/resource').set('Accept-Language', 'en');
+
+    // Assert
+    expect(german.headers['x-cache']).toBe('MISS');
+    expect(german.body.language).toBe('de');
+    expect(english.headers['x-cache']).toBe('HIT');
+    expect(english.body.language).toBe('en');
+    expect(upstreamRequests).toHaveLength(2);
+  });
+
+  test('Should revalidate stale responses with If-None-Match', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=0' }, etag: '"v1"' };
+    const first = await request(app).get('/api/resource');
+
+    // Act
+    const revalidated = await request(app).get('/api/resource');
+
+    // Assert
+    expect(upstreamRequests[1]['if-none-match']).toBe('"v1"');
+    expect(revalidated.status).toBe(200);
+    expect(revalidated.headers['x-cache']).toBe('REVALIDATED');
+    expect(revalidated.body).toEqual(first.body);
+  });
+
+  test('Should serve stale responses while revalidating in the background', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=0, stale-while-revalidate=60' } };
+    await request(app).get('/api/resource');
+
+    // Act
+    const stale = await request(app).get('/api/resource');
+    await wait(50);
+    const refreshed = await request(app).get('/api/resource');
+    await wait(50);
+
+    // Assert
+    expect(stale.headers['x-cache']).toBe('STALE');
+    expect(stale.body.version).toBe(1);
+    expect(refreshed.body.version).toBe(2);
+    expect(upstreamRequests).toHaveLength(3);
+  });
+
+  test('Should serve stale responses when the upstream fails within stale-if-error', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=0, stale-if-error=60' } };
+    await request(app).get('/api/resource');
+    upstreamResponse = { status: 500 };
+
+    // Act
+    const response = await request(app).get('/api/resource');
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBe('STALE');
+    expect(response.body.version).toBe(1);
+  });
+
+  test('Should serve stale responses instead of 503 when the circuit is open', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=0' } };
+    await request(app).get('/api/resource');
+    serviceProxy.services.get('api').circuitBreaker.recordFailure();
+
+    // Act
+    const response = await request(app).get('/api/resource');
+
+    // Assert
+    expect(response.status).toBe(200);
+    expect(response.headers['x-cache']).toBe('STALE');
+    expect(upstreamRequests).toHaveLength(1);
+  });
+
+  test('Should collapse concurrent misses into one upstream request', async () => {
+    // Arrange
+    upstreamResponse = { headers: { 'Cache-Control': 'max-age=60' }, delay: 50 };
+    const server = app.listen(0);
+
+    try {
+      // Act
+      const responses = await Promise.all([
+        request(server).get('/api/resource'),
+        request(server).get('/api/resource'),
+        request(server).get('/api/resource')
+      ]);
+
+      // Assert
+      expect(upstreamRequests).toHaveLength(1);
+      expect(responses.map(response => response.headers['x-cache']).sort()).toEqual(['HIT', 'HIT', 'MISS']);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('Should bypass the cache for other methods and invalidate the URL on writes', async () => {
+    // Arrange
+    await request(app).get('/api/resource');
+
+    // Act
+    const write = await request(app).post('/api/resource');
+    const afterWrite = await request(app).get('/api/resource');
+
+    // Assert
+    expect(write.headers['x-cache']).toBe('BYPASS');
+    expect(afterWrite.headers['x-cache']).toBe('MISS');
+    expect(upstreamRequests).toHaveLength(3);
+  });
+
+  test('Should keep separate entries for hosts whose routes rewrite the same URL', async () => {
+    // Arrange
+    serviceProxy.registerService('tenants', [upstreamUrl], { cache: true });
+    serviceProxy.addRoute({ service: 'tenants', host: ':tenant.example.com', rewrite: '/tenants/:tenant' });
+    const tenantApp = express().use(serviceProxy.router());
+
+    // Act
+    const acme = await request(tenantApp).get('/profile').set('Host', 'acme.example.com');
+    const globex = await request(tenantApp).get('/profile').set('Host', 'globex.example.com');
+    const acmeAgain = await request(tenantApp).get('/profile').set('Host', 'ACME.example.com');
+
+    // Assert
+    expect(acme.body).toEqual({ tenant: 'acme' });
+    expect(globex.body).toEqual({ tenant: 'globex' });
+    expect(globex.headers['x-cache']).toBe('MISS');
+    expect(acmeAgain.body).toEqual({ tenant: 'acme' });
+    expect(acmeAgain.headers['x-cache']).toBe('HIT');
+    expect(upstreamRequests).toHaveLength(2);
+  });
+
+  test('Should bypass the cache for callers the service authenticated', async () => {
+    // Arrange
+    serviceProxy.registerService('private', [upstreamUrl], {
+      cache: true,
+      auth: { apiKeys: { keys: ['key-a'] } }
+    });
+    const privateApp = express().use('/private', serviceProxy.getServiceMiddleware('private', '/'));
+
+    // Act
+    const first = await request(privateApp).get('/private/resource').set('X-API-Key', 'key-a');
+    const second = await request(privateApp).get('/private/resource').set('X-API-Key', 'key-a');
+
+    // Assert
+    expect(first.headers['x-cache']).toBe('BYPASS');
+    expect(second.headers['x-cache']).toBe('BYPASS');
+    expect(upstreamRequests).toHaveLength(2);
+  });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Router', () => {
+  let upstreams;
+  let app;
+  let serviceProxy;
+
+  /**
+   * Start an upstream that echoes its name and the path it received
+   * @param {string} name - Name echoed in responses
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = name => express()
+    .use((req, res) => res.json({ served: name, path: req.url }))
+    .listen(0);
+
+  beforeAll(() => {
+    upstreams = { users: startUpstream('users'), orders: startUpstream('orders'), beta: startUpstream('beta') };
+  });
+
+  afterAll(async () => {
+    await Promise.all(Object.values(upstreams).map(upstream => new Promise(resolve => upstream.close(resolve))));
+  });
+
+  beforeEach(() => {
+    serviceProxy = createServiceProxy();
+    Object.entries(upstreams).forEach(([name, upstream]) => {
+      serviceProxy.registerService(name, [`http://localhost:${upstream.address().port}`]);
+    });
+    app = express().use(serviceProxy.router());
+  });
+
+  test('Should strip prefixes and rewrite paths with captured params', async () => {
+    // Arrange
+    serviceProxy
+      .addRoute({ service: 'users', path: '/api/users', stripPrefix: true })
+      .addRoute({ service: 'orders', path: '/api/tenants/:tenant/orders', rewrite: '/v2/:tenant/orders' });
+
+    // Act
+    const users = await request(app).get('/api/users/7?fields=name');
+    const orders = await request(app).get('/api/tenants/acme/orders/42');
+    const prefixOnly = await request(app).get('/api/usersettings');
+
+    // Assert
+    expect(users.body).toEqual({ served: 'users', path: '/7?fields=name' });
+    expect(orders.body).toEqual({ served: 'orders', path: '/v2/acme/orders/42' });
+    expect(prefixOnly.status).toBe(404);
+  });
+
+  test('Should match hosts, wildcard subdomains, methods, headers and query parameters', async () => {
+    // Arrange
+    serviceProxy
+      .addRoute({ service: 'users', host: 'users.example.com' })
+      .addRoute({ service: 'orders', host: '*.shop.example.com', methods: ['GET'] })
+      .addRoute({ service: 'beta', path: '/', headers: { 'X-Beta': 'on' } })
+      .addRoute({ service: 'beta', path: '/', query: { preview: /^(1|true)$/ } });
+
+    // Act
+    const byHost = await request(app).get('/me').set('Host', 'users.example.com:8080');
+    const bySubdomain = await request(app).get('/cart').set('Host', 'eu.shop.example.com');
+    const wrongMethod = await request(app).post('/cart').set('Host', 'eu.shop.example.com');
+    const byHeader = await request(app).get('/anything').set('X-Beta', 'on');
+    const byQuery = await request(app).get('/anything?preview=true');
+
+    // Assert
+    expect(byHost.body).toEqual({ served: 'users', path: '/me' });
+    expect(bySubdomain.body.served).toBe('orders');
+    expect(wrongMethod.status).toBe(404);
+    expect(byHeader.body.served).toBe('beta');
+    expect(byQuery.body.served).toBe('beta');
+  });
+
+  test('Should match routes by priority, then in the order they were added', async () => {
+    // Arrange
+    serviceProxy
+      .addRoute({ service: 'users', path: '/items' })
+      .addRoute({ service: 'orders', path: '/items' })
+      .addRoute({ service: 'beta', path: '/items', headers: { 'X-Beta': true }, priority: 10 });
+
+    // Act
+    const regular = await request(app).get('/items');
+    const beta = await request(app).get('/items').set('X-Beta', 'yes');
+
+    // Assert
+    expect(regular.body.served).toBe('users');
+    expect(beta.body.served).toBe('beta');
+    expect(serviceProxy.getRoutes().map(route => route.service)).toEqual(['beta', 'users', 'orders']);
+  });
+
+  test('Should apply route changes right away and answer unmatched requests with a structured 404', async () => {
+    // Arrange
+    serviceProxy.addRoute({ id: 'users', service: 'users', path: '/users' });
+    const before = await request(app).get('/users');
+
+    // Act
+    const removed = serviceProxy.removeRoute('users');
+    const after = await request(app).get('/users').set('Host', 'gateway.local');
+
+    // Assert
+    expect(before.body.served).toBe('users');
+    expect(removed).toBe(true);
+    expect(after.status).toBe(404);
+    expect(after.body).toEqual({
+      error: 'Not Found',
+      message: 'No route matches GET /users',
+      method: 'GET',
+      path: '/users',
+      host: 'gateway.local'
+    });
+  });
+});
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const request = require('supertest');
 const { createServiceProxy } = require('../index');
@@ -119,4 +120,945 @@ describe('ServiceProxy', () => {
     expect(service1Count).toBeGreaterThan(0);
     expect(service2Count).toBeGreaterThan(0);
   });
-});
\ No newline at end of file
+
+  test('Should pull unhealthy targets out of rotation', async () => {
+    // Arrange - second target refuses connections
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('checked', [service1Url, 'http://127.0.0.1:1'], {
+      healthCheck: { interval: 20, timeout: 200, unhealthyThreshold: 1 }
+    });
+    app.use('/checked', serviceProxy.getServiceMiddleware('checked', '/'));
+    app.use('/health', serviceProxy.getHealthMiddleware());
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    // Act
+    const health = await request(app).get('/health');
+    const responses = [];
+    for (let i = 0; i < 4; i++) {
+      const response = await request(app).get('/checked/echo/test');
+      responses.push(response.body.service);
+    }
+    serviceProxy.close();
+
+    // Assert
+    expect(health.body.services.checked.targets).toEqual([
+      expect.objectContaining({ url: service1Url, status: 'UP' }),
+      expect.objectContaining({ url: 'http://127.0.0.1:1', status: 'DOWN' })
+    ]);
+    expect(responses).toEqual(['service1', 'service1', 'service1', 'service1']);
+  });
+
+  test('Should return recovered targets to rotation', async () => {
+    // Arrange - target fails its health checks until it recovers
+    let healthy = false;
+    const flaky = express();
+    flaky.get('/health', (req, res) => res.status(healthy ? 200 : 503).end());
+    const server = flaky.listen(0);
+    const flakyUrl = `http://localhost:${server.address().port}`;
+
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('flaky', [flakyUrl], {
+      healthCheck: { interval: 20, healthyThreshold: 1, unhealthyThreshold: 1 }
+    });
+    const { loadBalancer } = serviceProxy.services.get('flaky');
+
+    // Act & Assert
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(loadBalancer.isTargetHealthy(flakyUrl)).toBe(false);
+
+    healthy = true;
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(loadBalancer.isTargetHealthy(flakyUrl)).toBe(true);
+
+    serviceProxy.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('Should isolate failing targets with per-target circuit breakers', async () => {
+    // Arrange - second target refuses connections
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('isolated', [service1Url, 'http://127.0.0.1:1'], {
+      circuitBreaker: { perTarget: true, failureThreshold: 1 }
+    });
+    app.use('/isolated', serviceProxy.getServiceMiddleware('isolated', '/'));
+    app.use('/health', serviceProxy.getHealthMiddleware());
+
+    // Act - the second request trips the dead target's breaker
+    const statuses = [];
+    for (let i = 0; i < 5; i++) {
+      const response = await request(app).get('/isolated/api/success');
+      statuses.push(response.status);
+    }
+    const health = await request(app).get('/health');
+
+    // Assert
+    expect(statuses).toEqual([200, 503, 200, 200, 200]);
+    expect(health.body.services.isolated.status).toBe('UP');
+    expect(health.body.services.isolated.targets[0].circuitState.state).toBe('CLOSED');
+    expect(health.body.services.isolated.targets[1].circuitState.state).toBe('OPEN');
+  });
+
+  test('Should return 503 once every target circuit is open', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('dead', ['http://127.0.0.1:1'], {
+      circuitBreaker: { perTarget: true, failureThreshold: 1 }
+    });
+    app.use('/dead', serviceProxy.getServiceMiddleware('dead', '/'));
+
+    // Act
+    await request(app).get('/dead/api/success');
+    const response = await request(app).get('/dead/api/success');
+
+    // Assert
+    expect(response.status).toBe(503);
+    expect(response.text).toContain('circuit open');
+  });
+
+  describe('Retries', () => {
+    const deadUrl = 'http://127.0.0.1:1';
+    let unavailable;
+    let unavailableUrl;
+    let bodyEcho;
+    let bodyEchoUrl;
+
+    beforeAll(() => {
+      // Target that always answers 503
+      unavailable = express()
+        .use((req, res) => res.status(503).json({ error: 'Overloaded' }))
+        .listen(0);
+      unavailableUrl = `http://localhost:${unavailable.address().port}`;
+
+      // Target that echoes the JSON body it received
+      bodyEcho = express()
+        .use(express.json())
+        .post('/echo', (req, res) => res.json({ body: req.body }))
+        .listen(0);
+      bodyEchoUrl = `http://localhost:${bodyEcho.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => unavailable.close(resolve));
+      await new Promise(resolve => bodyEcho.close(resolve));
+    });
+
+    test('Should fail over to another target when a connection is refused', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('failover', [deadUrl, service1Url], {
+        retry: { baseDelay: 1 }
+      });
+      app.use('/failover', serviceProxy.getServiceMiddleware('failover', '/'));
+
+      // Act
+      const response1 = await request(app).get('/failover/api/success');
+      const response2 = await request(app).get('/failover/api/success');
+
+      // Assert
+      expect(response1.status).toBe(200);
+      expect(response2.status).toBe(200);
+      expect(response2.body).toHaveProperty('message', 'Success from service1');
+    });
+
+    test('Should retry configured upstream statuses on another target', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('overloaded', [unavailableUrl, service2Url], {
+        retry: { baseDelay: 1 }
+      });
+      app.use('/overloaded', serviceProxy.getServiceMiddleware('overloaded', '/'));
+
+      // Act
+      const response = await request(app).get('/overloaded/api/success');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Success from service2');
+    });
+
+    test('Should replay request bodies on retry', async () => {
+      // Arrange - gateway parses JSON itself, so the body must be re-serialized
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('bodies', [deadUrl, bodyEchoUrl], {
+        retry: { baseDelay: 1, methods: ['POST'] }
+      });
+      app.use(express.json());
+      app.use('/bodies', serviceProxy.getServiceMiddleware('bodies', '/'));
+
+      // Act
+      const response = await request(app).post('/bodies/echo').send({ name: 'test' });
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ body: { name: 'test' } });
+    });
+
+    test('Should answer 413 to retryable requests with bodies too large to buffer', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('large', [bodyEchoUrl], {
+        retry: { baseDelay: 1, methods: ['POST'], maxBodySize: 16 }
+      });
+      app.use('/large', serviceProxy.getServiceMiddleware('large', '/'));
+      const server = app.listen(0);
+
+      try {
+        // Act - one body announces its length, the other is sent in chunks
+        const announced = await request(server).post('/large/echo').send({ name: 'x'.repeat(64) });
+        const chunked = await new Promise((resolve, reject) => {
+          const upload = http.request({
+            port: server.address().port,
+            method: 'POST',
+            path: '/large/echo',
+            headers: { 'Content-Type': 'application/json' }
+          }, res => resolve(res.statusCode));
+          upload.on('error', reject);
+          upload.write('{"name":"');
+          upload.end(`${'x'.repeat(64)}"}`);
+        });
+        const small = await request(server).post('/large/echo').send({ name: 'x' });
+
+        // Assert
+        expect(announced.status).toBe(413);
+        expect(announced.body.message).toBe('Request body exceeds 16 bytes');
+        expect(chunked).toBe(413);
+        expect(small.body).toEqual({ body: { name: 'x' } });
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should not retry non-idempotent methods by default', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('unsafe', [deadUrl, bodyEchoUrl], {
+        retry: { baseDelay: 1 }
+      });
+      app.use('/unsafe', serviceProxy.getServiceMiddleware('unsafe', '/'));
+
+      // Act
+      const response = await request(app).post('/unsafe/echo').send({ name: 'test' });
+
+      // Assert
+      expect(response.status).toBe(503);
+    });
+
+    test('Should stop retrying once the retry budget is spent', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('budget', [deadUrl, service1Url], {
+        retry: { baseDelay: 1, budget: { ratio: 0, minRetriesPerSecond: 0 } }
+      });
+      app.use('/budget', serviceProxy.getServiceMiddleware('budget', '/'));
+
+      // Act
+      const response = await request(app).get('/budget/api/success');
+
+      // Assert
+      expect(response.status).toBe(503);
+    });
+  });
+
+  describe('Timeouts', () => {
+    let hanging;
+    let hangingUrl;
+
+    beforeAll(() => {
+      // Target that accepts requests but never responds
+      hanging = express().use(() => {}).listen(0);
+      hangingUrl = `http://localhost:${hanging.address().port}`;
+    });
+
+    afterAll(async () => {
+      hanging.closeAllConnections();
+      await new Promise(resolve => hanging.close(resolve));
+    });
+
+    test('Should return 504 when the upstream exceeds requestTimeout', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('slow', [service1Url], {
+        circuitBreaker: { requestTimeout: 50 }
+      });
+      app.use('/slow', serviceProxy.getServiceMiddleware('slow', '/'));
+
+      // Act
+      const response = await request(app).get('/slow/api/delay?delay=300');
+
+      // Assert
+      expect(response.status).toBe(504);
+      expect(response.body).toEqual({
+        error: 'Gateway Timeout',
+        message: 'Upstream request timed out after 50ms'
+      });
+      expect(serviceProxy.services.get('slow').circuitBreaker.getState().failureCount).toBe(1);
+    });
+
+    test('Should fail over to another target after a timeout', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('hanging', [hangingUrl, service1Url], {
+        circuitBreaker: { requestTimeout: 50 },
+        retry: { baseDelay: 1 }
+      });
+      app.use('/hanging', serviceProxy.getServiceMiddleware('hanging', '/'));
+
+      // Act
+      const response = await request(app).get('/hanging/api/success');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveProperty('message', 'Success from service1');
+    });
+
+    test('Should honor a client deadline capped by the configured maximum', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('deadline', [service1Url], {
+        deadline: { max: 100 }
+      });
+      app.use('/deadline', serviceProxy.getServiceMiddleware('deadline', '/'));
+
+      // Act
+      const shortened = await request(app)
+        .get('/deadline/api/delay?delay=300')
+        .set('X-Request-Timeout', '30');
+      const capped = await request(app)
+        .get('/deadline/api/delay?delay=300')
+        .set('X-Request-Timeout', '60000');
+
+      // Assert
+      expect(shortened.status).toBe(504);
+      expect(shortened.body.error).toBe('Gateway Timeout');
+      expect(capped.status).toBe(504);
+      expect(capped.body.error).toBe('Gateway Timeout');
+    });
+  });
+
+  test('Should route least-connections traffic by real in-flight requests', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('least', [service1Url, service2Url], {
+      loadBalancingStrategy: 'least-connections'
+    });
+    app.use('/least', serviceProxy.getServiceMiddleware('least', '/'));
+    app.use('/health', serviceProxy.getHealthMiddleware());
+
+    // Act - keep service1 busy while sending more requests
+    const slow = request(app).get('/least/api/delay?delay=200').then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const during = await request(app).get('/health');
+    const quick1 = await request(app).get('/least/echo/test');
+    const quick2 = await request(app).get('/least/echo/test');
+    const slowResponse = await slow;
+    const after = await request(app).get('/health');
+
+    // Assert
+    expect(during.body.services.least.targets.map(t => t.inFlight)).toEqual([1, 0]);
+    expect(quick1.body.service).toBe('service2');
+    expect(quick2.body.service).toBe('service2');
+    expect(slowResponse.body.message).toContain('service1');
+    expect(after.body.services.least.targets.map(t => t.inFlight)).toEqual([0, 0]);
+  });
+
+  test('Should release connections when requests fail', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('released', ['http://127.0.0.1:1']);
+    app.use('/released', serviceProxy.getServiceMiddleware('released', '/'));
+
+    // Act
+    await request(app).get('/released/api/success');
+
+    // Assert
+    const { loadBalancer } = serviceProxy.services.get('released');
+    expect(loadBalancer.getConnectionCount('http://127.0.0.1:1')).toBe(0);
+  });
+
+  test('Should route weighted targets by weight', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('weighted', [
+      { url: service1Url, weight: 2 },
+      { url: service2Url, weight: 1 }
+    ], {
+      loadBalancingStrategy: 'weighted-round-robin'
+    });
+    app.use('/weighted', serviceProxy.getServiceMiddleware('weighted', '/'));
+
+    // Act
+    const responses = [];
+    for (let i = 0; i < 3; i++) {
+      const response = await request(app).get('/weighted/echo/test');
+      responses.push(response.body.service);
+    }
+
+    // Assert
+    expect(responses.sort()).toEqual(['service1', 'service1', 'service2']);
+  });
+
+  describe('Sticky sessions', () => {
+    const getAffinityCookie = response => (response.headers['set-cookie'] || [])
+      .find(cookie => cookie.startsWith('affinity='));
+
+    test('Should keep clients with an affinity cookie on the same target', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('sticky', [service1Url, service2Url], {
+        stickySession: { cookieName: 'affinity', secret: 'test-secret', ttl: 60000 }
+      });
+      app.use('/sticky', serviceProxy.getServiceMiddleware('sticky', '/'));
+
+      // Act
+      const first = await request(app).get('/sticky/echo/test');
+      const cookie = getAffinityCookie(first).split(';')[0];
+      const services = [];
+      for (let i = 0; i < 3; i++) {
+        const response = await request(app).get('/sticky/echo/test').set('Cookie', cookie);
+        services.push(response.body.service);
+        expect(getAffinityCookie(response)).toBeUndefined();
+      }
+
+      // Assert
+      expect(getAffinityCookie(first)).toMatch(/Max-Age=60; Path=\/; HttpOnly/);
+      expect(services).toEqual([first.body.service, first.body.service, first.body.service]);
+    });
+
+    test('Should fail over and re-pin when the pinned target is unhealthy', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('sticky', [service1Url, service2Url], {
+        stickySession: { cookieName: 'affinity', secret: 'test-secret' }
+      });
+      app.use('/sticky', serviceProxy.getServiceMiddleware('sticky', '/'));
+      const first = await request(app).get('/sticky/echo/test');
+      const cookie = getAffinityCookie(first).split(';')[0];
+
+      // Act
+      serviceProxy.services.get('sticky').loadBalancer.markTargetDown(service1Url);
+      const failover = await request(app).get('/sticky/echo/test').set('Cookie', cookie);
+
+      // Assert
+      expect(first.body.service).toBe('service1');
+      expect(failover.body.service).toBe('service2');
+      expect(getAffinityCookie(failover)).toBeDefined();
+    });
+
+    test('Should ignore tampered affinity cookies', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('sticky', [service1Url, service2Url], {
+        stickySession: { cookieName: 'affinity', secret: 'test-secret' }
+      });
+      app.use('/sticky', serviceProxy.getServiceMiddleware('sticky', '/'));
+      const first = await request(app).get('/sticky/echo/test');
+      const [id, expires] = getAffinityCookie(first).split(';')[0].split('=')[1].split('.');
+
+      // Act
+      const response = await request(app)
+        .get('/sticky/echo/test')
+        .set('Cookie', `affinity=${id}.${expires}.forged`);
+
+      // Assert - round-robin continues to the next target and re-pins the client
+      expect(response.body.service).toBe('service2');
+      expect(getAffinityCookie(response)).toBeDefined();
+    });
+  });
+
+  describe('Tracing', () => {
+    test('Should start a trace and propagate a request ID', async () => {
+      // Arrange
+      const spans = [];
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('traced', [service1Url], {
+        tracing: { exporter: span => spans.push(span), serverTiming: true }
+      });
+      app.use('/traced', serviceProxy.getServiceMiddleware('traced', '/'));
+
+      // Act
+      const response = await request(app).get('/traced/echo/test');
+
+      // Assert
+      const upstreamHeaders = response.body.headers;
+      expect(upstreamHeaders['x-request-id']).toBe(response.headers['x-request-id']);
+      expect(upstreamHeaders.traceparent).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+      expect(response.headers['server-timing']).toMatch(new RegExp(`^upstream;dur=\\d+;desc="${service1Url}"$`));
+      expect(spans).toEqual([expect.objectContaining({
+        service: 'traced',
+        target: service1Url,
+        attempt: 1,
+        statusCode: 200,
+        parentSpanId: null,
+        requestId: response.headers['x-request-id']
+      })]);
+    });
+
+    test('Should continue an incoming trace with a new span per attempt', async () => {
+      // Arrange
+      const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+      const spans = [];
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('traced', ['http://127.0.0.1:1', service1Url], {
+        retry: { baseDelay: 1 },
+        tracing: { exporter: span => spans.push(span) }
+      });
+      app.use('/traced', serviceProxy.getServiceMiddleware('traced', '/'));
+
+      // Act
+      const response = await request(app)
+        .get('/traced/echo/test')
+        .set('X-Request-Id', 'req-123')
+        .set('traceparent', `00-${traceId}-00f067aa0ba902b7-01`)
+        .set('tracestate', 'vendor=value');
+
+      // Assert
+      const upstreamHeaders = response.body.headers;
+      expect(response.headers['x-request-id']).toBe('req-123');
+      expect(response.headers['server-timing']).toBeUndefined();
+      expect(upstreamHeaders.traceparent).toBe(`00-${traceId}-${spans[1].spanId}-01`);
+      expect(upstreamHeaders.tracestate).toBe('vendor=value');
+      expect(spans.map(span => [span.attempt, span.parentSpanId, span.statusCode, span.error])).toEqual([
+        [1, '00f067aa0ba902b7', undefined, 'ECONNREFUSED'],
+        [2, '00f067aa0ba902b7', 200, undefined]
+      ]);
+      expect(spans[0].spanId).not.toBe(spans[1].spanId);
+    });
+  });
+
+  describe('Rate and concurrency limits', () => {
+    test('Should reject clients that exceed their rate limit with 429', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('limited', [service1Url], {
+        rateLimit: { capacity: 2, refillRate: 0.5 }
+      });
+      app.use('/limited', serviceProxy.getServiceMiddleware('limited', '/'));
+
+      // Act
+      const first = await request(app).get('/limited/echo/test');
+      await request(app).get('/limited/echo/test');
+      const rejected = await request(app).get('/limited/echo/test');
+
+      // Assert
+      expect(first.status).toBe(200);
+      expect(first.headers['ratelimit-limit']).toBe('2');
+      expect(first.headers['ratelimit-remaining']).toBe('1');
+      expect(rejected.status).toBe(429);
+      expect(rejected.body.message).toBe('Rate limit exceeded');
+      expect(rejected.headers['ratelimit-remaining']).toBe('0');
+      expect(rejected.headers['retry-after']).toBe('2');
+    });
+
+    test('Should keep a separate bucket per API key', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('limited', [service1Url], {
+        rateLimit: { capacity: 1, refillRate: 0.1, keyBy: { header: 'X-Api-Key' } }
+      });
+      app.use('/limited', serviceProxy.getServiceMiddleware('limited', '/'));
+
+      // Act
+      await request(app).get('/limited/echo/test').set('X-Api-Key', 'alice');
+      const alice = await request(app).get('/limited/echo/test').set('X-Api-Key', 'alice');
+      const bob = await request(app).get('/limited/echo/test').set('X-Api-Key', 'bob');
+
+      // Assert
+      expect(alice.status).toBe(429);
+      expect(bob.status).toBe(200);
+    });
+
+    test('Should queue requests over the concurrency limit and reject when the queue is full', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('concurrent', [service1Url], {
+        concurrency: { maxConcurrent: 1, maxQueue: 1, queueTimeout: 1000 }
+      });
+      app.use('/concurrent', serviceProxy.getServiceMiddleware('concurrent', '/'));
+      app.get('/health', serviceProxy.getHealthMiddleware());
+      const server = app.listen(0);
+
+      try {
+        // Act
+        const slow = request(server).get('/concurrent/api/delay?delay=200').then(res => res);
+        const queued = request(server).get('/concurrent/api/success').then(res => res);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const health = await request(server).get('/health');
+        const rejected = await request(server).get('/concurrent/api/success');
+
+        // Assert
+        expect(health.body.services.concurrent.concurrency).toEqual({ active: 1, queued: 1, maxConcurrent: 1 });
+        expect(rejected.status).toBe(503);
+        expect(rejected.headers['retry-after']).toBe('1');
+        expect((await slow).status).toBe(200);
+        expect((await queued).status).toBe(200);
+        expect(serviceProxy.services.get('concurrent').concurrencyLimiter.getState().active).toBe(0);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should reject queued requests after the queue timeout', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('concurrent', [service1Url], {
+        concurrency: { maxConcurrent: 1, queueTimeout: 50 }
+      });
+      app.use('/concurrent', serviceProxy.getServiceMiddleware('concurrent', '/'));
+
+      // Act
+      const [slow, queued] = await Promise.all([
+        request(app).get('/concurrent/api/delay?delay=200'),
+        request(app).get('/concurrent/api/success')
+      ]);
+
+      // Assert
+      expect(slow.status).toBe(200);
+      expect(queued.status).toBe(503);
+      expect(queued.body.message).toBe('Timed out waiting for a free request slot');
+    });
+  });
+
+  describe('Fallbacks', () => {
+    test('Should serve a static fallback when every target fails', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('flaky', ['http://127.0.0.1:1'], {
+        fallback: { status: 200, headers: { 'X-Degraded': 'yes' }, body: { items: [] } }
+      });
+      app.use('/flaky', serviceProxy.getServiceMiddleware('flaky', '/'));
+      app.get('/health', serviceProxy.getHealthMiddleware());
+
+      // Act
+      const response = await request(app).get('/flaky/items');
+      const health = await request(app).get('/health');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ items: [] });
+      expect(response.headers['x-fallback']).toBe('unavailable');
+      expect(response.headers['x-degraded']).toBe('yes');
+      expect(health.body.services.flaky.fallbacks).toBe(1);
+    });
+
+    test('Should route to another service when the circuit is open', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('backup', [service2Url]);
+      serviceProxy.registerService('primary', [service1Url], {
+        fallback: { service: 'backup' },
+        circuitBreaker: { failureThreshold: 1 }
+      });
+      serviceProxy.services.get('primary').circuitBreaker.recordFailure();
+      app.use('/primary', serviceProxy.getServiceMiddleware('primary', '/'));
+
+      // Act
+      const response = await request(app).get('/primary/echo/test');
+
+      // Assert
+      expect(response.status).toBe(200);
+      expect(response.body.service).toBe('service2');
+      expect(response.body.path).toBe('/echo/test');
+      expect(response.headers['x-fallback']).toBe('circuit-open');
+    });
+
+    test('Should build a degraded response with a fallback function', async () => {
+      // Arrange
+      const fallback = jest.fn((req, details) => ({
+        status: 203,
+        body: { path: req.url, reason: details.reason }
+      }));
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('slow', [service1Url], {
+        fallback,
+        circuitBreaker: { requestTimeout: 30 }
+      });
+      app.use('/slow', serviceProxy.getServiceMiddleware('slow', '/'));
+
+      // Act
+      const response = await request(app).get('/slow/api/delay?delay=200');
+
+      // Assert
+      expect(response.status).toBe(203);
+      expect(response.body).toEqual({ path: '/api/delay?delay=200', reason: 'timeout' });
+      expect(fallback).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ service: 'slow', statusCode: 504 }));
+    });
+
+    test('Should send the usual error when the fallback function returns nothing', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('flaky', ['http://127.0.0.1:1'], {
+        fallback: () => undefined
+      });
+      app.use('/flaky', serviceProxy.getServiceMiddleware('flaky', '/'));
+
+      // Act
+      const response = await request(app).get('/flaky/items');
+
+      // Assert
+      expect(response.status).toBe(503);
+      expect(response.headers['x-fallback']).toBeUndefined();
+    });
+
+    test('Should not loop between services that fall back to each other', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('a', ['http://127.0.0.1:1'], { fallback: { service: 'b' } });
+      serviceProxy.registerService('b', ['http://127.0.0.1:1'], { fallback: { service: 'a' } });
+      app.use('/a', serviceProxy.getServiceMiddleware('a', '/'));
+
+      // Act
+      const response = await request(app).get('/a/items');
+
+      // Assert
+      expect(response.status).toBe(503);
+      expect(response.headers['x-fallback']).toBe('unavailable');
+    });
+  });
+
+  describe('Runtime updates', () => {
+    test('Should apply updated targets to requests through existing middleware', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('live', [service1Url]);
+      app.use('/live', serviceProxy.getServiceMiddleware('live', '/'));
+      const before = await request(app).get('/live/echo/test');
+
+      // Act
+      serviceProxy.updateService('live', { targets: [service2Url] });
+      const after = await request(app).get('/live/echo/test');
+
+      // Assert
+      expect(before.body.service).toBe('service1');
+      expect(after.body.service).toBe('service2');
+    });
+
+    test('Should keep the breaker and connection state of targets that stay', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('stateful', [service1Url, service2Url], {
+        circuitBreaker: { perTarget: true, failureThreshold: 5 }
+      });
+      const previous = serviceProxy.services.get('stateful');
+      previous.targetBreakers.set(service1Url, previous.createCircuitBreaker(service1Url));
+      previous.targetBreakers.get(service1Url).recordFailure();
+      previous.loadBalancer.acquireConnection(service1Url);
+
+      // Act
+      serviceProxy.updateService('stateful', {
+        targets: [service1Url],
+        options: { circuitBreaker: { perTarget: true, failureThreshold: 2 } }
+      });
+
+      // Assert
+      const updated = serviceProxy.services.get('stateful');
+      expect(updated).not.toBe(previous);
+      expect(updated.loadBalancer.getTargets()).toEqual([service1Url]);
+      expect(updated.loadBalancer.getConnectionCount(service1Url)).toBe(1);
+      expect(updated.targetBreakers.get(service1Url).failureCount).toBe(1);
+      expect(updated.targetBreakers.get(service1Url).failureThreshold).toBe(2);
+    });
+
+    test('Should keep health state consistent when health checks are changed or turned off', async () => {
+      // Arrange - second target fails its health checks until it recovers
+      let healthy = false;
+      const flaky = express();
+      flaky.get('/health', (req, res) => res.status(healthy ? 200 : 503).end());
+      const server = flaky.listen(0);
+      const flakyUrl = `http://localhost:${server.address().port}`;
+      const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('checked', [service1Url, flakyUrl], {
+        healthCheck: { interval: 20, unhealthyThreshold: 1 }
+      });
+      const { loadBalancer } = serviceProxy.services.get('checked');
+
+      try {
+        await wait(100);
+        const downBefore = loadBalancer.isTargetHealthy(flakyUrl);
+
+        // Act - a new checker takes over the target that is down and sees it recover
+        healthy = true;
+        serviceProxy.updateService('checked', {
+          options: { healthCheck: { interval: 20, healthyThreshold: 2, unhealthyThreshold: 1 } }
+        });
+        await wait(150);
+        const afterRecovery = loadBalancer.isTargetHealthy(flakyUrl);
+
+        // Act - turning health checks off brings targets that are down back
+        healthy = false;
+        await wait(100);
+        const downAgain = loadBalancer.isTargetHealthy(flakyUrl);
+        serviceProxy.updateService('checked', { options: { healthCheck: undefined } });
+        const afterDisabling = serviceProxy.services.get('checked').loadBalancer.getHealthyTargets();
+
+        // Assert
+        expect(downBefore).toBe(false);
+        expect(afterRecovery).toBe(true);
+        expect(downAgain).toBe(false);
+        expect(afterDisabling).toEqual([service1Url, flakyUrl]);
+      } finally {
+        serviceProxy.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should drain requests in flight before an unregistered service answers 404', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('removed', [service1Url]);
+      app.use('/removed', serviceProxy.getServiceMiddleware('removed', '/'));
+      const server = app.listen(0);
+
+      try {
+        const inFlight = request(server).get('/removed/api/delay?delay=200').then(response => response);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        // Act
+        const unregistered = serviceProxy.unregisterService('removed');
+        const whileDraining = await request(server).get('/removed/api/success');
+        const drained = await unregistered;
+        const afterwards = await request(server).get('/removed/api/success');
+
+        // Assert
+        expect((await inFlight).status).toBe(200);
+        expect(whileDraining.status).toBe(503);
+        expect(drained).toBe(true);
+        expect(afterwards.status).toBe(404);
+        expect(serviceProxy.services.has('removed')).toBe(false);
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should reject updates of services that are not registered', () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+
+      // Act & Assert
+      expect(() => serviceProxy.updateService('missing', { targets: [service1Url] }))
+        .toThrow('Service "missing" is not registered');
+      return expect(serviceProxy.unregisterService('missing')).rejects.toThrow('Service "missing" is not registered');
+    });
+  });
+
+  describe('Graceful shutdown', () => {
+    test('Should stop sending requests to a drained target and resolve once its requests finish', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('drained', [service1Url, service2Url]);
+      app.use('/drained', serviceProxy.getServiceMiddleware('drained', '/'));
+      const server = app.listen(0);
+
+      try {
+        const inFlight = request(server).get('/drained/api/delay?delay=200').then(response => response);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        // Act
+        let finished = false;
+        const drained = serviceProxy.drainTarget('drained', service1Url).then((result) => {
+          finished = true;
+          return result;
+        });
+        const whileDraining = await Promise.all([1, 2].map(() => request(server).get('/drained/echo/test')));
+        const finishedEarly = finished;
+
+        // Assert
+        expect(whileDraining.map(response => response.body.service)).toEqual(['service2', 'service2']);
+        expect(finishedEarly).toBe(false);
+        expect((await inFlight).status).toBe(200);
+        expect(await drained).toBe(true);
+        expect(serviceProxy.services.get('drained').loadBalancer.isTargetDraining(service1Url)).toBe(true);
+        await expect(serviceProxy.drainTarget('drained', 'http://unknown:1'))
+          .rejects.toThrow('Target http://unknown:1 is not registered for service "drained"');
+      } finally {
+        serviceProxy.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should wait for requests still sending their body when draining a target', async () => {
+      // Arrange - a body transform buffers the whole body before the request goes upstream
+      const serviceProxy = createServiceProxy();
+      serviceProxy.registerService('buffered', [service1Url], {
+        transform: { request: { body: json => ({ ...json, seen: true }) } }
+      });
+      app.use('/buffered', serviceProxy.getServiceMiddleware('buffered', '/'));
+      const server = app.listen(0);
+      const { loadBalancer } = serviceProxy.services.get('buffered');
+
+      try {
+        const upload = http.request({
+          port: server.address().port,
+          method: 'POST',
+          path: '/buffered/echo/upload',
+          headers: { 'Content-Type': 'application/json' }
+        });
+        const response = new Promise((resolve, reject) => {
+          upload.on('response', (res) => {
+            res.resume();
+            res.on('end', () => resolve(res.statusCode));
+          });
+          upload.on('error', reject);
+        });
+        upload.write('{"name":');
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        // Act
+        let finished = false;
+        const drained = serviceProxy.drainTarget('buffered', service1Url, { timeout: 2000 }).then((result) => {
+          finished = true;
+          return result;
+        });
+        await new Promise(resolve => setTimeout(resolve, 50));
+        const countedWhileUploading = loadBalancer.getConnectionCount(service1Url);
+        const finishedWhileUploading = finished;
+        upload.end('"Ada"}');
+
+        // Assert
+        expect(countedWhileUploading).toBe(1);
+        expect(finishedWhileUploading).toBe(false);
+        expect(await response).toBe(200);
+        expect(await drained).toBe(true);
+        expect(loadBalancer.getConnectionCount(service1Url)).toBe(0);
+      } finally {
+        serviceProxy.close();
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+
+    test('Should refuse new requests and wait for requests in flight, including retries, on shutdown', async () => {
+      // Arrange
+      const serviceProxy = createServiceProxy();
+      serviceProxy
+        .registerService('slow', [service1Url], { healthCheck: { interval: 60000 } })
+        .registerService('retried', ['http://127.0.0.1:1', service2Url], {
+          retry: { maxAttempts: 2, baseDelay: 150, jitter: false }
+        });
+      app.use('/slow', serviceProxy.getServiceMiddleware('slow', '/'));
+      app.use('/retried', serviceProxy.getServiceMiddleware('retried', '/'));
+      const server = app.listen(0);
+      const { healthChecker } = serviceProxy.services.get('slow');
+
+      try {
+        const slow = request(server).get('/slow/api/delay?delay=200').then(response => response);
+        const retried = request(server).get('/retried/api/success').then(response => response);
+        await new Promise(resolve => setTimeout(resolve, 50));
+
+        // Act
+        const shutdown = serviceProxy.shutdown({ timeout: 2000 });
+        const refused = await request(server).get('/slow/api/success');
+        const drained = await shutdown;
+
+        // Assert
+        expect(refused.status).toBe(503);
+        expect((await slow).status).toBe(200);
+        expect((await retried).status).toBe(200);
+        expect(drained).toBe(true);
+        expect(healthChecker.timer).toBeNull();
+      } finally {
+        await new Promise(resolve => server.close(resolve));
+      }
+    });
+  });
+});
@@ -0,0 +1,182 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('WebSockets and streaming', () => {
+  let upstreams;
+  let serviceProxy;
+  let gateway;
+
+  /**
+   * Start an upstream that accepts upgrades, answers with its name and echoes
+   * everything it receives, and serves server-sent events on /events
+   * @param {string} name - Name sent after the upgrade
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = (name) => {
+    const app = express();
+    app.get('/events', (req, res) => {
+      const count = Number(req.query.count);
+      res.set('Content-Type', 'text/event-stream');
+      res.flushHeaders();
+
+      let sent = 0;
+      const send = () => {
+        res.write(`data: ${sent++}\n\n`);
+        if (sent === count) {
+          res.end();
+        } else if (sent < count || !count) {
+          timer = setTimeout(send, Number(req.query.interval));
+        }
+      };
+      let timer = setTimeout(send, 0);
+      res.on('close', () => clearTimeout(timer));
+    });
+
+    const server = http.createServer(app);
+    server.on('upgrade', (req, socket) => {
+      socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n');
+      socket.write(`${name}:${req.url}|`);
+      socket.pipe(socket);
+    });
+    return server.listen(0);
+  };
+
+  const urlOf = server => `http://localhost:${server.address().port}`;
+
+  /**
+   * Send an upgrade request to the gateway
+   * @param {string} path - Request path
+   * @returns {Promise<Object>} `{ socket, received }` once upgraded, or `{ response }` if refused
+   */
+  const connect = path => new Promise((resolve, reject) => {
+    const req = http.request({
+      port: gateway.address().port,
+      path,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket' }
+    });
+    req.on('upgrade', (res, socket, head) => {
+      const connection = { socket, received: head };
+      socket.on('data', (chunk) => {
+        connection.received = Buffer.concat([connection.received, chunk]);
+      });
+      resolve(connection);
+    });
+    req.on('response', (response) => {
+      let body = '';
+      response.on('data', (chunk) => {
+        body += chunk;
+      });
+      response.on('end', () => resolve({ response, body }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeAll(() => {
+    upstreams = [startUpstream('a'), startUpstream('b')];
+  });
+
+  afterAll(async () => {
+    await Promise.all(upstreams.map(upstream => new Promise(resolve => upstream.close(resolve))));
+  });
+
+  beforeEach(() => {
+    serviceProxy = createServiceProxy();
+    gateway = http.createServer(express().use(serviceProxy.router()));
+    gateway.on('upgrade', serviceProxy.getUpgradeHandler());
+    gateway.listen(0);
+  });
+
+  afterEach(async () => {
+    serviceProxy.close();
+    gateway.closeAllConnections();
+    await new Promise(resolve => gateway.close(resolve));
+  });
+
+  test('Should balance WebSocket upgrades across targets and count connections per target', async () => {
+    // Arrange
+    serviceProxy.registerService('chat', upstreams.map(urlOf));
+    serviceProxy.addRoute({ service: 'chat', path: '/chat', stripPrefix: true });
+    const { loadBalancer } = serviceProxy.services.get('chat');
+
+    // Act
+    const first = await connect('/chat/rooms/1');
+    const second = await connect('/chat/rooms/2');
+    first.socket.write('hello');
+    await wait(50);
+    const countsWhileOpen = upstreams.map(upstream => loadBalancer.getConnectionCount(urlOf(upstream)));
+    first.socket.destroy();
+    second.socket.destroy();
+    await wait(50);
+
+    // Assert
+    expect(first.received.toString()).toBe('a:/rooms/1|hello');
+    expect(second.received.toString()).toBe('b:/rooms/2|');
+    expect(countsWhileOpen).toEqual([1, 1]);
+    expect(upstreams.map(upstream => loadBalancer.getConnectionCount(urlOf(upstream)))).toEqual([0, 0]);
+  });
+
+  test('Should refuse upgrades without a route or with an open circuit', async () => {
+    // Arrange
+    serviceProxy.registerService('dead', ['http://127.0.0.1:1'], { circuitBreaker: { failureThreshold: 1 } });
+    serviceProxy.addRoute({ service: 'dead', path: '/dead' });
+
+    // Act
+    const unrouted = await connect('/nowhere');
+    const failed = await connect('/dead');
+    const rejected = await connect('/dead');
+
+    // Assert
+    expect(unrouted.response.statusCode).toBe(404);
+    expect(failed.response.statusCode).toBe(503);
+    expect(rejected.response.statusCode).toBe(503);
+    expect(JSON.parse(rejected.body).message).toContain('circuit open');
+  });
+
+  test('Should send WebSocket clients a close frame when the service drains', async () => {
+    // Arrange
+    serviceProxy.registerService('chat', [urlOf(upstreams[0])]);
+    serviceProxy.addRoute({ service: 'chat', path: '/chat', stripPrefix: true });
+    const connection = await connect('/chat');
+    await wait(20);
+
+    // Act
+    const unregistered = serviceProxy.unregisterService('chat', { timeout: 2000 });
+    await wait(50);
+    const received = connection.received;
+    connection.socket.end();
+    const drained = await unregistered;
+
+    // Assert
+    expect(received.subarray(-4)).toEqual(Buffer.from([0x88, 0x02, 0x03, 0xe9]));
+    expect(drained).toBe(true);
+  });
+
+  test('Should exempt event streams from the request timeout but end idle streams', async () => {
+    // Arrange
+    const errors = [];
+    serviceProxy.registerService('events', [urlOf(upstreams[0])], {
+      circuitBreaker: { requestTimeout: 100 },
+      streaming: { idleTimeout: 150 }
+    });
+    serviceProxy.addRoute({ service: 'events', path: '/' });
+    serviceProxy.on('error', ({ error }) => errors.push(error));
+
+    // Act
+    const started = Date.now();
+    const complete = await request(gateway).get('/events?count=6&interval=50');
+    const idle = await request(gateway).get('/events?count=2&interval=5000');
+    const idleDuration = Date.now() - started;
+
+    // Assert
+    expect(complete.text).toBe([0, 1, 2, 3, 4, 5].map(n => `data: ${n}\n\n`).join(''));
+    expect(idle.text).toBe('data: 0\n\n');
+    expect(idleDuration).toBeLessThan(2000);
+    expect(errors).toEqual([]);
+    expect(serviceProxy.services.get('events').circuitBreaker.getState().failureCount).toBe(0);
+  });
+});
@@ -0,0 +1,164 @@
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Traffic splitting', () => {
+  let stable;
+  let canary;
+  let stableUrl;
+  let canaryUrl;
+  let app;
+
+  /**
+   * Start an upstream that reports which version served the request
+   * @param {string} version - Version echoed in responses
+   * @returns {Object} HTTP server
+   */
+  const startUpstream = version => express()
+    .get('/version', (req, res) => res.json({ version }))
+    .get('/cached', (req, res) => res.set('Cache-Control', 'max-age=60').json({ version }))
+    .listen(0);
+
+  beforeAll(() => {
+    stable = startUpstream('stable');
+    canary = startUpstream('canary');
+    stableUrl = `http://localhost:${stable.address().port}`;
+    canaryUrl = `http://localhost:${canary.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stable.close(resolve));
+    await new Promise(resolve => canary.close(resolve));
+  });
+
+  beforeEach(() => {
+    app = express();
+  });
+
+  test('Should route requests matching a header rule to the canary group', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: [canaryUrl] }, {
+      trafficSplit: { rules: [{ group: 'canary', header: 'X-Canary', value: 'true' }] }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const regular = await request(app).get('/api/version');
+    const tester = await request(app).get('/api/version').set('X-Canary', 'true');
+
+    // Assert
+    expect(regular.body.version).toBe('stable');
+    expect(tester.body.version).toBe('canary');
+  });
+
+  test('Should split traffic by weight and apply weight changes at runtime', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: [canaryUrl] }, {
+      trafficSplit: { weights: { stable: 0, canary: 100 } }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const before = await request(app).get('/api/version');
+    serviceProxy.setTrafficWeights('api', { stable: 100, canary: 0 });
+    const after = await request(app).get('/api/version');
+
+    // Assert
+    expect(before.body.version).toBe('canary');
+    expect(after.body.version).toBe('stable');
+    expect(() => serviceProxy.setTrafficWeights('api', { beta: 10 })).toThrow('Unknown target group "beta"');
+  });
+
+  test('Should roll back a group whose error rate crosses the threshold', async () => {
+    // Arrange
+    const rollbacks = [];
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: ['http://127.0.0.1:1'] }, {
+      trafficSplit: {
+        weights: { stable: 0, canary: 100 },
+        rollback: { errorRate: 0.5, minRequests: 2 }
+      }
+    });
+    serviceProxy.on('rollback', details => rollbacks.push(details));
+    serviceProxy.on('error', () => {});
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    await request(app).get('/api/version');
+    await request(app).get('/api/version');
+    const afterRollback = await request(app).get('/api/version');
+
+    // Assert
+    expect(rollbacks).toEqual([{ service: 'api', group: 'canary', errorRate: 1 }]);
+    expect(afterRollback.status).toBe(200);
+    expect(afterRollback.body.version).toBe('stable');
+  });
+
+  test('Should report traffic and errors per group in the health check', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: [canaryUrl] }, {
+      trafficSplit: { weights: { stable: 50, canary: 50 } }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+    app.get('/health', serviceProxy.getHealthMiddleware());
+    await request(app).get('/api/version').set('X-Canary', 'true');
+
+    // Act
+    const response = await request(app).get('/health');
+
+    // Assert
+    const { groups, status } = response.body.services.api;
+    expect(status).toBe('UP');
+    expect(groups.stable).toEqual(expect.objectContaining({ weight: 50, rolledBack: false, errors: 0 }));
+    expect(groups.canary.targets[0].url).toBe(canaryUrl);
+    expect(groups.stable.requests + groups.canary.requests).toBe(1);
+  });
+
+  test('Should keep cached responses of each group apart', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: [canaryUrl] }, {
+      cache: true,
+      trafficSplit: { rules: [{ group: 'canary', header: 'X-Canary', value: 'true' }] }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+
+    // Act
+    const tester = await request(app).get('/api/cached').set('X-Canary', 'true');
+    const regular = await request(app).get('/api/cached');
+    const regularAgain = await request(app).get('/api/cached');
+
+    // Assert
+    expect(tester.body.version).toBe('canary');
+    expect(regular.body.version).toBe('stable');
+    expect(regular.headers['x-cache']).toBe('MISS');
+    expect(regularAgain.body.version).toBe('stable');
+    expect(regularAgain.headers['x-cache']).toBe('HIT');
+  });
+
+  test('Should label the per-target gauges with their group', async () => {
+    // Arrange
+    const serviceProxy = createServiceProxy();
+    serviceProxy.registerService('api', { stable: [stableUrl], canary: [stableUrl] }, {
+      circuitBreaker: { perTarget: true },
+      trafficSplit: { rules: [{ group: 'canary', header: 'X-Canary', value: 'true' }] }
+    });
+    app.use('/api', serviceProxy.getServiceMiddleware('api', '/'));
+    app.get('/metrics', serviceProxy.getMetricsMiddleware());
+    await request(app).get('/api/version');
+    await request(app).get('/api/version').set('X-Canary', 'true');
+
+    // Act
+    const response = await request(app).get('/metrics');
+
+    // Assert
+    ['stable', 'canary'].forEach((group) => {
+      const labels = `service="api",target="${stableUrl}",group="${group}"`;
+      expect(response.text).toContain(`service_proxy_requests_in_flight{${labels}} 0`);
+      expect(response.text).toContain(`service_proxy_circuit_state{${labels}} 0`);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const zlib = require('zlib');
+const express = require('express');
+const request = require('supertest');
+const { createServiceProxy } = require('../index');
+
+describe('Request and response transforms', () => {
+  let upstream;
+  let upstreamUrl;
+  let app;
+  let serviceProxy;
+
+  beforeAll(() => {
+    upstream = express()
+      .use(express.raw({ type: () => true }))
+      .get('/api/login', (req, res) => {
+        res.cookie('session', 'abc', { domain: 'internal.local', path: '/api/account', httpOnly: true });
+        res.cookie('theme', 'dark');
+        res.redirect(`http://localhost:${upstream.address().port}/api/account?welcome=1`);
+      })
+      .get('/api/elsewhere', (req, res) => res.redirect('https://example.com/'))
+      .get('/api/relative', (req, res) => res.redirect('/api/home'))
+      .get('/users', (req, res) => {
+        const body = zlib.gzipSync(JSON.stringify({ users: [{ id: 1, password: 'secret' }] }));
+        res.set({ 'Content-Type': 'application/json', 'Content-Encoding': 'gzip', 'X-Powered-By': 'upstream' });
+        res.end(body);
+      })
+      .get('/text', (req, res) => res.type('text').send('plain'))
+      .use((req, res) => res.set('X-Upstream-Node', 'node-1').json({
+        url: req.url,
+        headers: req.headers,
+        body: req.body ? req.body.toString() : null
+      }))
+      .listen(0);
+    upstreamUrl = `http://localhost:${upstream.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => upstream.close(resolve));
+  });
+
+  beforeEach(() => {
+    serviceProxy = createServiceProxy();
+    app = express().use(serviceProxy.router());
+  });
+
+  afterEach(() => {
+    serviceProxy.close();
+  });
+
+  test('Should set, rename and remove request headers with per-request templates', async () => {
+    // Arrange
+    serviceProxy.registerService('users', [upstreamUrl], {
+      tracing: true,
+      transform: {
+        request: {
+          headers: {
+            set: { 'X-Forwarded-Service': '{service}@{target}', 'X-Request-Id': '{requestId}' },
+            rename: { 'X-Api-Version': 'Accept-Version' },
+            remove: ['Cookie']
+          }
+        },
+        response: {
+          headers: {
+            set: { 'X-Proxy-Response-Time': '{elapsed}ms', 'X-Served-By': ctx => ctx.target },
+            remove: ['X-Upstream-Node']
+          }
+        }
+      }
+    });
+    serviceProxy.addRoute({ service: 'users', path: '/users', stripPrefix: true });
+
+    // Act
+    const res = await request(app).get('/users/profile')
+      .set('X-Request-Id', 'req-1')
+      .set('X-Api-Version', '2')
+      .set('Cookie', 'session=abc');
+
+    // Assert
+    expect(res.body.headers).toMatchObject({
+      'x-forwarded-service': `users@${upstreamUrl}`,
+      'x-request-id': 'req-1',
+      'accept-version': '2'
+    });
+    expect(res.body.headers).not.toHaveProperty('x-api-version');
+    expect(res.body.headers).not.toHaveProperty('cookie');
+    expect(res.headers['x-proxy-response-time']).toMatch(/^\d+ms$/);
+    expect(res.headers['x-served-by']).toBe(upstreamUrl);
+    expect(res.headers).not.toHaveProperty('x-upstream-node');
+    expect(() => serviceProxy.registerService('bad', [upstreamUrl], {
+      transform: { response: { headers: { set: { 'X-Took': '{duration}' } } } }
+    })).toThrow('Unknown placeholder {duration}');
+  });
+
+  test('Should rewrite query strings with operations or a function', async () => {
+    // Arrange
+    serviceProxy
+      .registerService('search', [upstreamUrl], {
+        transform: {
+          request: { query: { rename: { q: 'query' }, remove: ['debug'], set: { source: 'gateway' } } }
+        }
+      })
+      .registerService('legacy', [upstreamUrl], {
+        transform: {
+          request: {
+            query: async (params) => {
+              params.set('page', String(Number(params.get('page') || 1) - 1));
+            }
+          }
+        }
+      });
+    serviceProxy.addRoute({ service: 'search', path: '/search' });
+    serviceProxy.addRoute({ service: 'legacy', path: '/legacy' });
+
+    // Act
+    const search = await request(app).get('/search?q=shoes&q=boots&debug=1');
+    const legacy = await request(app).get('/legacy/items?page=3');
+
+    // Assert
+    expect(search.body.url).toBe('/search?query=shoes&query=boots&source=gateway');
+    expect(legacy.body.url).toBe('/legacy/items?page=2');
+  });
+
+  test('Should transform JSON request and response bodies, decoding them and fixing their length', async () => {
+    // Arrange
+    serviceProxy.registerService('users', [upstreamUrl], {
+      transform: {
+        request: {
+          body: async (json, ctx) => ({ ...json, tenant: ctx.req.headers['x-tenant'] })
+        },
+        response: {
+          body: async (json, ctx) => (ctx.req.path === '/users'
+            ? { users: json.users.map(({ password, ...user }) => user) }
+            : json)
+        }
+      }
+    });
+    serviceProxy.addRoute({ service: 'users', path: '/' });
+
+    // Act
+    const created = await request(app).post('/accounts')
+      .set('X-Tenant', 'acme')
+      .set('Content-Type', 'application/json')
+      .set('Content-Encoding', 'gzip')
+      .serialize(body => body)
+      .send(zlib.gzipSync(JSON.stringify({ name: 'Ada' })));
+    const invalid = await request(app).post('/accounts').set('Content-Type', 'application/json').send('{oops');
+    const plain = await request(app).post('/accounts').set('Content-Type', 'text/plain').send('as is');
+    const users = await request(app).get('/users');
+    const text = await request(app).get('/text');
+
+    // Assert
+    expect(JSON.parse(created.body.body)).toEqual({ name: 'Ada', tenant: 'acme' });
+    expect(created.body.headers['content-length']).toBe(String(created.body.body.length));
+    expect(created.body.headers).not.toHaveProperty('content-encoding');
+    expect(invalid.status).toBe(400);
+    expect(plain.body.body).toBe('as is');
+    expect(users.body).toEqual({ users: [{ id: 1 }] });
+    expect(users.headers['content-encoding']).toBeUndefined();
+    expect(users.headers['content-length']).toBe(String(JSON.stringify(users.body).length));
+    expect(text.text).toBe('plain');
+    expect(() => serviceProxy.registerService('cached', [upstreamUrl], {
+      cache: true,
+      transform: { response: { body: json => json } }
+    })).toThrow('cannot be combined with the response cache');
+  });
+
+  test('Should point Location and Set-Cookie headers at the gateway', async () => {
+    // Arrange
+    serviceProxy.registerService('accounts', [`${upstreamUrl}/api`], {
+      transform: {
+        response: { rewriteLocation: true, rewriteCookies: true },
+        publicUrl: 'https://gateway.example.com'
+      }
+    });
+    serviceProxy.addRoute({ service: 'accounts', path: '/accounts', stripPrefix: true });
+
+    // Act
+    const login = await request(app).get('/accounts/login');
+    const elsewhere = await request(app).get('/accounts/elsewhere');
+    const relative = await request(app).get('/accounts/relative');
+
+    // Assert
+    expect(login.headers.location).toBe('https://gateway.example.com/accounts/account?welcome=1');
+    expect(login.headers['set-cookie']).toEqual([
+      'session=abc; Domain=gateway.example.com; Path=/accounts/account; HttpOnly',
+      'theme=dark; Path=/'
+    ]);
+    expect(elsewhere.headers.location).toBe('https://example.com/');
+    expect(relative.headers.location).toBe('/accounts/home');
+  });
+});